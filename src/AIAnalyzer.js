@@ -1,62 +1,265 @@
-const OpenAI = require('openai');
+const { StatisticsEngine } = require('./StatisticsEngine');
+const { TimeSeriesAnalyzer } = require('./TimeSeriesAnalyzer');
+const { CorrelationAnalyzer } = require('./CorrelationAnalyzer');
+const { OutlierDetector } = require('./OutlierDetector');
+const { GroupComparator } = require('./GroupComparator');
+const { DataFilter } = require('./DataFilter');
+const { QueryPlanner } = require('./QueryPlanner');
+const { MultiFileAnalyzer } = require('./MultiFileAnalyzer');
+const { DataQualityChecker } = require('./DataQualityChecker');
+const { LLMProviderRegistry } = require('./LLMProvider');
+const { PromptBudget } = require('./PromptBudget');
+const { TokenCounter } = require('./TokenCounter');
+const { PrivacyAudit, MIN_AGGREGATE_GROUP_SIZE } = require('./PrivacyAudit');
+const { ResultCache } = require('./ResultCache');
+const { TypeInference } = require('./TypeInference');
+
+// 列グループごとの事前分析（map）の応答トークン数と、実行するグループ数の上限
+const MAP_MAX_TOKENS = 400;
+const MAX_MAP_GROUPS = 8;
+// 最終的な統合プロンプトのうち、列グループの分析メモに割り当てる割合
+const FINDINGS_BUDGET_RATIO = 0.35;
+// 追加質問で会話履歴に割り当てる割合
+const HISTORY_BUDGET_RATIO = 0.4;
+// 分析プロンプトの版。プロンプトの組み立てを変えたら上げ、以前の版でキャッシュした結果を使わないようにする
+const PROMPT_VERSION = 3;
 
 class AIAnalyzer {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
+  constructor(options = {}) {
+    // モデル・温度・最大トークン数はプロバイダー設定（環境変数・チャンネル設定）に従う
+    this.providers = new LLMProviderRegistry();
+    // LLMへのリクエストはすべて監査ログに記録し、集計のみモードでは行データを含まないことを検査する
+    this.audit = new PrivacyAudit();
+    this.usageTracker = options.usageTracker || null;
+    this.resultCache = options.resultCache || null;
+  }
+
+  // 依頼者（requester: { channel, user, team }）のチャンネルのプロバイダーを、監査・利用量の記録付きで返す
+  // dataset はプロンプトに行データが含まれていないかの照合に使う
+  providerFor(requester, dataset) {
+    const provider = this.audit.wrap(this.providers.forChannel(requester.channel), {
+      channel: requester.channel,
+      mode: PrivacyAudit.modeFor(requester.channel),
+      headers: dataset.headers,
+      data: dataset.data
+    });
+    return this.usageTracker ? this.usageTracker.wrap(provider, requester) : provider;
+  }
+
+  // 同じ内容のファイル・同じ依頼・同じモデル設定なら同じキーになる。キャッシュを使えない場合は null
+  cacheKey(provider, dataset, intents, userQuery) {
+    if (!this.resultCache || !this.resultCache.enabled || !dataset.contentHash) return null;
+
+    return ResultCache.key({
+      promptVersion: PROMPT_VERSION,
+      content: dataset.contentHash,
+      intents: [...intents].sort(),
+      question: ResultCache.normalizeQuestion(userQuery),
+      provider: provider.provider,
+      baseURL: provider.settings.baseURL || null,
+      model: provider.model,
+      temperature: provider.temperature,
+      maxTokens: provider.maxTokens,
+      privacyMode: provider.privacyMode,
+      // 個人情報のマスク・除外の結果が違えばプロンプトも変わる
+      pii: dataset.privacy || null
     });
-    this.maxTokens = 2000;
   }
 
-  async performAnalysis(csvData, intents, fileName) {
+  // options.fresh: キャッシュを使わずに分析し直す（結果はキャッシュを更新する）
+  async performAnalysis(dataset, intents, userQuery = '', requester = {}, options = {}) {
     try {
-      const { data, summary } = csvData;
-      
-      const prompt = this.buildAnalysisPrompt(data, summary, intents, fileName);
-      
-      if (prompt.length > 15000) {
-        throw new Error('データが大きすぎて分析できません。データサイズを小さくしてください。');
+      const provider = this.providerFor(requester, dataset);
+      const aggregateOnly = PrivacyAudit.isAggregateOnly(provider);
+      const localAnalysis = this.runLocalAnalyses(dataset, intents, userQuery);
+      if (dataset.multiFile) {
+        localAnalysis.multiFile = dataset.multiFile;
+      }
+      const summary = {
+        fileName: dataset.fileName,
+        rowCount: dataset.data.length,
+        columns: dataset.headers,
+        intents,
+        localAnalysis
+      };
+
+      // ローカル分析は毎回実行し、LLMによる分析だけを使い回す
+      const cacheKey = this.cacheKey(provider, dataset, intents, userQuery);
+      if (cacheKey && !options.fresh) {
+        const cached = await this.resultCache.get(cacheKey);
+        if (cached) {
+          console.log(`Reusing cached analysis for ${dataset.fileName} (${cacheKey.slice(0, 12)})`);
+          return { ...summary, ...cached.value, usage: null, cache: { hit: true, storedAt: cached.storedAt } };
+        }
+      }
+
+      const systemMessage = { role: 'system', content: this.getSystemPrompt() };
+      const budget = provider.promptBudget([systemMessage]);
+      const rankedColumns = PromptBudget.rankColumns(dataset.headers, dataset.statistics, localAnalysis, userQuery);
+      const build = extra => layout =>
+        this.buildAnalysisPrompt(dataset, intents, localAnalysis, userQuery, { ...layout, ...extra, model: provider.model, aggregateOnly });
+
+      // トークン予算に収まるよう、サンプルデータ → 関連度の低い列の詳細 の順に削る
+      let fitted = PromptBudget.fit(build({}), { rankedColumns, budget, model: provider.model });
+      let mapped = null;
+
+      // 列の詳細を省略した場合は、省略した列をグループに分けて事前に分析し、その結果を統合する
+      if (fitted.omittedColumns.length > 0) {
+        const findingsBudget = Math.floor(budget * FINDINGS_BUDGET_RATIO);
+        const reserved = PromptBudget.fit(build({}), { rankedColumns, budget: budget - findingsBudget, model: provider.model });
+        mapped = await this.analyzeColumnGroups(provider, dataset, intents, userQuery, reserved.omittedColumns, findingsBudget);
+        fitted = PromptBudget.fit(build({ columnFindings: mapped.findings }), { rankedColumns, budget, model: provider.model });
       }
-      
-      console.log('Sending request to OpenAI...');
-      
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
+
+      console.log(`Sending request to ${provider.label} (${provider.model}, ${fitted.tokens} tokens)...`);
+
+      const response = await provider.complete({
         messages: [
-          {
-            role: 'system',
-            content: this.getSystemPrompt()
-          },
+          systemMessage,
           {
             role: 'user',
-            content: prompt
+            content: fitted.prompt
           }
-        ],
-        max_tokens: this.maxTokens,
-        temperature: 0.7,
+        ]
       });
 
       const analysis = response.choices[0].message.content;
-      
-      return {
+      const result = {
         analysis,
-        fileName,
-        rowCount: summary.rowCount,
-        columns: summary.columns,
+        promptInfo: this.describePromptReduction(fitted, mapped),
+        privacyAudit: PrivacyAudit.summarize(provider)
+      };
+      if (cacheKey) {
+        await this.resultCache.set(cacheKey, result);
+      }
+
+      return {
+        ...summary,
+        ...result,
+        usage: mapped ? QueryPlanner.mergeUsage(mapped.usage, response.usage) : response.usage
+      };
+
+    } catch (error) {
+      console.error('LLM API error:', error);
+      throw this.translateError(error);
+    }
+  }
+
+  async answerFollowUp(session, question, intents, requester = {}) {
+    const filters = DataFilter.fromMentions(session.headers, session.data, session.statistics, question);
+    const indexes = session.data
+      .map((row, index) => index)
+      .filter(index => DataFilter.matchesAll(session.data[index], filters));
+    const data = indexes.map(index => session.data[index]);
+
+    if (data.length === 0) {
+      throw new Error(`絞り込み条件（${DataFilter.describe(filters)}）に該当する行がありません。`);
+    }
+
+    try {
+      const subset = {
+        headers: session.headers,
+        data: data,
+        lineNumbers: session.lineNumbers ? indexes.map(index => session.lineNumbers[index]) : undefined,
+        statistics: StatisticsEngine.describe(session.headers, data)
+      };
+      // 形式に問題のあった行のうち、絞り込み後に残った行（データ品質の検査に使う）
+      if (session.malformedLines && session.lineNumbers) {
+        const lines = new Set(subset.lineNumbers);
+        subset.malformedLines = session.malformedLines.filter(error => lines.has(error.lineNumber));
+      }
+      const localAnalysis = this.runLocalAnalyses(subset, intents, question);
+
+      // 照合には絞り込み前の全行を使う（会話履歴に過去の結果が含まれるため）
+      const provider = this.providerFor(requester, session);
+      const systemMessage = { role: 'system', content: this.getSystemPrompt() };
+
+      // 会話履歴は古いものから削り、残りの予算に列の詳細と集計を収める
+      const history = PromptBudget.trimHistory(
+        session.history,
+        Math.floor(provider.promptBudget([systemMessage]) * HISTORY_BUDGET_RATIO),
+        provider.model
+      );
+      const fitted = PromptBudget.fit(
+        layout => this.buildFollowUpPrompt(session, subset, filters, intents, localAnalysis, question, { ...layout, model: provider.model, aggregateOnly: PrivacyAudit.isAggregateOnly(provider) }),
+        {
+          rankedColumns: PromptBudget.rankColumns(session.headers, subset.statistics, localAnalysis, question),
+          budget: provider.promptBudget([systemMessage, ...history]),
+          model: provider.model
+        }
+      );
+
+      console.log(`Sending follow-up request to ${provider.label} (${provider.model}, ${fitted.tokens} tokens)...`);
+
+      const response = await provider.complete({
+        messages: [
+          systemMessage,
+          ...history,
+          {
+            role: 'user',
+            content: fitted.prompt
+          }
+        ]
+      });
+
+      return {
+        analysis: response.choices[0].message.content,
+        fileName: session.fileName,
+        rowCount: data.length,
+        columns: session.headers,
         intents,
+        filters,
+        localAnalysis,
+        promptInfo: this.describePromptReduction(fitted),
+        privacyAudit: PrivacyAudit.summarize(provider),
         usage: response.usage
       };
 
     } catch (error) {
-      console.error('OpenAI API error:', error);
-      
-      if (error.code === 'insufficient_quota') {
-        throw new Error('OpenAI APIのクォータが不足しています。管理者にお問い合わせください。');
-      } else if (error.code === 'invalid_api_key') {
-        throw new Error('OpenAI APIキーが無効です。設定を確認してください。');
-      } else {
-        throw new Error(`AI分析中にエラーが発生しました: ${error.message}`);
-      }
+      console.error('LLM follow-up error:', error);
+      throw this.translateError(error);
+    }
+  }
+
+  async answerQuestion(dataset, question, requester = {}) {
+    try {
+      const provider = this.providerFor(requester, dataset);
+      const queryPlanner = new QueryPlanner(provider, { aggregateOnly: PrivacyAudit.isAggregateOnly(provider) });
+      const queryAnswer = await queryPlanner.answer(question, dataset);
+
+      return {
+        analysis: queryAnswer.explanation,
+        queryAnswer,
+        fileName: dataset.fileName,
+        rowCount: queryAnswer.result.matchedRowCount,
+        columns: dataset.headers,
+        intents: ['query'],
+        localAnalysis: {},
+        privacyAudit: PrivacyAudit.summarize(provider),
+        usage: queryAnswer.usage
+      };
+
+    } catch (error) {
+      console.error('Query planning error:', error);
+      throw error.status ? this.translateError(error) : error;
+    }
+  }
+
+  translateError(error) {
+    if (error.code === 'insufficient_quota') {
+      return new Error('LLM APIのクォータが不足しています。管理者にお問い合わせください。');
+    } else if (error.code === 'invalid_api_key' || error.status === 401) {
+      return new Error('LLM APIキーが無効です。設定を確認してください。');
+    } else if (error.code === 'privacy_blocked') {
+      return error;
+    } else if (error.status === 429) {
+      // SDKの再試行でも解消しなかった場合。Retry-After を呼び出し側に伝え、新しい分析の開始を待たせる
+      const retryAfter = parseInt(error.headers && error.headers['retry-after'], 10) || 30;
+      const translated = new Error(`AIサービスが混み合っています。${retryAfter}秒ほど待ってから再度お試しください。`);
+      translated.retryAfter = retryAfter;
+      return translated;
+    } else {
+      return new Error(`AI分析中にエラーが発生しました: ${error.message}`);
     }
   }
 
@@ -78,87 +281,260 @@ class AIAnalyzer {
 専門用語は避け、分かりやすい表現を心がけてください。`;
   }
 
-  buildAnalysisPrompt(data, summary, intents, fileName) {
-    const sampleData = data.slice(0, 5);
-    
-    let prompt = `ファイル名: ${fileName}\n`;
-    prompt += `データ概要:\n`;
-    prompt += `- 行数: ${summary.rowCount}行\n`;
-    prompt += `- 列数: ${summary.columns.length}列\n`;
-    prompt += `- 列名: ${summary.columns.join(', ')}\n\n`;
-
-    prompt += `列の詳細情報:\n`;
-    Object.entries(summary.columnTypes).forEach(([column, info]) => {
-      if (info.type === 'numeric') {
-        prompt += `- ${column}: 数値データ (最小: ${info.min}, 最大: ${info.max}, 平均: ${info.avg.toFixed(2)})\n`;
-      } else {
-        prompt += `- ${column}: カテゴリデータ (ユニーク値: ${info.uniqueCount}個)\n`;
-      }
-    });
-
-    prompt += `\nサンプルデータ（最初の5行）:\n`;
-    prompt += JSON.stringify(sampleData, null, 2);
-
-    prompt += `\n\n分析要求: ${intents.join(', ')}\n`;
+  runLocalAnalyses(dataset, intents, userQuery = '') {
+    const { headers, data, statistics, lineNumbers } = dataset;
+    const localAnalysis = {};
+    const numericColumns = headers.filter(column => statistics.columns[column].type === 'numeric');
 
     if (intents.includes('trend')) {
-      prompt += `\nトレンド分析を重視して、時系列データがある場合は変化パターンを特定してください。`;
+      localAnalysis.timeSeries = TimeSeriesAnalyzer.analyze(headers, data, { numericColumns });
     }
-    
+
     if (intents.includes('correlation')) {
-      prompt += `\n変数間の相関関係を分析し、重要な関連性を見つけてください。`;
+      localAnalysis.correlation = CorrelationAnalyzer.analyze(headers, data, { numericColumns });
     }
-    
+
     if (intents.includes('anomaly')) {
-      prompt += `\n異常値や外れ値を特定し、その原因や影響を考察してください。`;
+      localAnalysis.outliers = OutlierDetector.analyze(headers, data, {
+        numericColumns,
+        lineNumbers,
+        groupBy: OutlierDetector.detectGroupColumn(userQuery, headers, statistics)
+      });
     }
 
     if (intents.includes('comparison')) {
-      prompt += `\nカテゴリ間やグループ間の比較分析を行ってください。`;
+      localAnalysis.comparison = GroupComparator.analyze(headers, data, {
+        numericColumns,
+        statistics,
+        userQuery
+      });
     }
 
+    if (intents.includes('quality')) {
+      localAnalysis.quality = DataQualityChecker.analyze(dataset);
+    }
+
+    return localAnalysis;
+  }
+
+  // layout はトークン予算に合わせた削減内容（PromptBudget.fit が指定する）
+  //   detailColumns: 詳細情報を載せる列, sampleRows / sampleColumns: サンプルデータの行数・列,
+  //   maxSectionTokens: 分析セクションの上限, columnFindings: 列グループごとの事前分析の結果
+  // aggregateOnly（集計のみモード）では、サンプルデータや外れ値の行データなど行単位の情報を一切含めない
+  buildAnalysisPrompt(dataset, intents, localAnalysis = {}, userQuery = '', layout = {}) {
+    const { headers, data, statistics } = dataset;
+    const detailColumns = layout.detailColumns || headers;
+    const sampleColumns = layout.sampleColumns || headers;
+    const sampleRows = layout.aggregateOnly ? 0 : (layout.sampleRows !== undefined ? layout.sampleRows : 5);
+    const sampleData = data
+      .slice(0, sampleRows)
+      .map(row => (layout.sampleColumns ? PromptBudget.pickFields(row, sampleColumns) : row));
+    
+    let prompt = `ファイル名: ${dataset.fileName}\n`;
+    prompt += `データ概要:\n`;
+    prompt += `- 行数: ${data.length}行\n`;
+    prompt += `- 列数: ${headers.length}列\n`;
+    prompt += `- 列名: ${PromptBudget.listColumns(headers)}\n\n`;
+    prompt += this.buildSchemaSection(dataset.schema, headers);
+
+    prompt += this.buildColumnDetails(statistics, headers, detailColumns, `全${data.length}行`, layout);
+
+    if (layout.columnFindings) {
+      prompt += `\n列グループごとの分析メモ（詳細を省略した列を事前に分析した結果）:\n${layout.columnFindings}\n`;
+    }
+
+    if (localAnalysis.multiFile) {
+      prompt += `\n複数ファイルの結合とファイル別比較（各ファイルの全行から算出）:\n${MultiFileAnalyzer.formatForPrompt(localAnalysis.multiFile)}\n`;
+      prompt += `ファイル間の違いを説明する際は上記の比較表を引用してください。\n`;
+    }
+
+    if (sampleData.length > 0) {
+      const scope = sampleColumns.length < headers.length ? `、関連度の高い${sampleColumns.length}列のみ` : '';
+      prompt += `\nサンプルデータ（最初の${sampleData.length}行${scope}）:\n`;
+      prompt += JSON.stringify(sampleData, null, 2);
+      prompt += `\n`;
+    }
+
+    prompt += `\n分析要求: ${intents.join(', ')}\n`;
+    if (userQuery) {
+      prompt += `ユーザーの質問: ${userQuery}\n`;
+    }
+    prompt += this.limitSection(this.buildIntentSections(intents, localAnalysis, layout), layout);
+
     prompt += `\n\n上記のデータを分析し、ビジネス価値の高い洞察を提供してください。`;
     prompt += `具体的な数値を使用し、実用的な推奨事項を含めてください。`;
+    prompt += layout.aggregateOnly
+      ? `\n数値は上記の統計値・集計値をそのまま引用してください（個々の行のデータは提供していません）。`
+      : `\n数値は上記の統計値をそのまま引用し、サンプルデータから中央値・分布・割合を推測しないでください。`;
 
     return prompt;
   }
 
-  formatAnalysisResult(analysisResult) {
-    const { analysis, fileName, rowCount, columns, intents } = analysisResult;
-    
-    let formattedResult = `📊 **${fileName}** の分析結果\n\n`;
-    formattedResult += `📋 データ概要: ${rowCount}行 × ${columns.length}列\n`;
-    formattedResult += `🎯 分析タイプ: ${intents.join(', ')}\n\n`;
-    formattedResult += `${analysis}`;
-    
-    return formattedResult;
+  buildFollowUpPrompt(session, subset, filters, intents, localAnalysis, question, layout = {}) {
+    const rowCount = subset.data.length;
+
+    let prompt = `ファイル名: ${session.fileName}（このスレッドでアップロード済みのデータ）\n`;
+    prompt += filters.length > 0
+      ? `絞り込み条件: ${DataFilter.describe(filters)}（全${session.data.length}行中${rowCount}行）\n\n`
+      : `絞り込み条件: なし（全${rowCount}行）\n\n`;
+    prompt += this.buildSchemaSection(session.schema, session.headers);
+    prompt += this.buildColumnDetails(subset.statistics, session.headers, layout.detailColumns || session.headers, `対象${rowCount}行`, layout);
+    prompt += this.limitSection(this.buildIntentSections(intents, localAnalysis, layout), layout);
+    prompt += `\n\n追加の質問: ${question}\n`;
+    prompt += `これまでの会話を踏まえ、上記の集計値を引用して回答してください。集計値にない数値は推測しないでください。`;
+
+    return prompt;
   }
 
-  validateOpenAIConfig() {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY環境変数が設定されていません');
-    }
-    
-    if (!process.env.OPENAI_API_KEY.startsWith('sk-')) {
-      throw new Error('無効なOpenAI APIキーです');
+  // 値から推定した列の型（通貨・割合・和暦・ID など、統計値だけでは分からないもの）
+  buildSchemaSection(schema, headers) {
+    const notes = TypeInference.formatForPrompt(schema, headers);
+    return notes ? `列の型（値から推定）:\n${notes}\n\n` : '';
+  }
+
+  // aggregateOnly では、上位の値のうち少数の行にしかない値・連絡先を含む値を除く
+  buildColumnDetails(statistics, headers, detailColumns, scope, layout = {}) {
+    const picked = PromptBudget.pickStatistics(statistics, detailColumns);
+    let prompt = `列の詳細情報（${scope}から算出した統計値）:\n`;
+    prompt += StatisticsEngine.formatForPrompt(layout.aggregateOnly ? PrivacyAudit.aggregateStatistics(picked) : picked);
+    prompt += `\n`;
+
+    if (detailColumns.length < headers.length) {
+      const detailed = new Set(detailColumns);
+      prompt += `\n${PromptBudget.summarizeSchema(statistics, headers.filter(column => !detailed.has(column)), layout.model)}`;
     }
+
+    return prompt;
   }
 
-  async testConnection() {
-    try {
-      this.validateOpenAIConfig();
-      
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [{ role: 'user', content: 'Hello' }],
-        max_tokens: 10,
+  limitSection(text, layout = {}) {
+    return layout.maxSectionTokens !== undefined
+      ? TokenCounter.truncate(text, layout.maxSectionTokens, layout.model)
+      : text;
+  }
+
+  // 詳細を省略した列を、予算に収まるグループごとに分析する（map）。結果は最終的な分析プロンプトに統合する（reduce）
+  async analyzeColumnGroups(provider, dataset, intents, userQuery, columns, findingsBudget) {
+    const systemMessage = { role: 'system', content: this.getSystemPrompt() };
+    // 列の詳細以外（概要・指示文・サンプル行）の分を残す
+    const groupBudget = Math.floor(provider.promptBudget([systemMessage], MAP_MAX_TOKENS) * 0.6);
+    const groups = PromptBudget.groupColumns(dataset.statistics, columns, groupBudget, provider.model).slice(0, MAX_MAP_GROUPS);
+    const findingTokens = Math.floor(findingsBudget / groups.length);
+
+    const findings = [];
+    const usages = [];
+    for (const [index, group] of groups.entries()) {
+      console.log(`Analyzing column group ${index + 1}/${groups.length} (${group.length} columns)...`);
+
+      const response = await provider.complete({
+        messages: [
+          systemMessage,
+          {
+            role: 'user',
+            content: this.buildColumnGroupPrompt(dataset, intents, userQuery, group, index, groups.length, {
+              aggregateOnly: PrivacyAudit.isAggregateOnly(provider)
+            })
+          }
+        ],
+        max_tokens: Math.min(MAP_MAX_TOKENS, findingTokens)
       });
-      
-      return { success: true, model: response.model };
-    } catch (error) {
-      console.error('OpenAI connection test failed:', error);
-      return { success: false, error: error.message };
+
+      const text = TokenCounter.truncate(response.choices[0].message.content, findingTokens, provider.model);
+      findings.push(`【グループ${index + 1}: ${PromptBudget.listColumns(group, 10)}】\n${text}`);
+      usages.push(response.usage);
     }
+
+    return {
+      groups,
+      findings: findings.join('\n\n'),
+      usage: QueryPlanner.mergeUsage(...usages)
+    };
+  }
+
+  buildColumnGroupPrompt(dataset, intents, userQuery, columns, index, groupCount, options = {}) {
+    const { data, headers, statistics } = dataset;
+
+    let prompt = `ファイル名: ${dataset.fileName}（全${data.length}行 × ${headers.length}列）\n`;
+    prompt += `列数が多いため、列を${groupCount}グループに分けて分析しています。このメッセージはグループ${index + 1}です。\n\n`;
+    prompt += this.buildColumnDetails(statistics, columns, columns, `全${data.length}行`, { aggregateOnly: options.aggregateOnly });
+    if (!options.aggregateOnly) {
+      prompt += `\nサンプルデータ（最初の3行、このグループの列のみ）:\n`;
+      prompt += JSON.stringify(data.slice(0, 3).map(row => PromptBudget.pickFields(row, columns)));
+      prompt += `\n`;
+    }
+    prompt += `\n分析要求: ${intents.join(', ')}\n`;
+    if (userQuery) {
+      prompt += `ユーザーの質問: ${userQuery}\n`;
+    }
+    prompt += `\nこのグループの列から読み取れる主な特徴と注目すべき数値を、箇条書きで5項目以内に簡潔にまとめてください。`;
+    prompt += `数値は上記の統計値をそのまま引用し、他の列との関係は推測しないでください。`;
+
+    return prompt;
+  }
+
+  describePromptReduction(fitted, mapped = null) {
+    return {
+      tokens: fitted.tokens,
+      omittedColumns: fitted.omittedColumns,
+      trimmedSample: fitted.layout.sampleRows !== undefined,
+      mappedColumns: mapped ? mapped.groups.flat() : [],
+      mapGroupCount: mapped ? mapped.groups.length : 0
+    };
+  }
+
+  buildIntentSections(intents, localAnalysis = {}, options = {}) {
+    let prompt = '';
+
+    if (intents.includes('trend')) {
+      prompt += `\nトレンド分析を重視して、時系列データがある場合は変化パターンを特定してください。`;
+      if (localAnalysis.timeSeries) {
+        prompt += `\n\n時系列集計（全行から算出）:\n${TimeSeriesAnalyzer.formatForPrompt(localAnalysis.timeSeries)}\n`;
+        prompt += `トレンドの説明には上記の期間別合計と前期比を使用してください。`;
+      }
+    }
+    
+    if (intents.includes('correlation')) {
+      prompt += `\n変数間の相関関係を分析し、重要な関連性を見つけてください。`;
+      if (localAnalysis.correlation) {
+        prompt += `\n\n相関係数（全行から算出）:\n${CorrelationAnalyzer.formatForPrompt(localAnalysis.correlation)}\n`;
+        prompt += `相関の強さは上記の係数を引用して説明し、相関は因果を意味しない点に留意してください。`;
+      }
+    }
+    
+    if (intents.includes('anomaly')) {
+      if (localAnalysis.outliers) {
+        if (options.aggregateOnly) {
+          prompt += `\n\n検出済みの外れ値の集計（全行から算出）:\n${OutlierDetector.formatSummaryForPrompt(localAnalysis.outliers)}\n`;
+          prompt += `外れ値については上記の列ごとの件数と正常範囲をもとに、考えられる原因と影響を考察してください。個々の行の値は推測しないでください。`;
+        } else {
+          prompt += `\n\n検出済みの外れ値（全行から算出）:\n${OutlierDetector.formatForPrompt(localAnalysis.outliers)}\n`;
+          prompt += `外れ値については上記の検出済みの行のみを説明対象とし、考えられる原因と影響を考察してください。新たな外れ値を推測しないでください。`;
+        }
+      } else {
+        prompt += `\n異常値や外れ値を特定し、その原因や影響を考察してください。`;
+      }
+    }
+
+    if (intents.includes('comparison')) {
+      prompt += `\nカテゴリ間やグループ間の比較分析を行ってください。`;
+      if (localAnalysis.comparison) {
+        const minGroupSize = options.aggregateOnly ? MIN_AGGREGATE_GROUP_SIZE : 1;
+        prompt += `\n\nグループ別集計（全行から算出）:\n${GroupComparator.formatForPrompt(localAnalysis.comparison, 30, minGroupSize)}\n`;
+        prompt += `比較には上記の合計・平均・構成比を引用してください。`;
+      }
+    }
+
+    if (intents.includes('quality') && localAnalysis.quality) {
+      prompt += `\n\nデータ品質の検査結果（全行から算出）:\n${DataQualityChecker.formatForPrompt(localAnalysis.quality, { aggregateOnly: options.aggregateOnly })}\n`;
+      prompt += `データ品質については上記の検査結果のみを根拠に、分析結果への影響と修正の優先順位を説明してください。検査結果にない問題を推測しないでください。`;
+    }
+
+    return prompt;
+  }
+
+  // 接続先のプロバイダーごとに必要な設定を検証し、実際にリクエストを送って確認する
+  async testConnection(channel) {
+    return this.providers.forChannel(channel).testConnection();
   }
 }
 
@@ -0,0 +1,399 @@
+const { CSVProcessor } = require('./CSVProcessor');
+const { AIAnalyzer } = require('./AIAnalyzer');
+const { OutlierDetector } = require('./OutlierDetector');
+const { ChartRenderer } = require('./ChartRenderer');
+const { ConversationStore } = require('./ConversationStore');
+const { QueryPlanner } = require('./QueryPlanner');
+const { MessageRenderer } = require('./MessageRenderer');
+const { PIIScanner } = require('./PIIScanner');
+const { UsageTracker } = require('./UsageTracker');
+const { RateLimiter, RateLimitError } = require('./RateLimiter');
+const { ResultCache } = require('./ResultCache');
+const { ReportScheduler } = require('./ReportScheduler');
+const { DataCleaner } = require('./DataCleaner');
+
+// Socket Mode（Bolt）とHTTP Events API（Vercel）で共通の分析パイプライン
+// ダウンロード → デコード → パース → プロファイル → 分析 → 描画 までを受け持ち、
+// 各アダプタはイベントの受信と WebClient の受け渡しだけを行う
+class AnalysisPipeline {
+  constructor(options = {}) {
+    this.csvProcessor = options.csvProcessor || new CSVProcessor();
+    this.usageTracker = options.usageTracker || new UsageTracker();
+    // 同じファイルへの同じ依頼は、前回のAI分析の結果を再利用する
+    this.resultCache = options.resultCache || new ResultCache();
+    this.aiAnalyzer = options.aiAnalyzer || new AIAnalyzer({ usageTracker: this.usageTracker, resultCache: this.resultCache });
+    this.conversationStore = options.conversationStore || new ConversationStore();
+    // ダウンロードとLLM呼び出しを伴う分析（ファイル分析・追加質問）はレート制限と同時実行数の上限を通す
+    this.rateLimiter = options.rateLimiter || new RateLimiter();
+    this.watchedClients = new WeakSet();
+    // 定期レポートは常駐するプロセス（Socket Mode）でのみ実行できるため、CSVAnalysisBot が渡す
+    this.scheduler = options.scheduler || null;
+  }
+
+  async handleMention(event, client) {
+    // 返信は常にメンションのスレッド内に投稿する
+    const threadTs = event.thread_ts || event.ts;
+    const reply = message => client.chat.postMessage({ channel: event.channel, thread_ts: threadTs, ...message });
+    // 利用量の記録と上限の判定に使う依頼者の情報
+    const requester = { channel: event.channel, user: event.user, team: event.team };
+    this.watchRateLimits(client);
+
+    try {
+      console.log('App mention received:', event.user, event.text);
+
+      const question = this.extractQuestion(event.text);
+      const hasFiles = event.files && event.files.length > 0;
+
+      // 「clean ...」は添付ファイル（分析済みのスレッドではそのファイル）を整形して返信する。AIは使わない
+      if (DataCleaner.isCleanCommand(question)) {
+        await this.cleanCommand(event, client, threadTs, question, requester, reply);
+        return;
+      }
+
+      if (!hasFiles) {
+        const lower = question.toLowerCase();
+        if (lower.includes('help') || lower.includes('ヘルプ')) {
+          await reply(MessageRenderer.help());
+          return;
+        }
+
+        if (UsageTracker.isUsageCommand(question)) {
+          await reply(await this.usageReport(question, requester));
+          return;
+        }
+
+        if (ReportScheduler.isScheduleCommand(question)) {
+          await reply(await this.scheduleCommand(question, requester, client));
+          return;
+        }
+
+        // 分析済みスレッド内のメンションは同じデータへの追加質問として扱う
+        const session = this.conversationStore.get(event.channel, event.thread_ts);
+        if (session) {
+          if (await this.checkQuota(requester, reply)) {
+            await this.runLimited(requester, reply, () => this.processFollowUp(session, question, requester, reply));
+          }
+          return;
+        }
+
+        if (['hello', 'こんにちは'].some(keyword => lower.includes(keyword)) || /^hi\b/.test(lower)) {
+          await reply(MessageRenderer.greeting());
+          return;
+        }
+
+        await reply(MessageRenderer.usageGuide());
+        return;
+      }
+
+      const validation = this.csvProcessor.validateFiles(event.files);
+      if (!validation.isValid) {
+        await reply(MessageRenderer.validationError(validation.errors));
+        return;
+      }
+
+      if (!(await this.checkQuota(requester, reply))) {
+        return;
+      }
+
+      await this.runLimited(requester, reply, async () => {
+        await reply({
+          text: event.files.length > 1
+            ? `🔍 ${event.files.length}件のCSVファイルを分析中です...`
+            : '🔍 CSVファイルを分析中です...'
+        });
+
+        // 「--fresh」「再分析」が含まれていればキャッシュを使わない（キーワード自体は分析指示から除く）
+        const fresh = ResultCache.isFreshRequested(question);
+        const instruction = fresh ? ResultCache.stripFreshKeyword(question) : question;
+        await this.processFileAnalysis(event, client, threadTs, instruction, requester, reply, { fresh });
+      });
+
+    } catch (error) {
+      console.error('Error in app mention handler:', error);
+      await reply(MessageRenderer.generalError(error.message)).catch(replyError => {
+        console.error('Error sending error message:', replyError);
+      });
+    }
+  }
+
+  // options.load: 添付ファイル以外（定期レポートのデータソース）から読み込む関数、options.intents: 分析タイプの指定
+  async processFileAnalysis(event, client, threadTs, question, requester, reply, options = {}) {
+    try {
+      const loaded = options.load ? await options.load() : await this.csvProcessor.loadFiles(event.files);
+
+      // 個人情報はプロンプトを組み立てる前に、チャンネルのポリシーに従ってマスク・除外する
+      const protection = PIIScanner.protect(loaded, PIIScanner.policyFor(event.channel));
+      if (protection.refused) {
+        await reply(MessageRenderer.piiRefused(protection.report));
+        return;
+      }
+      const dataset = protection.dataset;
+
+      const intents = options.intents && options.intents.length > 0
+        ? options.intents
+        : this.csvProcessor.extractAnalysisIntent(question);
+      console.log('Analysis intents:', intents);
+
+      const privacyNotice = MessageRenderer.privacyNotice(dataset.privacy);
+      await reply({
+        text: `📊 データを読み込みました（${dataset.rowCount}行 × ${dataset.headers.length}列, 文字コード: ${dataset.encoding}）\n` +
+          `${privacyNotice ? `${privacyNotice}\n` : ''}🤖 AI分析を実行中...`
+      });
+
+      // 添付ファイルはスレッド内でのデータ整形のために保持する（定期レポートのデータソースは対象外）
+      const session = this.conversationStore.create(event.channel, threadTs, { ...dataset, files: options.load ? null : event.files });
+
+      // 個別の値を問う質問は、クエリプランに変換して全行でローカル集計する
+      if (QueryPlanner.shouldPlan(question, intents)) {
+        await this.processQuestion(session, question, requester, reply);
+        return;
+      }
+
+      const analysisResult = await this.aiAnalyzer.performAnalysis(dataset, intents, question, requester, options);
+      await reply(MessageRenderer.analysisResult(analysisResult, dataset));
+      this.conversationStore.appendTurn(session, question || '全体的な分析をお願いします', analysisResult.analysis);
+
+      await this.sendSupplementaryResults(analysisResult, reply);
+      await this.sendCharts(client, event.channel, threadTs, intents, dataset, analysisResult.localAnalysis);
+
+    } catch (error) {
+      console.error('Error processing file analysis:', error);
+      this.backOff(error);
+      await reply(MessageRenderer.analysisError(error.message));
+    }
+  }
+
+  async processFollowUp(session, question, requester, reply) {
+    try {
+      const intents = this.csvProcessor.extractAnalysisIntent(question);
+      console.log('Follow-up question:', question, intents);
+
+      await reply({ text: `🔍 ${session.fileName} のデータで回答中です...` });
+
+      if (QueryPlanner.shouldPlan(question, intents)) {
+        await this.processQuestion(session, question, requester, reply);
+        return;
+      }
+
+      const analysisResult = await this.aiAnalyzer.answerFollowUp(session, question, intents, requester);
+      await reply(MessageRenderer.analysisResult(analysisResult));
+      this.conversationStore.appendTurn(session, question, analysisResult.analysis);
+
+      await this.sendSupplementaryResults(analysisResult, reply);
+
+    } catch (error) {
+      console.error('Error processing follow-up:', error);
+      this.backOff(error);
+      await reply(MessageRenderer.analysisError(error.message));
+    }
+  }
+
+  async processQuestion(session, question, requester, reply) {
+    const answer = await this.aiAnalyzer.answerQuestion(session, question, requester);
+    await reply(MessageRenderer.queryAnswer(answer, session.fileName));
+    // AIに送らなかった表（集計のみモードでの行単位の結果など）は、追加質問の会話履歴としてAIに送られないよう残さない
+    const { table, withheld } = answer.queryAnswer;
+    this.conversationStore.appendTurn(session, question, withheld ? answer.analysis : `${table}\n\n${answer.analysis}`);
+  }
+
+  // 制限内で task を実行する。順番待ちになった場合は順番を、受け付けられない場合は再試行までの時間を返信する
+  async runLimited(requester, reply, task) {
+    try {
+      await this.rateLimiter.run(requester.user, task, {
+        onQueued: (position, waitSeconds) => reply(MessageRenderer.queued(position, waitSeconds))
+      });
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) throw error;
+      console.log(`Analysis request rejected (${error.reason}) for ${requester.user}, retry after ${error.retryAfter}s`);
+      await reply(MessageRenderer.rateLimited(error));
+    }
+  }
+
+  // Slack API が Retry-After 付きで制限した場合（WebClient が再試行まで待機する）、その間は新しい分析を開始しない
+  watchRateLimits(client) {
+    if (typeof client.on !== 'function' || this.watchedClients.has(client)) return;
+    this.watchedClients.add(client);
+    client.on('rate_limited', retrySeconds => this.rateLimiter.pause(retrySeconds));
+  }
+
+  // LLM APIの429（Retry-After）も同様に扱う
+  backOff(error) {
+    if (error.retryAfter) {
+      this.rateLimiter.pause(error.retryAfter);
+    }
+  }
+
+  // 利用上限に達していれば案内を返信して false を返す
+  async checkQuota(requester, reply) {
+    const quota = await this.usageTracker.checkQuota(requester);
+    if (!quota.allowed) {
+      await reply(MessageRenderer.quotaExceeded(quota));
+    }
+    return quota.allowed;
+  }
+
+  // 「usage 先月 channel」などのメンション、またはスラッシュコマンドの引数から利用状況を集計する
+  // USAGE_ADMIN_USERS が設定されている場合、それ以外のユーザーには本人の分のみを表示する
+  async usageReport(text, requester) {
+    const { period, groupBy } = this.usageTracker.parseArgs(text);
+    const report = await this.usageTracker.report({
+      period,
+      groupBy,
+      team: requester.team,
+      user: this.usageTracker.canViewAll(requester.user) ? null : requester.user
+    });
+    return MessageRenderer.usageReport(report);
+  }
+
+  // スラッシュコマンド（USAGE_SLASH_COMMAND、既定: /csv-usage）。応答は実行したユーザーにのみ表示する
+  async handleCommand(command) {
+    const requester = { channel: command.channel_id, user: command.user_id, team: command.team_id };
+    const message = await this.usageReport(command.text || '', requester);
+    return { response_type: 'ephemeral', ...message };
+  }
+
+  // ============================================================================
+  // 定期レポート
+  // ============================================================================
+
+  // 「schedule add / list / remove」のメンション
+  async scheduleCommand(text, requester, client) {
+    if (!this.scheduler) {
+      return MessageRenderer.scheduleUnavailable();
+    }
+
+    const { action, args } = ReportScheduler.parseCommand(text);
+    try {
+      if (action === 'add') {
+        return MessageRenderer.scheduleAdded(await this.scheduler.add(args, requester, client));
+      }
+      if (action === 'list') {
+        return MessageRenderer.scheduleList(await this.scheduler.list(requester, client));
+      }
+      if (action === 'remove') {
+        const id = args.split(/\s+/)[0];
+        return MessageRenderer.scheduleRemoved(await this.scheduler.remove(id, requester), id);
+      }
+    } catch (error) {
+      return MessageRenderer.scheduleError(error.message, action);
+    }
+    return MessageRenderer.scheduleHelp();
+  }
+
+  // 定期レポートを1件実行する。チャンネルに見出しを投稿し、そのスレッドにファイル分析と同じ形で結果を返信する
+  // スレッドでのメンションは、通常の分析と同じく追加質問として扱う
+  async runScheduledReport(job, client) {
+    const requester = { channel: job.channel, user: job.createdBy, team: job.team };
+    this.watchRateLimits(client);
+    // 登録後に依頼者がチャンネルから抜けた・ファイルの共有をやめた場合は実行しない（エラーは前回の結果として一覧に表示される）
+    await this.scheduler.checkAccess(job, client);
+
+    const quota = await this.usageTracker.checkQuota(requester);
+    if (!quota.allowed) {
+      const reason = `${quota.label}のAI利用上限（${quota.limit.toLocaleString('ja-JP')}トークン）に達したため`;
+      await client.chat.postMessage({ channel: job.channel, ...MessageRenderer.scheduledReportSkipped(job, reason) });
+      return;
+    }
+
+    const header = await client.chat.postMessage({ channel: job.channel, ...MessageRenderer.scheduledReportHeader(job) });
+    const threadTs = header.ts;
+    const reply = message => client.chat.postMessage({ channel: job.channel, thread_ts: threadTs, ...message });
+
+    // ユーザーごとの受付数の制限は定期レポートには適用せず、全体の制限と同時実行数の上限のみ通す
+    try {
+      await this.rateLimiter.run(`schedule:${job.id}`, () => this.processFileAnalysis({ channel: job.channel }, client, threadTs, job.prompt, requester, reply, {
+        load: () => this.csvProcessor.loadSource(job.source, client),
+        intents: job.intents
+      }));
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) throw error;
+      await reply(MessageRenderer.scheduledReportSkipped(job, '分析の依頼が集中していたため'));
+    }
+  }
+
+  // ============================================================================
+  // データ整形
+  // ============================================================================
+
+  // 「clean dedupe trim ...」のメンション。ファイルごとに整形したCSVを変更内容とともにスレッドへアップロードする
+  async cleanCommand(event, client, threadTs, question, requester, reply) {
+    let command;
+    try {
+      command = DataCleaner.parseCommand(question);
+    } catch (error) {
+      await reply(MessageRenderer.cleaningError(error.message));
+      return;
+    }
+
+    const session = event.files && event.files.length > 0 ? null : this.conversationStore.get(event.channel, event.thread_ts);
+    const files = session ? session.files : event.files;
+    if (command.help || !files || files.length === 0) {
+      await reply(MessageRenderer.cleaningHelp());
+      return;
+    }
+
+    const validation = this.csvProcessor.validateFiles(files);
+    if (!validation.isValid) {
+      await reply(MessageRenderer.validationError(validation.errors));
+      return;
+    }
+
+    await this.runLimited(requester, reply, () => this.processCleaning(files, command, client, event.channel, threadTs, reply));
+  }
+
+  async processCleaning(files, command, client, channel, threadTs, reply) {
+    try {
+      await reply({ text: files.length > 1 ? `🧹 ${files.length}件のCSVファイルを整形中です...` : '🧹 CSVファイルを整形中です...' });
+
+      for (const file of files) {
+        const result = DataCleaner.clean(await this.csvProcessor.loadRawFile(file), command);
+        const fileName = DataCleaner.outputFileName(file.name);
+
+        await client.files.uploadV2({
+          channel_id: channel,
+          thread_ts: threadTs,
+          initial_comment: MessageRenderer.cleaningResult(result, { bom: command.bom }).text,
+          file: DataCleaner.toCSV(result.headers, result.data, { bom: command.bom, headerLabels: result.headerLabels }),
+          filename: fileName,
+          title: fileName
+        });
+      }
+
+    } catch (error) {
+      console.error('Error cleaning data:', error);
+      await reply(MessageRenderer.cleaningError(error.message));
+    }
+  }
+
+  // 外れ値の一覧はスレッドに表形式で、データ品質の検査結果は別のカードとして投稿
+  async sendSupplementaryResults(analysisResult, reply) {
+    if (analysisResult.localAnalysis.outliers) {
+      await reply({ text: OutlierDetector.formatTable(analysisResult.localAnalysis.outliers) });
+    }
+    if (analysisResult.localAnalysis.quality) {
+      await reply(MessageRenderer.qualityReport(analysisResult.localAnalysis.quality, analysisResult.fileName));
+    }
+  }
+
+  async sendCharts(client, channel, threadTs, intents, dataset, localAnalysis) {
+    try {
+      const charts = ChartRenderer.buildCharts(intents, {
+        headers: dataset.headers,
+        data: dataset.data,
+        statistics: dataset.statistics,
+        ...localAnalysis
+      });
+
+      await ChartRenderer.uploadCharts(client, channel, threadTs, charts);
+    } catch (error) {
+      // グラフは補助的な出力のため、失敗しても分析結果は維持する
+      console.error('Error uploading charts:', error);
+    }
+  }
+
+  extractQuestion(text) {
+    return (text || '').replace(/<@[^>]+>/g, '').trim();
+  }
+}
+
+module.exports = { AnalysisPipeline };
@@ -0,0 +1,402 @@
+const crypto = require('crypto');
+const { EncodingDetector } = require('./EncodingDetector');
+const { TypeInference } = require('./TypeInference');
+
+// ============================================
+// 柔軟なCSV解析エンジン
+// ============================================
+class CSVParser {
+  
+  // ============================================
+  // インテリジェントCSV解析
+  // ============================================
+  static parse(input, options = {}) {
+    console.log('=== Intelligent CSV Parsing Started ===');
+    const quoteChar = options.quoteChar || '"';
+    
+    // 0. 文字コードの判定とデコード（Shift_JIS / EUC-JP / UTF-16 などに対応）
+    const decoded = typeof input === 'string'
+      ? { text: input, encoding: 'utf-8', label: 'UTF-8' }
+      : EncodingDetector.decode(input);
+    console.log('Detected encoding:', decoded.label);
+    
+    // 1. 改行・BOMの正規化
+    const cleanedText = this.cleanCSVText(decoded.text);
+    
+    // 2. 区切り文字の自動検出
+    const delimiter = options.delimiter || this.detectDelimiter(cleanedText, quoteChar);
+    console.log('Detected delimiter:', delimiter);
+    
+    // 3. レコードへの分割（引用符内の改行・区切り文字を考慮）
+    const parsed = this.parseRecords(cleanedText, delimiter, { quoteChar });
+    console.log('Total records:', parsed.records.length);
+    
+    // 4. ヘッダー行の検出
+    const headerInfo = this.detectHeaders(parsed.records);
+    console.log('Header info:', headerInfo);
+    
+    // 5. データ行の解析
+    const lineNumbers = [];
+    const malformedLines = [...parsed.errors];
+    const rawData = this.parseDataRows(parsed.records, headerInfo, lineNumbers, malformedLines);
+    malformedLines.sort((a, b) => a.lineNumber - b.lineNumber);
+    if (malformedLines.length > 0) {
+      console.log(`Malformed lines: ${[...new Set(malformedLines.map(error => error.lineNumber))].join(', ')}`);
+    }
+    
+    // 6. 列の型（通貨・割合・和暦・ID など）の推定と値の正規化
+    // convertValues が false の場合は文字列のまま返す（データ整形で先頭の0などを保つため）
+    const schema = TypeInference.inferSchema(headerInfo.headers, rawData);
+    const parsedData = options.convertValues === false
+      ? rawData
+      : TypeInference.apply(rawData, schema, value => this.convertValue(value, true));
+    console.log('Inferred schema:', schema.map(entry => `${entry.column}=${entry.type}`).join(', '));
+    
+    return {
+      headers: headerInfo.headers,
+      // 整える前の列名（データ整形の出力で元の表記に戻すため）
+      originalHeaders: headerInfo.originalHeaders,
+      data: parsedData,
+      lineNumbers: lineNumbers,
+      rowCount: parsedData.length,
+      delimiter: delimiter,
+      quoteChar: quoteChar,
+      headerRowIndex: headerInfo.rowIndex,
+      schema: schema,
+      metadata: {
+        encoding: decoded.label,
+        // デコード・改行とBOMの正規化後の内容のハッシュ（文字コードや改行コードが違うだけの同じファイルは同じ値になる）
+        contentHash: crypto.createHash('sha256').update(cleanedText).digest('hex'),
+        totalLines: parsed.lineCount,
+        emptyLines: parsed.emptyLineCount,
+        malformedLines: malformedLines
+      }
+    };
+  }
+
+  // ============================================
+  // 区切り文字の自動検出
+  // ============================================
+  static detectDelimiter(csvText, quoteChar = '"') {
+    const delimiters = [',', ';', '\t', '|'];
+    
+    let bestDelimiter = ',';
+    let maxConsistency = 0;
+    
+    for (const delimiter of delimiters) {
+      // 最初の5レコードをサンプル
+      const columnCounts = this.parseRecords(csvText, delimiter, { quoteChar, maxRecords: 5 }).records
+        .map(record => record.fields.length);
+      
+      if (columnCounts.length > 0) {
+        // 各行の列数の一貫性をチェック
+        const mode = this.findMode(columnCounts);
+        const consistency = columnCounts.filter(count => count === mode).length / columnCounts.length;
+        
+        if (consistency > maxConsistency && mode > 1) {
+          maxConsistency = consistency;
+          bestDelimiter = delimiter;
+        }
+      }
+    }
+    
+    return bestDelimiter;
+  }
+
+  // ============================================
+  // RFC 4180準拠のレコード分割（状態機械）
+  // ============================================
+  // - 引用符で囲まれたフィールド内の改行・区切り文字はそのまま値に含める
+  // - 引用符の重ね書き（""）は1つの引用符として扱う
+  // - 引用符で囲まれていないフィールドのみ前後の空白を除去する
+  // - 閉じられていない引用符や引用符後の余分な文字は、レコード開始行の行番号付きで errors に記録する
+  static parseRecords(text, delimiter = ',', options = {}) {
+    const quoteChar = options.quoteChar || '"';
+    const maxRecords = options.maxRecords || Infinity;
+    const records = [];
+    const errors = [];
+    
+    let fields = [];
+    let quoted = [];
+    let field = '';
+    let state = 'fieldStart'; // fieldStart | unquoted | quoted | quoteClosed
+    let fieldQuoted = false;
+    let line = 1;
+    let recordLine = 1;
+    let emptyLineCount = 0;
+    
+    const addError = message => {
+      if (!errors.some(error => error.lineNumber === recordLine && error.message === message)) {
+        errors.push({ lineNumber: recordLine, message });
+      }
+    };
+    const endField = () => {
+      fields.push(fieldQuoted ? field : field.trim());
+      quoted.push(fieldQuoted);
+      field = '';
+      fieldQuoted = false;
+      state = 'fieldStart';
+    };
+    const endRecord = () => {
+      endField();
+      // 空行はレコードとして扱わない
+      if (fields.length === 1 && !quoted[0] && fields[0] === '') {
+        emptyLineCount++;
+      } else {
+        records.push({ fields, quoted, lineNumber: recordLine });
+      }
+      fields = [];
+      quoted = [];
+    };
+    
+    for (let i = 0; i < text.length && records.length < maxRecords; i++) {
+      const char = text[i];
+      
+      if (state === 'quoted') {
+        if (char === quoteChar) {
+          if (text[i + 1] === quoteChar) {
+            // エスケープされた引用符
+            field += char;
+            i++;
+          } else {
+            state = 'quoteClosed';
+          }
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+        continue;
+      }
+      
+      if (char === delimiter) {
+        endField();
+        continue;
+      }
+      
+      if (char === '\n') {
+        endRecord();
+        line++;
+        recordLine = line;
+        continue;
+      }
+      
+      if (state === 'quoteClosed') {
+        // 閉じ引用符と区切り文字の間の空白は無視する
+        if (char !== ' ' && char !== '\t') {
+          addError('閉じ引用符の後に区切り文字以外の文字があります');
+          field += char;
+        }
+        continue;
+      }
+      
+      if (char === quoteChar) {
+        if (field.trim() === '') {
+          // 先頭の空白の後の引用符はフィールドの開始とみなす
+          field = '';
+          fieldQuoted = true;
+          state = 'quoted';
+        } else {
+          addError('引用符で囲まれていない値の途中に引用符があります');
+          field += char;
+        }
+        continue;
+      }
+      
+      field += char;
+      state = 'unquoted';
+    }
+    
+    if (records.length < maxRecords) {
+      if (state === 'quoted') {
+        addError('引用符が閉じられていません');
+      }
+      if (state !== 'fieldStart' || fields.length > 0) {
+        endRecord();
+      }
+    }
+    
+    return { records, errors, lineCount: line, emptyLineCount };
+  }
+
+  // ============================================
+  // CSV行の分割（1行分のレコード）
+  // ============================================
+  static splitCSVLine(line, delimiter = ',', quoteChar = '"') {
+    const [record] = this.parseRecords(line, delimiter, { quoteChar, maxRecords: 1 }).records;
+    return record ? record.fields : [''];
+  }
+
+  // ============================================
+  // テキストのクリーニング
+  // ============================================
+  static cleanCSVText(csvText) {
+    return csvText
+      .replace(/\r\n/g, '\n')  // Windows改行を統一
+      .replace(/\r/g, '\n')    // Mac改行を統一
+      .replace(/^\uFEFF/, '')  // BOM削除
+      .replace(/\n+$/, '');    // 末尾の空行を削除
+  }
+
+  // ============================================
+  // ヘッダー行の検出
+  // ============================================
+  static detectHeaders(records) {
+    let bestHeaderRow = 0;
+    let bestHeaders = [];
+    let maxScore = 0;
+    
+    // 最初の5レコード以内でヘッダーを探す
+    for (let i = 0; i < Math.min(5, records.length); i++) {
+      const columns = records[i].fields;
+      const score = this.scoreHeaderRow(columns, records.slice(i + 1));
+      
+      if (score > maxScore) {
+        maxScore = score;
+        bestHeaderRow = i;
+        bestHeaders = columns;
+      }
+    }
+    
+    return {
+      rowIndex: bestHeaderRow,
+      headers: bestHeaders.map(header => this.cleanHeader(header)),
+      originalHeaders: bestHeaders
+    };
+  }
+
+  // ============================================
+  // ヘッダー行のスコアリング
+  // ============================================
+  static scoreHeaderRow(columns, dataRecords) {
+    let score = 0;
+    
+    // 1. 列数の一貫性
+    const sampleDataRows = dataRecords.slice(0, 10);
+    const columnCounts = sampleDataRows.map(record => record.fields.length);
+    const consistency = columnCounts.filter(count => count === columns.length).length / Math.max(columnCounts.length, 1);
+    score += consistency * 50;
+    
+    // 2. ヘッダーの品質
+    for (const column of columns) {
+      if (column && column.trim()) {
+        // 文字が含まれている
+        score += 10;
+        
+        // 数値でない（ヘッダーらしい）
+        if (isNaN(column.replace(/[^0-9.-]/g, ''))) {
+          score += 5;
+        }
+        
+        // 一般的なヘッダー語句
+        const headerKeywords = ['name', 'date', 'id', '名前', '日付', '金額', 'amount', 'price', '売上', '利益'];
+        if (headerKeywords.some(keyword => column.toLowerCase().includes(keyword))) {
+          score += 15;
+        }
+      }
+    }
+    
+    return score;
+  }
+
+  // ============================================
+  // ヘッダーのクリーニング
+  // ============================================
+  static cleanHeader(header) {
+    return header
+      .replace(/["\'\`]/g, '')  // 引用符削除
+      .replace(/[^\w\s\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF]/g, '_')  // 特殊文字を_に
+      .trim()
+      .replace(/\s+/g, '_')     // スペースを_に
+      || 'Column_' + Math.random().toString(36).substr(2, 5);  // 空の場合はランダム名
+  }
+
+  // ============================================
+  // データ行の解析
+  // ============================================
+  // 値は文字列のまま返す（型の変換は列ごとに推定した型に合わせて TypeInference.apply で行う）
+  static parseDataRows(records, headerInfo, rowLineNumbers = [], malformedLines = []) {
+    const headers = headerInfo.headers;
+    const data = [];
+    
+    // ヘッダー行以降をデータとして処理
+    for (let i = headerInfo.rowIndex + 1; i < records.length; i++) {
+      const record = records[i];
+      const values = [...record.fields];
+      
+      // 列数が合わない場合の対処（補完・切り捨てた行はデータ品質レポートで行番号付きで示す）
+      if (values.length !== headers.length) {
+        malformedLines.push({
+          lineNumber: record.lineNumber,
+          type: 'columnCount',
+          expected: headers.length,
+          actual: values.length,
+          message: `列数が一致しません（期待: ${headers.length}列, 実際: ${values.length}列）`
+        });
+        
+        // 少ない場合は空文字で埋める
+        while (values.length < headers.length) {
+          values.push('');
+        }
+        
+        // 多い場合は切り捨て
+        if (values.length > headers.length) {
+          values.splice(headers.length);
+        }
+      }
+      
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = values[index] || '';
+      });
+      
+      data.push(row);
+      rowLineNumbers.push(record.lineNumber);
+    }
+    
+    return data;
+  }
+
+  // ============================================
+  // 値の型変換（1セル単位。テキストの列と、列の型に一致しない値に使う）
+  // ============================================
+  static convertValue(value, quoted = false) {
+    if (!value || (!quoted && value.trim() === '')) return null;
+    
+    const trimmed = value.trim();
+    
+    // 数値の変換
+    if (/^-?\d{1,3}(,\d{3})*(\.\d+)?$/.test(trimmed)) {
+      // カンマ区切りの数値
+      return parseFloat(trimmed.replace(/,/g, ''));
+    }
+    
+    if (/^-?\d+(\.\d+)?$/.test(trimmed)) {
+      // 普通の数値
+      return parseFloat(trimmed);
+    }
+    
+    // 引用符で囲まれた文字列は前後の空白も値として保持する
+    return quoted ? value : trimmed;
+  }
+
+  // ============================================
+  // ユーティリティ関数
+  // ============================================
+  static findMode(arr) {
+    const frequency = {};
+    let maxCount = 0;
+    let mode = arr[0];
+    
+    for (const num of arr) {
+      frequency[num] = (frequency[num] || 0) + 1;
+      if (frequency[num] > maxCount) {
+        maxCount = frequency[num];
+        mode = num;
+      }
+    }
+    
+    return mode;
+  }
+}
+
+module.exports = { CSVParser };
@@ -1,47 +1,117 @@
-const csv = require('csv-parser');
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
-const { Readable } = require('stream');
+const { StatisticsEngine } = require('./StatisticsEngine');
+const { CSVParser } = require('./CSVParser');
+const { MultiFileAnalyzer } = require('./MultiFileAnalyzer');
+const { ResultCache } = require('./ResultCache');
 
 class CSVProcessor {
   constructor() {
     this.maxRows = 10000;
     this.maxFileSize = 10 * 1024 * 1024; // 10MB
+    this.maxFiles = 5;
   }
 
-  async downloadAndProcessCSV(file, slackClient) {
+  // 添付ファイルをすべて読み込み、複数ある場合は縦結合・横結合した1つのデータセットにまとめる
+  async loadFiles(files) {
+    const datasets = [];
+    for (const file of files) {
+      datasets.push(await this.downloadAndProcessCSV(file));
+    }
+
+    if (datasets.length === 1) {
+      return datasets[0];
+    }
+
+    const { headers, data, lineNumbers, ...multiFile } = MultiFileAnalyzer.combine(datasets);
+    return this.buildDataset({
+      fileName: files.map(file => file.name).join(' + '),
+      headers,
+      data,
+      lineNumbers,
+      encoding: [...new Set(datasets.map(dataset => dataset.encoding))].join(', '),
+      // 結合結果はファイルの順序にも依存するため、順序どおりに連結してハッシュする
+      contentHash: ResultCache.hash(datasets.map(dataset => dataset.contentHash).join('\n')),
+      malformedLines: datasets.flatMap(dataset => dataset.malformedLines.map(error => ({ fileName: dataset.fileName, ...error }))),
+      schema: this.mergeSchemas(headers, datasets, multiFile.alignment),
+      multiFile
+    });
+  }
+
+  // 結合後の列ごとに、その列を含む最初のファイルで推定した型を使う
+  mergeSchemas(headers, datasets, alignment) {
+    return headers
+      .map(column => {
+        for (const [index, dataset] of datasets.entries()) {
+          const entry = (dataset.schema || []).find(candidate => (alignment.mappings[index][candidate.column] || candidate.column) === column);
+          if (entry) return { ...entry, column };
+        }
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  async downloadAndProcessCSV(file) {
     try {
       console.log('Downloading file:', file.name);
-      
+
       if (file.size > this.maxFileSize) {
         throw new Error(`ファイルサイズが制限を超えています (最大: ${this.maxFileSize / 1024 / 1024}MB)`);
       }
-      
-      const response = await axios.get(file.url_private_download, {
-        headers: {
-          'Authorization': `Bearer ${process.env.SLACK_BOT_TOKEN}`,
-        },
-        responseType: 'stream',
-        timeout: 30000,
-        maxContentLength: this.maxFileSize
-      });
 
-      const csvData = await this.parseCSVStream(response.data, file.name);
-      
-      if (csvData.length === 0) {
-        throw new Error('CSVファイルにデータが含まれていません');
+      const buffer = await this.downloadFile(file);
+      return this.parseBuffer(buffer, file.name);
+
+    } catch (error) {
+      console.error('Error processing CSV:', error);
+      throw new Error(`CSVファイルの処理中にエラーが発生しました: ${error.message}`);
+    }
+  }
+
+  parseBuffer(buffer, fileName) {
+    const isTSV = fileName.toLowerCase().endsWith('.tsv');
+    const parsed = CSVParser.parse(buffer, isTSV ? { delimiter: '\t' } : {});
+
+    if (parsed.data.length === 0) {
+      throw new Error('CSVファイルにデータが含まれていません');
+    }
+
+    return this.buildDataset({
+      fileName,
+      headers: parsed.headers,
+      data: parsed.data,
+      lineNumbers: parsed.lineNumbers,
+      encoding: parsed.metadata.encoding,
+      contentHash: parsed.metadata.contentHash,
+      malformedLines: parsed.metadata.malformedLines,
+      schema: parsed.schema
+    });
+  }
+
+  // データ整形用の読み込み。値は型変換せず（先頭の0や桁区切りを保つ）、整形後のファイルで行が欠けないよう行数の上限も適用しない
+  async loadRawFile(file) {
+    try {
+      console.log('Downloading file for cleaning:', file.name);
+
+      if (file.size > this.maxFileSize) {
+        throw new Error(`ファイルサイズが制限を超えています (最大: ${this.maxFileSize / 1024 / 1024}MB)`);
       }
 
-      if (csvData.length > this.maxRows) {
-        console.log(`CSV has ${csvData.length} rows, truncating to ${this.maxRows}`);
-        csvData.splice(this.maxRows);
+      const buffer = await this.downloadFile(file);
+      const isTSV = file.name.toLowerCase().endsWith('.tsv');
+      const parsed = CSVParser.parse(buffer, { convertValues: false, ...(isTSV ? { delimiter: '\t' } : {}) });
+      if (parsed.data.length === 0) {
+        throw new Error('CSVファイルにデータが含まれていません');
       }
 
       return {
-        data: csvData,
         fileName: file.name,
-        rowCount: csvData.length,
-        columns: Object.keys(csvData[0] || {}),
-        summary: this.generateDataSummary(csvData)
+        headers: parsed.headers,
+        originalHeaders: parsed.originalHeaders,
+        data: parsed.data,
+        lineNumbers: parsed.lineNumbers,
+        encoding: parsed.metadata.encoding
       };
 
     } catch (error) {
@@ -50,83 +120,87 @@ class CSVProcessor {
     }
   }
 
-  async parseCSVStream(stream, fileName) {
-    return new Promise((resolve, reject) => {
-      const results = [];
-      const isTSV = fileName.toLowerCase().endsWith('.tsv');
-      const separator = isTSV ? '\t' : ',';
-      
-      let rowCount = 0;
-
-      stream
-        .pipe(csv({ separator }))
-        .on('data', (data) => {
-          rowCount++;
-          if (rowCount <= this.maxRows) {
-            this.cleanRowData(data);
-            results.push(data);
-          }
-        })
-        .on('end', () => {
-          console.log(`Parsed ${results.length} rows from ${fileName}`);
-          resolve(results);
-        })
-        .on('error', (error) => {
-          console.error('CSV parsing error:', error);
-          reject(new Error('CSVファイルの形式が正しくありません'));
-        });
-    });
+  // 定期レポートのデータソース（{ type: 'slack' | 'url' | 'local', value }）を読み込む
+  // 読み込んでよいソースかどうかは ReportScheduler.checkSource で確認済みであること
+  async loadSource(source, client) {
+    if (source.type === 'slack') {
+      const { file } = await client.files.info({ file: source.value });
+      const validation = this.validateFiles([file]);
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join(' / '));
+      }
+      return this.loadFiles([file]);
+    }
+
+    try {
+      console.log('Loading source:', source.type, source.value);
+      const buffer = source.type === 'url'
+        ? await this.fetchURL(source.value)
+        : await this.readLocalFile(source.value);
+      const name = decodeURIComponent(path.basename(source.type === 'url' ? new URL(source.value).pathname : source.value)) || 'data.csv';
+      return this.parseBuffer(buffer, name);
+
+    } catch (error) {
+      console.error('Error processing CSV:', error);
+      throw new Error(`CSVファイルの処理中にエラーが発生しました: ${error.message}`);
+    }
   }
 
-  cleanRowData(row) {
-    for (const key in row) {
-      if (row[key] === '') {
-        row[key] = null;
-      } else if (row[key] && !isNaN(row[key])) {
-        const num = parseFloat(row[key]);
-        if (!isNaN(num)) {
-          row[key] = num;
-        }
-      }
+  async fetchURL(url) {
+    try {
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        maxContentLength: this.maxFileSize,
+        // 転送先が許可した範囲の外になりうるため、リダイレクトは追わない
+        maxRedirects: 0
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      throw new Error(`ファイルのダウンロードに失敗しました: ${error.message}`);
     }
-    return row;
   }
 
-  generateDataSummary(data) {
-    if (!data || data.length === 0) {
-      return { rowCount: 0, columns: [] };
+  async readLocalFile(filePath) {
+    const stat = await fs.promises.stat(filePath);
+    if (stat.size > this.maxFileSize) {
+      throw new Error(`ファイルサイズが制限を超えています (最大: ${this.maxFileSize / 1024 / 1024}MB)`);
     }
+    return fs.promises.readFile(filePath);
+  }
 
-    const columns = Object.keys(data[0]);
-    const summary = {
-      rowCount: data.length,
-      columns: columns,
-      columnTypes: {},
-      sampleData: data.slice(0, 3)
-    };
+  async downloadFile(file) {
+    try {
+      const response = await axios.get(file.url_private_download || file.url_private, {
+        headers: {
+          'Authorization': `Bearer ${process.env.SLACK_BOT_TOKEN}`,
+        },
+        // 文字コードを判定するため、テキストではなくバイト列として受け取る
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        maxContentLength: this.maxFileSize
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      throw new Error(`ファイルのダウンロードに失敗しました: ${error.message}`);
+    }
+  }
 
-    columns.forEach(column => {
-      const values = data.map(row => row[column]).filter(val => val !== null && val !== undefined);
-      const numericValues = values.filter(val => typeof val === 'number' && !isNaN(val));
-      
-      if (numericValues.length > values.length * 0.5) {
-        summary.columnTypes[column] = {
-          type: 'numeric',
-          min: Math.min(...numericValues),
-          max: Math.max(...numericValues),
-          avg: numericValues.reduce((a, b) => a + b, 0) / numericValues.length
-        };
-      } else {
-        const uniqueValues = [...new Set(values)];
-        summary.columnTypes[column] = {
-          type: 'categorical',
-          uniqueCount: uniqueValues.length,
-          sampleValues: uniqueValues.slice(0, 5)
-        };
-      }
-    });
+  // 行数の上限を適用し、全行から記述統計を算出する
+  buildDataset(dataset) {
+    const { data, lineNumbers } = dataset;
+    if (data.length > this.maxRows) {
+      console.log(`CSV has ${data.length} rows, truncating to ${this.maxRows}`);
+      data.splice(this.maxRows);
+      lineNumbers.splice(this.maxRows);
+    }
 
-    return summary;
+    return {
+      ...dataset,
+      rowCount: data.length,
+      malformedLines: dataset.malformedLines || [],
+      statistics: StatisticsEngine.describe(dataset.headers, data)
+    };
   }
 
   extractAnalysisIntent(message) {
@@ -135,10 +209,11 @@ class CSVProcessor {
 
     const intentKeywords = {
       'trend': ['トレンド', 'trend', '傾向', '推移', '変化', '時系列'],
-      'summary': ['要約', 'summary', '概要', 'まとめ', '統計'],
+      'summary': ['要約', 'summary', '概要', 'まとめ', '統計', 'サマリー'],
       'correlation': ['相関', 'correlation', '関係', '関連'],
-      'anomaly': ['異常', 'anomaly', '外れ値', 'outlier'],
-      'comparison': ['比較', 'comparison', '違い', 'difference']
+      'anomaly': ['異常', 'anomaly', '外れ値', 'outlier', 'アノマリー'],
+      'comparison': ['比較', 'comparison', 'compare', '違い', 'difference', '対比'],
+      'quality': ['品質', 'quality', '不備', 'データチェック']
     };
 
     for (const [intent, keywords] of Object.entries(intentKeywords)) {
@@ -154,6 +229,21 @@ class CSVProcessor {
     return intents;
   }
 
+  validateFiles(files) {
+    if (files.length > this.maxFiles) {
+      return { isValid: false, errors: [`一度に分析できるファイルは${this.maxFiles}件までです`] };
+    }
+
+    const errors = [];
+    files.forEach(file => {
+      const validation = this.validateFile(file);
+      const prefix = files.length > 1 && file ? `${file.name}: ` : '';
+      validation.errors.forEach(error => errors.push(`${prefix}${error}`));
+    });
+
+    return { isValid: errors.length === 0, errors };
+  }
+
   validateFile(file) {
     const errors = [];
 
@@ -167,7 +257,7 @@ class CSVProcessor {
     }
 
     const validExtensions = ['.csv', '.tsv'];
-    const hasValidExtension = validExtensions.some(ext => 
+    const hasValidExtension = validExtensions.some(ext =>
       file.name.toLowerCase().endsWith(ext)
     );
 
@@ -182,4 +272,4 @@ class CSVProcessor {
   }
 }
 
-module.exports = { CSVProcessor };
\ No newline at end of file
+module.exports = { CSVProcessor };
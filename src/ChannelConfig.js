@@ -0,0 +1,55 @@
+const fs = require('fs');
+
+// チャンネルごとの設定
+// CHANNEL_CONFIG（JSON文字列）または CHANNEL_CONFIG_FILE（JSONファイルのパス）で指定する
+//
+// {
+//   "default": { "llm": { "model": "gpt-4" } },
+//   "C0123456789": { "llm": { "provider": "openai-compatible", "baseURL": "http://llm.internal/v1", "model": "llama3" } }
+// }
+//
+// "default" は全チャンネルに適用され、チャンネルIDのキーで項目ごとに上書きできる
+class ChannelConfig {
+  static load() {
+    if (this.cache === undefined) {
+      this.cache = this.read();
+    }
+    return this.cache;
+  }
+
+  // 設定の誤りは起動時のエラーにする（既定値で動かすと、チャンネルに指定した集計のみモードや接続先が外れるため）
+  static read() {
+    const source = process.env.CHANNEL_CONFIG_FILE ? 'CHANNEL_CONFIG_FILE' : 'CHANNEL_CONFIG';
+    let config;
+    try {
+      if (process.env.CHANNEL_CONFIG_FILE) {
+        config = JSON.parse(fs.readFileSync(process.env.CHANNEL_CONFIG_FILE, 'utf8'));
+      } else if (process.env.CHANNEL_CONFIG) {
+        config = JSON.parse(process.env.CHANNEL_CONFIG);
+      } else {
+        return {};
+      }
+    } catch (error) {
+      throw new Error(`チャンネル設定（${source}）を読み込めません: ${error.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(`チャンネル設定（${source}）はチャンネルIDをキーとするオブジェクトで指定してください`);
+    }
+    return config;
+  }
+
+  static reload() {
+    this.cache = undefined;
+    return this.load();
+  }
+
+  // 指定したセクション（"llm" など）の設定を既定値とチャンネル設定をマージして返す
+  static get(channel, section) {
+    const config = this.load();
+    const defaults = (config.default && config.default[section]) || {};
+    const overrides = (channel && config[channel] && config[channel][section]) || {};
+    return { ...defaults, ...overrides };
+  }
+}
+
+module.exports = { ChannelConfig };
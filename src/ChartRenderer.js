@@ -0,0 +1,262 @@
+const { RasterCanvas } = require('./RasterCanvas');
+const { StatisticsEngine } = require('./StatisticsEngine');
+
+const COLORS = {
+  background: [255, 255, 255],
+  axis: [64, 64, 64],
+  grid: [225, 225, 225],
+  text: [48, 48, 48],
+  primary: [68, 114, 196],
+  accent: [237, 125, 49]
+};
+
+const LAYOUT = {
+  width: 800,
+  height: 480,
+  marginLeft: 90,
+  marginRight: 30,
+  marginTop: 30,
+  marginBottom: 60,
+  fontScale: 2
+};
+
+class ChartRenderer {
+  // ============================================
+  // インテントに応じたグラフの生成
+  // ============================================
+  static buildCharts(intents, context) {
+    const charts = [];
+    const { headers, data, statistics, timeSeries, comparison } = context;
+
+    if (intents.includes('trend') && timeSeries && timeSeries.dateColumn && timeSeries.numericColumns.length > 0) {
+      const column = timeSeries.numericColumns[0];
+      const periods = timeSeries.series[timeSeries.primaryGranularity];
+      if (periods.length >= 2) {
+        charts.push({
+          type: 'line',
+          filename: 'trend.png',
+          title: `${column}の推移（${timeSeries.dateColumn}別合計）`,
+          buffer: this.lineChart(periods.map(period => period.period), periods.map(period => period.totals[column]))
+        });
+      }
+    }
+
+    if (intents.includes('comparison') && comparison && comparison.comparisons.length > 0 && comparison.numericColumns.length > 0) {
+      const column = comparison.numericColumns[0];
+      const groups = comparison.comparisons[0].groups.slice(0, 20);
+      const labels = groups.map(group => group.key.join(' x '));
+      const chart = this.barChart(labels, groups.map(group => group.metrics[column].sum));
+      charts.push({
+        type: 'bar',
+        filename: 'comparison.png',
+        title: `${comparison.comparisons[0].groupBy.join(' × ')}別 ${column}合計`,
+        buffer: chart.buffer,
+        legend: chart.legend
+      });
+    }
+
+    if (intents.includes('summary') || intents.includes('anomaly')) {
+      const column = headers.find(header => statistics.columns[header] && statistics.columns[header].type === 'numeric');
+      if (column) {
+        const values = data.map(row => row[column]).filter(value => typeof value === 'number' && !isNaN(value));
+        if (values.length >= 2) {
+          charts.push({
+            type: 'histogram',
+            filename: 'distribution.png',
+            title: `${column}の分布`,
+            buffer: this.histogram(values)
+          });
+        }
+      }
+    }
+
+    return charts;
+  }
+
+  // ============================================
+  // 折れ線グラフ
+  // ============================================
+  static lineChart(labels, values) {
+    const canvas = new RasterCanvas(LAYOUT.width, LAYOUT.height, COLORS.background);
+    const plot = this.plotArea();
+    const scale = this.drawValueAxis(canvas, plot, Math.min(0, ...values), Math.max(...values));
+
+    const step = values.length > 1 ? plot.width / (values.length - 1) : 0;
+    const points = values.map((value, index) => ({
+      x: plot.left + step * index,
+      y: scale(value)
+    }));
+
+    for (let i = 1; i < points.length; i++) {
+      canvas.drawLine(points[i - 1].x, points[i - 1].y, points[i].x, points[i].y, COLORS.primary, 3);
+    }
+    points.forEach(point => canvas.fillRect(point.x - 3, point.y - 3, 7, 7, COLORS.primary));
+
+    this.drawCategoryLabels(canvas, plot, labels, points.map(point => point.x));
+    return canvas.toPNG();
+  }
+
+  // ============================================
+  // 棒グラフ（日本語ラベルは番号で描画し、凡例を返す）
+  // ============================================
+  static barChart(labels, values) {
+    const canvas = new RasterCanvas(LAYOUT.width, LAYOUT.height, COLORS.background);
+    const plot = this.plotArea();
+    const scale = this.drawValueAxis(canvas, plot, Math.min(0, ...values), Math.max(0, ...values));
+
+    const slot = plot.width / Math.max(values.length, 1);
+    const barWidth = Math.max(2, slot * 0.6);
+    const centers = [];
+
+    values.forEach((value, index) => {
+      const center = plot.left + slot * index + slot / 2;
+      const top = Math.min(scale(value), scale(0));
+      const height = Math.abs(scale(value) - scale(0));
+      canvas.fillRect(center - barWidth / 2, top, barWidth, Math.max(height, 1), COLORS.primary);
+      if (RasterCanvas.measureText(this.formatTick(value), LAYOUT.fontScale) <= slot) {
+        canvas.drawText(this.formatTick(value), center, top - RasterCanvas.textHeight(LAYOUT.fontScale) - 4, COLORS.text, {
+          scale: LAYOUT.fontScale,
+          align: 'center'
+        });
+      }
+      centers.push(center);
+    });
+
+    const renderable = labels.every(label => RasterCanvas.canRender(label));
+    const drawnLabels = renderable ? labels : labels.map((label, index) => `${index + 1}`);
+    this.drawCategoryLabels(canvas, plot, drawnLabels, centers);
+
+    return {
+      buffer: canvas.toPNG(),
+      legend: renderable ? null : labels.map((label, index) => `${index + 1}: ${label} (${StatisticsEngine.formatNumber(values[index])})`)
+    };
+  }
+
+  // ============================================
+  // ヒストグラム（Sturgesの公式で階級数を決定）
+  // ============================================
+  static histogram(values, binCount) {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const bins = binCount || Math.min(30, Math.ceil(Math.log2(values.length) + 1));
+    const width = (max - min) / bins || 1;
+
+    const counts = new Array(bins).fill(0);
+    values.forEach(value => {
+      const index = Math.min(bins - 1, Math.floor((value - min) / width));
+      counts[index]++;
+    });
+
+    const canvas = new RasterCanvas(LAYOUT.width, LAYOUT.height, COLORS.background);
+    const plot = this.plotArea();
+    const scale = this.drawValueAxis(canvas, plot, 0, Math.max(...counts));
+
+    const slot = plot.width / bins;
+    counts.forEach((count, index) => {
+      const top = scale(count);
+      canvas.fillRect(plot.left + slot * index + 1, top, slot - 2, plot.bottom - top, COLORS.accent);
+    });
+
+    const edges = counts.map((count, index) => min + width * index);
+    this.drawCategoryLabels(canvas, plot, edges.map(edge => this.formatTick(edge)), edges.map((edge, index) => plot.left + slot * index));
+    return canvas.toPNG();
+  }
+
+  // ============================================
+  // 共通描画
+  // ============================================
+  static plotArea() {
+    return {
+      left: LAYOUT.marginLeft,
+      right: LAYOUT.width - LAYOUT.marginRight,
+      top: LAYOUT.marginTop,
+      bottom: LAYOUT.height - LAYOUT.marginBottom,
+      width: LAYOUT.width - LAYOUT.marginLeft - LAYOUT.marginRight,
+      height: LAYOUT.height - LAYOUT.marginTop - LAYOUT.marginBottom
+    };
+  }
+
+  // 目盛りと補助線を描画し、値→Y座標の変換関数を返す
+  static drawValueAxis(canvas, plot, minValue, maxValue) {
+    const ticks = this.niceTicks(minValue, maxValue);
+    const low = ticks[0];
+    const high = ticks[ticks.length - 1];
+    const scale = value => plot.bottom - ((value - low) / (high - low || 1)) * plot.height;
+
+    ticks.forEach(tick => {
+      const y = Math.round(scale(tick));
+      canvas.drawLine(plot.left, y, plot.right, y, COLORS.grid);
+      canvas.drawText(this.formatTick(tick), plot.left - 10, y - RasterCanvas.textHeight(LAYOUT.fontScale) / 2, COLORS.text, {
+        scale: LAYOUT.fontScale,
+        align: 'right'
+      });
+    });
+
+    canvas.drawLine(plot.left, plot.top, plot.left, plot.bottom, COLORS.axis, 2);
+    canvas.drawLine(plot.left, plot.bottom, plot.right, plot.bottom, COLORS.axis, 2);
+    return scale;
+  }
+
+  // ラベルが重ならないよう間引いて描画
+  static drawCategoryLabels(canvas, plot, labels, positions) {
+    if (labels.length === 0) return;
+    const fontScale = labels.some(label => RasterCanvas.measureText(label, LAYOUT.fontScale) > plot.width / 6) ? 1 : LAYOUT.fontScale;
+    const widest = Math.max(...labels.map(label => RasterCanvas.measureText(label, fontScale)));
+    const spacing = labels.length > 1 ? Math.abs(positions[1] - positions[0]) : plot.width;
+    const stride = Math.max(1, Math.ceil((widest + 8) / spacing));
+
+    labels.forEach((label, index) => {
+      if (index % stride !== 0) return;
+      canvas.drawText(label, positions[index], plot.bottom + 12, COLORS.text, { scale: fontScale, align: 'center' });
+    });
+  }
+
+  static niceTicks(minValue, maxValue, targetCount = 5) {
+    if (minValue === maxValue) {
+      maxValue = minValue + 1;
+    }
+    const rawStep = (maxValue - minValue) / targetCount;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rawStep);
+
+    const ticks = [];
+    for (let tick = Math.floor(minValue / step) * step; tick <= maxValue + step * 0.999; tick += step) {
+      ticks.push(Number(tick.toPrecision(12)));
+      if (tick >= maxValue) break;
+    }
+    return ticks;
+  }
+
+  static formatTick(value) {
+    const abs = Math.abs(value);
+    const trim = number => Number(number.toFixed(1)).toString();
+    if (abs >= 1e9) return `${trim(value / 1e9)}B`;
+    if (abs >= 1e6) return `${trim(value / 1e6)}M`;
+    if (abs >= 1e3) return `${trim(value / 1e3)}K`;
+    return Number.isInteger(value) ? String(value) : trim(value);
+  }
+
+  // ============================================
+  // Slackへのアップロード
+  // ============================================
+  static async uploadCharts(client, channel, threadTs, charts) {
+    if (charts.length === 0) return null;
+
+    const legends = charts
+      .filter(chart => chart.legend)
+      .map(chart => `*${chart.title}*\n${chart.legend.join('\n')}`);
+
+    return await client.files.uploadV2({
+      channel_id: channel,
+      thread_ts: threadTs,
+      initial_comment: `📈 グラフ: ${charts.map(chart => chart.title).join(' / ')}${legends.length > 0 ? `\n\n${legends.join('\n\n')}` : ''}`,
+      file_uploads: charts.map(chart => ({
+        file: chart.buffer,
+        filename: chart.filename,
+        title: chart.title
+      }))
+    });
+  }
+}
+
+module.exports = { ChartRenderer };
@@ -0,0 +1,77 @@
+class ConversationStore {
+  constructor(options = {}) {
+    const ttlMinutes = parseInt(process.env.CONVERSATION_TTL_MINUTES, 10) || 60;
+    this.ttlMs = options.ttlMs || ttlMinutes * 60 * 1000;
+    this.maxEntries = options.maxEntries || 100;
+    this.maxHistory = options.maxHistory || 10;
+    this.sessions = new Map();
+  }
+
+  static key(channel, threadTs) {
+    return `${channel}:${threadTs}`;
+  }
+
+  create(channel, threadTs, dataset) {
+    this.purgeExpired();
+
+    // 上限を超えたら最も古いスレッドから破棄
+    while (this.sessions.size >= this.maxEntries) {
+      const oldestKey = this.sessions.keys().next().value;
+      this.sessions.delete(oldestKey);
+    }
+
+    const session = {
+      ...dataset,
+      history: [],
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.ttlMs
+    };
+    this.sessions.set(ConversationStore.key(channel, threadTs), session);
+    return session;
+  }
+
+  // 結果メッセージのスレッドなど、別のthread_tsからも同じセッションを参照できるようにする
+  link(channel, threadTs, aliasTs) {
+    const session = this.get(channel, threadTs);
+    if (session) {
+      this.sessions.set(ConversationStore.key(channel, aliasTs), session);
+    }
+    return session;
+  }
+
+  get(channel, threadTs) {
+    if (!threadTs) return null;
+
+    const key = ConversationStore.key(channel, threadTs);
+    const session = this.sessions.get(key);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(key);
+      return null;
+    }
+
+    session.expiresAt = Date.now() + this.ttlMs;
+    return session;
+  }
+
+  appendTurn(session, question, answer) {
+    session.history.push({ role: 'user', content: question });
+    session.history.push({ role: 'assistant', content: answer });
+
+    if (session.history.length > this.maxHistory * 2) {
+      session.history.splice(0, session.history.length - this.maxHistory * 2);
+    }
+  }
+
+  purgeExpired() {
+    const now = Date.now();
+    for (const [key, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = { ConversationStore };
@@ -0,0 +1,145 @@
+const { StatisticsEngine } = require('./StatisticsEngine');
+
+class CorrelationAnalyzer {
+  static analyze(headers, data, options = {}) {
+    const minRows = options.minRows || 3;
+    const topN = options.topN || 5;
+    const numericColumns = options.numericColumns || headers.filter(column =>
+      StatisticsEngine.profileColumn(data.map(row => row[column])).type === 'numeric'
+    );
+
+    const pairs = [];
+    for (let i = 0; i < numericColumns.length; i++) {
+      for (let j = i + 1; j < numericColumns.length; j++) {
+        const pair = this.correlatePair(data, numericColumns[i], numericColumns[j]);
+        if (pair.rowCount >= minRows && pair.pearson !== null) {
+          pairs.push(pair);
+        }
+      }
+    }
+
+    const ranked = [...pairs].sort((a, b) => Math.abs(b.pearson) - Math.abs(a.pearson));
+
+    return {
+      numericColumns,
+      pairs: ranked,
+      topPositive: ranked.filter(pair => pair.pearson > 0).sort((a, b) => b.pearson - a.pearson).slice(0, topN),
+      topNegative: ranked.filter(pair => pair.pearson < 0).sort((a, b) => a.pearson - b.pearson).slice(0, topN)
+    };
+  }
+
+  // 両方の列に数値がある行のみを使用（ペアワイズ除外）
+  static correlatePair(data, columnA, columnB) {
+    const xs = [];
+    const ys = [];
+
+    data.forEach(row => {
+      const x = row[columnA];
+      const y = row[columnB];
+      if (typeof x === 'number' && !isNaN(x) && typeof y === 'number' && !isNaN(y)) {
+        xs.push(x);
+        ys.push(y);
+      }
+    });
+
+    return {
+      columnA,
+      columnB,
+      rowCount: xs.length,
+      pearson: this.pearson(xs, ys),
+      spearman: this.pearson(this.rank(xs), this.rank(ys))
+    };
+  }
+
+  static pearson(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return null;
+
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+      const dx = xs[i] - meanX;
+      const dy = ys[i] - meanY;
+      covariance += dx * dy;
+      varianceX += dx * dx;
+      varianceY += dy * dy;
+    }
+
+    // 定数列は相関を定義できない
+    if (varianceX === 0 || varianceY === 0) return null;
+
+    return covariance / Math.sqrt(varianceX * varianceY);
+  }
+
+  // 同順位は平均順位
+  static rank(values) {
+    const indexed = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+    const ranks = new Array(values.length);
+
+    let i = 0;
+    while (i < indexed.length) {
+      let j = i;
+      while (j + 1 < indexed.length && indexed[j + 1].value === indexed[i].value) j++;
+      const averageRank = (i + j) / 2 + 1;
+      for (let k = i; k <= j; k++) ranks[indexed[k].index] = averageRank;
+      i = j + 1;
+    }
+
+    return ranks;
+  }
+
+  static describeStrength(coefficient) {
+    const abs = Math.abs(coefficient);
+    const direction = coefficient >= 0 ? '正' : '負';
+    if (abs >= 0.7) return `強い${direction}の相関`;
+    if (abs >= 0.4) return `中程度の${direction}の相関`;
+    if (abs >= 0.2) return `弱い${direction}の相関`;
+    return 'ほぼ相関なし';
+  }
+
+  static formatPair(pair) {
+    return `${pair.columnA} × ${pair.columnB}: Pearson ${pair.pearson.toFixed(3)} / Spearman ${pair.spearman.toFixed(3)} ` +
+      `(${pair.rowCount}行, ${this.describeStrength(pair.pearson)})`;
+  }
+
+  static formatForPrompt(result, maxPairs = 20) {
+    if (!result || result.pairs.length === 0) {
+      return '数値列が2列未満、または有効な行が不足しているため相関係数を算出できませんでした。';
+    }
+
+    const lines = [];
+    lines.push(`対象の数値列: ${result.numericColumns.join(', ')}`);
+    lines.push('全ペアの相関係数（絶対値の大きい順）:');
+    result.pairs.slice(0, maxPairs).forEach(pair => lines.push(`- ${this.formatPair(pair)}`));
+    if (result.pairs.length > maxPairs) {
+      lines.push(`※他${result.pairs.length - maxPairs}ペアは省略`);
+    }
+
+    lines.push('最も強い正の相関:');
+    lines.push(...(result.topPositive.length > 0 ? result.topPositive.map(pair => `- ${this.formatPair(pair)}`) : ['- なし']));
+    lines.push('最も強い負の相関:');
+    lines.push(...(result.topNegative.length > 0 ? result.topNegative.map(pair => `- ${this.formatPair(pair)}`) : ['- なし']));
+
+    return lines.join('\n');
+  }
+
+  static formatForSlack(result, maxPairs = 3) {
+    if (!result || result.pairs.length === 0) {
+      return '*🔗 相関分析*\n相関係数を算出できる数値列の組み合わせがありませんでした。';
+    }
+
+    const format = pair => `• ${pair.columnA} × ${pair.columnB}: *r = ${pair.pearson.toFixed(2)}* ` +
+      `(ρ = ${pair.spearman.toFixed(2)}, n = ${pair.rowCount})`;
+
+    let text = '*🔗 相関分析（ローカル計算）*';
+    text += `\n_正の相関_\n${result.topPositive.slice(0, maxPairs).map(format).join('\n') || '• なし'}`;
+    text += `\n_負の相関_\n${result.topNegative.slice(0, maxPairs).map(format).join('\n') || '• なし'}`;
+    return text;
+  }
+}
+
+module.exports = { CorrelationAnalyzer };
@@ -0,0 +1,166 @@
+// 5項目（分 時 日 月 曜日）のcron式。指定したタイムゾーンの時刻で評価する
+// 使える書式: * / 数値 / 範囲(1-5) / 間隔(*/15, 1-10/2) / 列挙(1,15) / 月・曜日の英略称(jan, mon) / @daily などの略記
+
+const FIELDS = [
+  { name: '分', min: 0, max: 59 },
+  { name: '時', min: 0, max: 23 },
+  { name: '日', min: 1, max: 31 },
+  { name: '月', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // 0と7はどちらも日曜日
+  { name: '曜日', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// 次回の実行時刻を探す範囲（2月29日のみの指定なども見つけられるよう、うるう年の周期を含める）
+const SEARCH_LIMIT_DAYS = 366 * 8;
+
+class CronExpression {
+  constructor(source, timeZone) {
+    this.source = String(source || '').trim();
+    this.timeZone = timeZone;
+
+    const expanded = MACROS[this.source.toLowerCase()] || this.source;
+    const parts = expanded.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`cron式は「分 時 日 月 曜日」の5項目で指定してください: ${this.source}`);
+    }
+
+    [this.minutes, this.hours, this.days, this.months, this.weekdays] =
+      parts.map((part, index) => CronExpression.parseField(part, FIELDS[index]));
+    // 7（日曜日）は0として扱う
+    if (this.weekdays.has(7)) this.weekdays.add(0);
+
+    // 日と曜日の両方が指定された場合は、どちらかに一致する日に実行する（一般的なcronと同じ）
+    this.daysRestricted = parts[2] !== '*';
+    this.weekdaysRestricted = parts[4] !== '*';
+
+    this.wallClock = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    });
+  }
+
+  static isValid(source) {
+    try {
+      new CronExpression(source, 'UTC');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static parseField(text, field) {
+    const values = new Set();
+    const toNumber = token => {
+      const lower = token.toLowerCase();
+      const named = field.names ? field.names.indexOf(lower) : -1;
+      if (named >= 0) return named + (field.min === 1 ? 1 : 0);
+      if (!/^\d+$/.test(token)) throw new Error(`cron式の${field.name}の値が不正です: ${text}`);
+      return parseInt(token, 10);
+    };
+
+    text.split(',').forEach(item => {
+      const [range, stepText] = item.split('/');
+      const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+      if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+        throw new Error(`cron式の${field.name}の間隔が不正です: ${text}`);
+      }
+
+      let from;
+      let to;
+      if (range === '*') {
+        from = field.min;
+        to = field.max;
+      } else if (range.includes('-')) {
+        [from, to] = range.split('-').map(toNumber);
+      } else {
+        from = toNumber(range);
+        // 「5/10」は5から上限まで10おき
+        to = stepText === undefined ? from : field.max;
+      }
+
+      if (from < field.min || to > field.max || from > to) {
+        throw new Error(`cron式の${field.name}は${field.min}〜${field.max}の範囲で指定してください: ${text}`);
+      }
+      for (let value = from; value <= to; value += step) {
+        values.add(value);
+      }
+    });
+
+    return values;
+  }
+
+  // after より後（同じ分は含まない）で最初に一致する時刻
+  next(after = new Date()) {
+    // タイムゾーンの壁時計の時刻を、UTCのメソッドで扱う Date として探索する
+    const wall = this.toWallClock(new Date(after));
+    wall.setUTCSeconds(0, 0);
+    wall.setUTCMinutes(wall.getUTCMinutes() + 1);
+    const limit = wall.getTime() + SEARCH_LIMIT_DAYS * 24 * 60 * 60 * 1000;
+
+    while (wall.getTime() < limit) {
+      if (!this.months.has(wall.getUTCMonth() + 1)) {
+        wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+        wall.setUTCHours(0, 0);
+        continue;
+      }
+      if (!this.matchesDay(wall)) {
+        wall.setUTCDate(wall.getUTCDate() + 1);
+        wall.setUTCHours(0, 0);
+        continue;
+      }
+      if (!this.hours.has(wall.getUTCHours())) {
+        wall.setUTCHours(wall.getUTCHours() + 1, 0);
+        continue;
+      }
+      if (!this.minutes.has(wall.getUTCMinutes())) {
+        wall.setUTCMinutes(wall.getUTCMinutes() + 1);
+        continue;
+      }
+
+      const instant = this.fromWallClock(wall);
+      // 夏時間の切り替えで存在しない時刻は飛ばす
+      if (instant > after.getTime() && this.toWallClock(new Date(instant)).getTime() === wall.getTime()) {
+        return new Date(instant);
+      }
+      wall.setUTCMinutes(wall.getUTCMinutes() + 1);
+    }
+
+    throw new Error(`cron式に一致する日時がありません: ${this.source}`);
+  }
+
+  matchesDay(wall) {
+    const dayMatches = this.days.has(wall.getUTCDate());
+    const weekdayMatches = this.weekdays.has(wall.getUTCDay());
+    if (this.daysRestricted && this.weekdaysRestricted) return dayMatches || weekdayMatches;
+    return dayMatches && weekdayMatches;
+  }
+
+  // 実際の時刻 → タイムゾーンの壁時計の時刻（UTCとして表現）
+  toWallClock(date) {
+    const parts = Object.fromEntries(this.wallClock.formatToParts(date).map(part => [part.type, part.value]));
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute));
+  }
+
+  // 壁時計の時刻 → 実際の時刻（ミリ秒）。オフセットは2回求めて夏時間の境界に合わせる
+  fromWallClock(wall) {
+    const offset = at => this.toWallClock(new Date(at)).getTime() - Math.floor(at / 60000) * 60000;
+    const guess = wall.getTime() - offset(wall.getTime());
+    return wall.getTime() - offset(guess);
+  }
+}
+
+module.exports = { CronExpression };
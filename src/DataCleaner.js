@@ -0,0 +1,436 @@
+const { CSVParser } = require('./CSVParser');
+const { StatisticsEngine } = require('./StatisticsEngine');
+const { OutlierDetector } = require('./OutlierDetector');
+const { TypeInference } = require('./TypeInference');
+
+// 整形の操作。指定した順序によらず、この順に適用する（表記を揃えてから重複を判定し、列名は最後に変える）
+const STEPS = [
+  { op: 'trim', label: '空白の除去', aliases: ['trim', '空白', '空白除去'] },
+  { op: 'normalize', label: '全角・半角の統一', aliases: ['normalize', 'nfkc', '全角', '全角半角', '正規化'] },
+  { op: 'dates', label: '日付のISO形式への統一', aliases: ['dates', 'date', '日付'] },
+  { op: 'fill', label: '欠損値の補完', aliases: ['fill', '補完', '穴埋め'] },
+  { op: 'dropna', label: '欠損のある行の削除', aliases: ['dropna', '欠損削除'] },
+  { op: 'dedupe', label: '重複行の削除', aliases: ['dedupe', 'dedup', 'unique', '重複削除'] },
+  { op: 'outliers', label: '外れ値のある行の削除', aliases: ['outliers', 'outlier', '外れ値', '外れ値削除'] },
+  { op: 'rename', label: '列名の変更', aliases: ['rename', '列名', '列名変更'] }
+];
+
+// 操作を指定しなかった場合（行の値を推測で変えない操作のみ）
+const DEFAULT_STEPS = ['trim', 'normalize', 'dates', 'dedupe'];
+
+const FILL_STRATEGIES = {
+  mean: 'mean', '平均': 'mean', '平均値': 'mean',
+  median: 'median', '中央値': 'median',
+  mode: 'mode', '最頻値': 'mode',
+  ffill: 'ffill', '前の値': 'ffill', '直前': 'ffill'
+};
+const FILL_LABELS = { mean: '平均値', median: '中央値', mode: '最頻値', ffill: '直前の値' };
+
+// 外れ値として行を削除するのは、Zスコア・IQR・MADのうち2つ以上で外れ値と判定された値
+const OUTLIER_MIN_METHODS = 2;
+
+// 全角英数字・記号・空白は半角に、半角カナは全角にする
+const WIDTH_PATTERN = /[！-～　]+|[｡-ﾟ]+/g;
+
+// + - @ で始まる値のうち、関数の呼び出し・セル参照・DDE（cmd|...）を含むものを数式とみなす
+// （-、+81-3-1234-5678、-1200 などの値はExcelでも数式として実行されないためそのまま出力する）
+const FORMULA_BODY = /[A-Za-z_][\w.]*\s*\(|(?<![\w.])\$?[A-Za-z]{1,3}\$?\d+(?!\w)|\|/;
+
+class DataCleaner {
+  // 「clean」「整形」などで始まるメンションをデータ整形の依頼として扱う
+  static isCleanCommand(text) {
+    return /^(clean|cleanse|クレンジング|クリーニング|整形|データ整形)(\s|$)/i.test(String(text || '').trim());
+  }
+
+  // 「clean dedupe trim fill=数量:0,mean rename=売上:売上金額 bom」を { steps, bom, help } に変換する
+  // 列の指定は「操作=列1,列2」。省略した場合はすべての列（日付は日付と判定した列）に適用する
+  static parseCommand(text) {
+    const tokens = String(text || '').trim()
+      .replace(/^(clean|cleanse|クレンジング|クリーニング|整形|データ整形)\s*/i, '')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const requested = new Map();
+    let bom = false;
+
+    for (const token of tokens) {
+      const [, name, value] = token.match(/^([^=＝]*)(?:[=＝](.*))?$/);
+      const lower = name.toLowerCase();
+
+      if (['help', 'ヘルプ'].includes(lower)) {
+        return { help: true, steps: [], bom };
+      }
+      if (['bom', 'excel', 'エクセル'].includes(lower)) {
+        bom = true;
+        continue;
+      }
+
+      const step = STEPS.find(candidate => candidate.aliases.includes(lower));
+      if (!step) {
+        throw new Error(`「${token}」は指定できません（指定できる操作: ${STEPS.map(candidate => candidate.op).join(', ')}, bom）`);
+      }
+      requested.set(step.op, this.parseStepOptions(step, value));
+    }
+
+    const ops = requested.size > 0 ? [...requested.keys()] : DEFAULT_STEPS;
+    const steps = STEPS
+      .filter(step => ops.includes(step.op))
+      .map(step => ({ op: step.op, label: step.label, ...(requested.get(step.op) || { columns: [] }) }));
+
+    return { help: false, steps, bom };
+  }
+
+  static parseStepOptions(step, value) {
+    const items = (value || '').split(/[,、]/).map(item => item.trim()).filter(Boolean);
+
+    if (step.op === 'fill') {
+      if (items.length === 0) {
+        throw new Error('補完する値を指定してください（例: fill=0, fill=mean, fill=数量:0,単価:median）');
+      }
+      // 「列:値」は列ごとの指定、「値」だけならすべての列。列ごとの指定を優先する
+      const fills = items.map(item => {
+        const separator = item.search(/[:：]/);
+        const column = separator > 0 ? item.slice(0, separator) : null;
+        const spec = separator > 0 ? item.slice(separator + 1) : item;
+        return { column, strategy: FILL_STRATEGIES[spec.toLowerCase()] || null, value: spec };
+      });
+      return { columns: [], fills: [...fills.filter(fill => fill.column), ...fills.filter(fill => !fill.column)] };
+    }
+
+    if (step.op === 'rename') {
+      const renames = items.map(item => {
+        const [from, to] = item.split(/[:：→]/).map(name => (name || '').trim());
+        if (!from || !to) {
+          throw new Error(`列名の変更は「旧列名:新列名」の形で指定してください: ${item}`);
+        }
+        return { from, to };
+      });
+      if (renames.length === 0) {
+        throw new Error('変更する列名を指定してください（例: rename=売上:売上金額）');
+      }
+      return { columns: [], renames };
+    }
+
+    return { columns: items };
+  }
+
+  // ============================================================================
+  // 整形
+  // ============================================================================
+
+  // table: CSVProcessor.loadRawFile の結果（値は文字列のまま）。元の table は変更しない
+  // 出力する列名は元の表記（変更した列は変更後の名前）とする
+  static clean(table, command) {
+    const originalHeaders = table.originalHeaders || table.headers;
+    const context = {
+      headers: [...table.headers],
+      labels: new Map(table.headers.map((column, index) => [column, originalHeaders[index]])),
+      entries: table.data.map((row, index) => ({ row: { ...row }, lineNumber: table.lineNumbers[index] }))
+    };
+
+    const steps = command.steps.map(step => {
+      const columns = this.resolveColumns(step.columns, context.headers);
+      const result = this[step.op](context, { ...step, columns });
+      return { op: step.op, label: step.label, cells: 0, rows: 0, removedLines: [], details: [], ...result };
+    });
+
+    // 出力時に数式を無効化するセルも、値を変える操作として変更内容に含める
+    const formulas = this.countFormulas(context);
+    if (formulas.cells > 0) {
+      steps.push({ op: 'formula', label: '数式の無効化', removedLines: [], ...formulas });
+    }
+
+    return {
+      fileName: table.fileName,
+      encoding: table.encoding,
+      headers: context.headers,
+      headerLabels: context.headers.map(column => context.labels.get(column)),
+      data: context.entries.map(entry => entry.row),
+      rowCountBefore: table.data.length,
+      rowCountAfter: context.entries.length,
+      steps
+    };
+  }
+
+  // 列名は、読み込み時に整えた列名（空白→_ など）でも元の表記でも指定できる
+  static resolveColumns(columns, headers) {
+    return columns.map(column => this.resolveColumn(column, headers));
+  }
+
+  static resolveColumn(column, headers) {
+    if (headers.includes(column)) return column;
+    const cleaned = CSVParser.cleanHeader(column);
+    if (headers.includes(cleaned)) return cleaned;
+    throw new Error(`列「${column}」が見つかりません（列: ${headers.join(', ')}）`);
+  }
+
+  static isMissing(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+  }
+
+  // fn(value, column) の戻り値で各セルを置き換え、変わったセル数と行数を数える
+  static mapCells(entries, columns, fn) {
+    let cells = 0;
+    let rows = 0;
+    entries.forEach(entry => {
+      let changed = false;
+      columns.forEach(column => {
+        const value = entry.row[column];
+        const next = fn(value, column);
+        if (next !== value) {
+          entry.row[column] = next;
+          cells++;
+          changed = true;
+        }
+      });
+      if (changed) rows++;
+    });
+    return { cells, rows };
+  }
+
+  // keep(entry) が false の行を削除する
+  static removeRows(context, keep) {
+    const removedLines = [];
+    context.entries = context.entries.filter(entry => {
+      if (keep(entry)) return true;
+      removedLines.push(entry.lineNumber);
+      return false;
+    });
+    return { rows: removedLines.length, removedLines };
+  }
+
+  // 前後の空白と、値の途中で連続する空白（改行は残す）
+  static trim({ headers, entries }, step) {
+    const columns = step.columns.length > 0 ? step.columns : headers;
+    return this.mapCells(entries, columns, value => value.trim().replace(/[ \t　]{2,}/g, ' '));
+  }
+
+  static normalize({ headers, entries }, step) {
+    const columns = step.columns.length > 0 ? step.columns : headers;
+    return this.mapCells(entries, columns, value => value.replace(WIDTH_PATTERN, match => match.normalize('NFKC')));
+  }
+
+  static dates({ headers, entries }, step) {
+    const columns = step.columns.length > 0
+      ? step.columns
+      : TypeInference.inferSchema(headers, entries.map(entry => entry.row))
+        .filter(entry => ['date', 'datetime', 'wareki'].includes(entry.type))
+        .map(entry => entry.column);
+    return {
+      ...this.mapCells(entries, columns, value => this.toISODate(value)),
+      details: columns.length > 0 ? [`対象の列: ${columns.join(', ')}`] : []
+    };
+  }
+
+  // YYYY-MM-DD（年月のみは YYYY-MM、時刻付きは YYYY-MM-DD HH:mm:ss）。和暦・全角数字の日付も変換する
+  // 日付として読めない値と、タイムゾーン付きの値はそのまま
+  // 時刻との区切りは、Excelで日時として読み込まれるよう T ではなく空白にする
+  static toISODate(value) {
+    const text = value.trim();
+    if (/(Z|[+-]\d{2}:?\d{2})$/.test(text) && /\d[T\s]\d/.test(text)) return value;
+
+    const parsed = TypeInference.parseDate(text);
+    return parsed ? TypeInference.formatISODate(parsed) : value;
+  }
+
+  static fill({ headers, entries }, step) {
+    let cells = 0;
+    const filledRows = new Set();
+    const details = [];
+
+    step.fills.forEach(spec => {
+      const columns = spec.column ? [this.resolveColumn(spec.column, headers)] : headers;
+
+      columns.forEach(column => {
+        const fillValue = this.fillValue(entries, column, spec.strategy);
+        // 平均値・中央値は数値の列のみ。列を指定しなかった場合、数値でない列は対象外とする
+        if (fillValue === undefined) {
+          if (spec.column) details.push(`${column}: 数値の列ではないため${FILL_LABELS[spec.strategy]}で補完できません`);
+          return;
+        }
+
+        let count = 0;
+        let previous = null;
+        entries.forEach(entry => {
+          const value = entry.row[column];
+          if (!this.isMissing(value)) {
+            previous = value;
+            return;
+          }
+          const next = spec.strategy === 'ffill' ? previous : spec.strategy ? fillValue : spec.value;
+          if (next === null) return;
+          entry.row[column] = next;
+          filledRows.add(entry);
+          count++;
+        });
+
+        if (count > 0) {
+          cells += count;
+          const shown = spec.strategy === 'ffill' ? FILL_LABELS.ffill
+            : spec.strategy ? `${FILL_LABELS[spec.strategy]} ${fillValue}`
+            : spec.value;
+          details.push(`${column}: ${StatisticsEngine.formatNumber(count)}件（${shown}）`);
+        }
+      });
+    });
+
+    return { cells, rows: filledRows.size, details };
+  }
+
+  // 補完に使う値。数値の列でなく平均値・中央値を求められない場合は undefined
+  static fillValue(entries, column, strategy) {
+    const present = entries.map(entry => entry.row[column]).filter(value => !this.isMissing(value));
+
+    if (strategy === 'mode') {
+      const [top] = StatisticsEngine.frequencies(present, 1);
+      return top ? top.value : null;
+    }
+    if (strategy !== 'mean' && strategy !== 'median') return null;
+
+    const typed = this.typedRows([column], present.map(value => ({ [column]: value }))).map(row => row[column]);
+    if (StatisticsEngine.profileColumn(typed).type !== 'numeric') return undefined;
+
+    const numbers = typed.filter(value => typeof value === 'number');
+    const summary = StatisticsEngine.numericSummary(numbers);
+    // 元の値の小数点以下の桁数に揃える
+    const decimals = Math.max(0, ...numbers.map(value => (String(value).split('.')[1] || '').length));
+    return String(Number(summary[strategy].toFixed(Math.min(decimals, 10))));
+  }
+
+  // 通貨・割合・△付きの負数なども数値として読む（ID・コードの列は数値として扱わない）
+  static typedRows(headers, rows) {
+    return TypeInference.apply(rows, TypeInference.inferSchema(headers, rows), value => CSVParser.convertValue(value, true));
+  }
+
+  static dropna(context, step) {
+    const columns = step.columns.length > 0 ? step.columns : context.headers;
+    return this.removeRows(context, entry => !columns.some(column => this.isMissing(entry.row[column])));
+  }
+
+  // すべての列（列を指定した場合はその列）の値が一致する行。最初の行を残す
+  static dedupe(context, step) {
+    const columns = step.columns.length > 0 ? step.columns : context.headers;
+    const seen = new Set();
+    return this.removeRows(context, entry => {
+      const key = JSON.stringify(columns.map(column => entry.row[column]));
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  static outliers(context, step) {
+    const typed = this.typedRows(context.headers, context.entries.map(entry => entry.row));
+    const result = OutlierDetector.analyze(context.headers, typed, {
+      lineNumbers: context.entries.map(entry => entry.lineNumber),
+      ...(step.columns.length > 0 ? { numericColumns: step.columns } : {})
+    });
+
+    const findings = result.flagged.filter(finding => finding.methods.length >= OUTLIER_MIN_METHODS);
+    const removed = new Set(findings.map(finding => context.entries[finding.rowIndex]));
+    const columns = new Map();
+    findings.forEach(finding => columns.set(finding.column, (columns.get(finding.column) || 0) + 1));
+
+    return {
+      ...this.removeRows(context, entry => !removed.has(entry)),
+      details: [...columns.entries()].map(([column, count]) => `${column}: ${StatisticsEngine.formatNumber(count)}件`)
+    };
+  }
+
+  static rename(context, step) {
+    const renames = step.renames.map(({ from, to }) => ({ from: this.resolveColumn(from, context.headers), to }));
+    const mapping = new Map(renames.map(({ from, to }) => [from, to]));
+    const headers = context.headers.map(column => mapping.get(column) || column);
+
+    const duplicated = headers.filter((column, index) => headers.indexOf(column) !== index);
+    if (duplicated.length > 0) {
+      throw new Error(`変更後の列名が他の列と重複します: ${[...new Set(duplicated)].join(', ')}`);
+    }
+
+    context.entries.forEach(entry => {
+      entry.row = Object.fromEntries(context.headers.map((column, index) => [headers[index], entry.row[column]]));
+    });
+    const details = renames.map(({ from, to }) => `${context.labels.get(from)} → ${to}`);
+    context.labels = new Map(context.headers.map((column, index) => [headers[index], mapping.has(column) ? mapping.get(column) : context.labels.get(column)]));
+    context.headers = headers;
+
+    return { details };
+  }
+
+  // 出力時に先頭に ' を付けるセル（列名の行を含む）の数と、その列
+  static countFormulas({ headers, labels, entries }) {
+    const labelCells = headers.filter(column => this.isFormula(String(labels.get(column)))).length;
+    let cells = labelCells;
+    let rows = 0;
+    const columns = new Map(labelCells > 0 ? [[null, labelCells]] : []);
+    entries.forEach(entry => {
+      const found = headers.filter(column => this.isFormula(String(entry.row[column] ?? '')));
+      found.forEach(column => columns.set(column, (columns.get(column) || 0) + 1));
+      cells += found.length;
+      if (found.length > 0) rows++;
+    });
+    const details = [...columns.entries()]
+      .map(([column, count]) => `${column === null ? '列名' : labels.get(column)}: ${StatisticsEngine.formatNumber(count)}件`);
+    return { cells, rows, details: details.length > 0 ? [`先頭に ' を付けて文字列として出力（${details.join(', ')}）`] : [] };
+  }
+
+  // ============================================================================
+  // 出力
+  // ============================================================================
+
+  // RFC 4180形式（CRLF）。区切り文字・引用符・改行・前後の空白を含む値は引用符で囲む
+  // headerLabels を指定した場合は、列名の行にその表記を出力する（clean の結果の headerLabels）
+  static toCSV(headers, data, options = {}) {
+    const escape = value => {
+      const text = this.neutralizeFormula(value === null || value === undefined ? '' : String(value));
+      return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [options.headerLabels || headers, ...data.map(row => headers.map(column => row[column]))]
+      .map(fields => fields.map(escape).join(','));
+
+    // ExcelはBOMがないとUTF-8のCSVをShift_JISとして開くため、指定があればBOMを付ける
+    return Buffer.from(`${options.bom ? '\uFEFF' : ''}${lines.join('\r\n')}\r\n`, 'utf8');
+  }
+
+  // 数式のセルはExcelなどで開いたときに実行されうるため、先頭に ' を付けて文字列として扱わせる（CSVインジェクション対策）
+  static neutralizeFormula(text) {
+    return this.isFormula(text) ? `'${text}` : text;
+  }
+
+  // = で始まる値と、+ - @ に続けて関数・セル参照を含む値（先頭の空白・タブ・改行は読み飛ばされるため除いて判定する）
+  static isFormula(text) {
+    const body = text.replace(/^\s+/, '');
+    if (/^=./s.test(body)) return true;
+    return /^[+\-@]/.test(body) && FORMULA_BODY.test(body.slice(1));
+  }
+
+  static outputFileName(fileName) {
+    return `${fileName.replace(/\.(csv|tsv)$/i, '')}_cleaned.csv`;
+  }
+
+  // 操作ごとの変更件数（行番号は元ファイルの行）
+  static formatLog(result) {
+    const fmt = value => StatisticsEngine.formatNumber(value);
+    const formatLines = lines => lines.length > 10
+      ? `${lines.slice(0, 10).join(', ')} ほか${lines.length - 10}行`
+      : lines.join(', ');
+
+    return result.steps.map(step => {
+      let summary;
+      if (step.op === 'rename') {
+        summary = step.details.join(', ');
+      } else if (['dropna', 'dedupe', 'outliers'].includes(step.op)) {
+        summary = step.rows > 0 ? `${fmt(step.rows)}行を削除（${formatLines(step.removedLines)}行目）` : '該当なし';
+        if (step.details.length > 0) summary += `\n    ${step.details.join(' / ')}`;
+      } else if (step.op === 'dates' && step.details.length === 0) {
+        summary = '日付の列が見つかりませんでした';
+      } else {
+        summary = step.cells > 0 ? `${fmt(step.cells)}セル（${fmt(step.rows)}行）` : '変更なし';
+        if (step.details.length > 0) summary += `\n    ${step.details.join(' / ')}`;
+      }
+      return `• ${step.label}: ${summary}`;
+    });
+  }
+}
+
+module.exports = { DataCleaner };
@@ -0,0 +1,124 @@
+const { TimeSeriesAnalyzer } = require('./TimeSeriesAnalyzer');
+
+const OPERATORS = ['eq', 'neq', 'in', 'not_in', 'contains', 'gt', 'gte', 'lt', 'lte', 'between', 'is_null', 'not_null'];
+
+class DataFilter {
+  // 質問文に含まれるカテゴリ値から絞り込み条件を作る（例: 「大阪だけだと？」→ 地域 = 大阪）
+  static fromMentions(headers, data, statistics, text, maxCardinality = 200) {
+    if (!text) return [];
+
+    const filters = [];
+    headers.forEach(column => {
+      const profile = statistics.columns[column];
+      if (!profile || profile.type !== 'categorical' || profile.distinctCount > maxCardinality) return;
+
+      const distinctValues = [...new Set(
+        data.map(row => row[column]).filter(value => value !== null && value !== undefined && value !== '').map(String)
+      )];
+      const mentioned = distinctValues.filter(value => value.length >= 2 && text.includes(value));
+
+      if (mentioned.length > 0) {
+        filters.push({ column, operator: 'in', value: mentioned });
+      }
+    });
+
+    return filters;
+  }
+
+  static apply(data, filters) {
+    if (!filters || filters.length === 0) return data;
+    return data.filter(row => this.matchesAll(row, filters));
+  }
+
+  static matchesAll(row, filters) {
+    return filters.every(filter => this.matches(row[filter.column], filter));
+  }
+
+  static matches(cell, filter) {
+    const missing = cell === null || cell === undefined || cell === '';
+
+    switch (filter.operator) {
+      case 'in':
+        return filter.value.map(String).includes(String(cell));
+      case 'not_in':
+        return !filter.value.map(String).includes(String(cell));
+      case 'eq':
+        return String(cell) === String(filter.value);
+      case 'neq':
+        return String(cell) !== String(filter.value);
+      case 'contains':
+        return !missing && String(cell).includes(String(filter.value));
+      case 'gt':
+        return !missing && this.compare(cell, filter.value) > 0;
+      case 'gte':
+        return !missing && this.compare(cell, filter.value) >= 0;
+      case 'lt':
+        return !missing && this.compare(cell, filter.value) < 0;
+      case 'lte':
+        return !missing && this.compare(cell, filter.value) <= 0;
+      case 'between':
+        return !missing && this.compare(cell, filter.value[0]) >= 0 && this.compare(cell, filter.value[1]) <= 0;
+      case 'is_null':
+        return missing;
+      case 'not_null':
+        return !missing;
+      default:
+        throw new Error(`未対応の絞り込み条件です: ${filter.operator}`);
+    }
+  }
+
+  // 数値 → 日付 → 文字列の順に比較方法を決める
+  static compare(a, b) {
+    const numA = typeof a === 'number' ? a : Number(a);
+    const numB = typeof b === 'number' ? b : Number(b);
+    if (a !== '' && b !== '' && !isNaN(numA) && !isNaN(numB)) {
+      return numA - numB;
+    }
+
+    const dateA = TimeSeriesAnalyzer.parseDate(a);
+    const dateB = TimeSeriesAnalyzer.parseDate(b);
+    if (dateA && dateB) {
+      return dateA - dateB;
+    }
+
+    return String(a).localeCompare(String(b), 'ja');
+  }
+
+  static describe(filters) {
+    return filters.map(filter => this.describeFilter(filter)).join(' かつ ');
+  }
+
+  static describeFilter(filter) {
+    const value = filter.value;
+    switch (filter.operator) {
+      case 'in':
+        return `${filter.column} = ${value.join(' または ')}`;
+      case 'not_in':
+        return `${filter.column} ≠ ${value.join(', ')}`;
+      case 'eq':
+        return `${filter.column} = ${value}`;
+      case 'neq':
+        return `${filter.column} ≠ ${value}`;
+      case 'contains':
+        return `${filter.column} に「${value}」を含む`;
+      case 'gt':
+        return `${filter.column} > ${value}`;
+      case 'gte':
+        return `${filter.column} ≥ ${value}`;
+      case 'lt':
+        return `${filter.column} < ${value}`;
+      case 'lte':
+        return `${filter.column} ≤ ${value}`;
+      case 'between':
+        return `${filter.column} が ${value[0]} 〜 ${value[1]}`;
+      case 'is_null':
+        return `${filter.column} が空欄`;
+      case 'not_null':
+        return `${filter.column} が空欄でない`;
+      default:
+        return `${filter.column} ${filter.operator} ${value}`;
+    }
+  }
+}
+
+module.exports = { DataFilter, OPERATORS };
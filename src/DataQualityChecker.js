@@ -0,0 +1,547 @@
+const { StatisticsEngine } = require('./StatisticsEngine');
+const { TimeSeriesAnalyzer } = require('./TimeSeriesAnalyzer');
+const { TypeInference } = require('./TypeInference');
+
+// 評価の観点と配点（合計100点）。各観点は、問題のある行（固定値列は列）の割合の平方根に比例して減点する
+const CATEGORIES = [
+  { key: 'completeness', label: '完全性', weight: 20, description: '空欄のセル' },
+  { key: 'uniqueness', label: '一意性', weight: 15, description: '重複行・キーの重複' },
+  { key: 'consistency', label: '一貫性', weight: 20, description: '型の混在・日付形式の不統一' },
+  { key: 'structure', label: '構造', weight: 15, description: '列数の不一致' },
+  { key: 'notation', label: '表記', weight: 10, description: '前後の空白・全角/半角・表記ゆれ' },
+  { key: 'validity', label: '妥当性', weight: 20, description: '固定値・空の列、仮の値' }
+];
+
+const GRADES = [
+  { min: 90, grade: 'A', label: '良好' },
+  { min: 75, grade: 'B', label: '軽微な問題あり' },
+  { min: 60, grade: 'C', label: '要確認' },
+  { min: 0, grade: 'D', label: '要修正' }
+];
+
+// 欠損の代わりに入力されがちな値（NFKC・小文字化して比較）
+const SENTINEL_TEXTS = new Set([
+  'n/a', 'na', '#n/a', 'null', 'none', 'nil', 'nan', 'undefined', '-', '--', '---', '?',
+  '不明', '未入力', '#value!', '#ref!', '#div/0!', '#name?', '#null!', '#num!'
+]);
+const SENTINEL_NUMBERS = [-1, -9, -99, -999, -9999, 999, 9999, 99999, 999999, 9999999, 99999999];
+const SENTINEL_DATES = new Set(['1900-01-01', '1970-01-01', '2099-12-31', '9999-12-31']);
+
+// キーとみなす一意な値の割合（列名がキーらしい場合 / 列名から判断できない文字列の列）
+const KEY_UNIQUE_RATIO = 0.8;
+const IMPLICIT_KEY_UNIQUE_RATIO = 0.95;
+// 型の混在・日付形式を判定する最小の値の数
+const MIN_VALUES = 5;
+const MAX_EXAMPLES = 5;
+
+class DataQualityChecker {
+  // dataset: { headers, data, lineNumbers, malformedLines, statistics }
+  static analyze(dataset) {
+    const { headers, data } = dataset;
+    const lineNumbers = dataset.lineNumbers || data.map((row, index) => index + 2);
+    const statistics = dataset.statistics || StatisticsEngine.describe(headers, data);
+    const context = { headers, data, lineNumbers, statistics };
+
+    const checks = {
+      completeness: this.checkCompleteness(context),
+      duplicateRows: this.checkDuplicateRows(context),
+      duplicateKeys: this.checkDuplicateKeys(context),
+      mixedTypes: this.checkMixedTypes(context),
+      dateFormats: this.checkDateFormats(context),
+      columnCount: this.checkColumnCount(dataset.malformedLines || []),
+      notation: this.checkNotation(context),
+      constantColumns: this.checkConstantColumns(context),
+      sentinels: this.checkSentinels(context)
+    };
+
+    const breakdown = this.scoreBreakdown(checks, context);
+    const score = breakdown.reduce((total, category) => total + category.score, 0);
+    const grade = GRADES.find(candidate => score >= candidate.min);
+
+    return {
+      rowCount: data.length,
+      columnCount: headers.length,
+      score,
+      grade: grade.grade,
+      gradeLabel: grade.label,
+      breakdown,
+      checks,
+      issues: this.describeIssues(checks)
+    };
+  }
+
+  // ============================================================================
+  // 各項目の検査
+  // ============================================================================
+
+  static checkCompleteness({ headers, data, statistics }) {
+    const totalCells = headers.length * data.length;
+    const emptyCells = headers.reduce((total, column) => total + statistics.columns[column].nullCount, 0);
+    const rows = data.filter(row => headers.some(column => StatisticsEngine.isMissing(row[column]))).length;
+
+    return {
+      totalCells,
+      emptyCells,
+      ratio: totalCells > 0 ? emptyCells / totalCells : 0,
+      affectedRows: rows,
+      columns: headers
+        .map(column => ({ column, nullRatio: statistics.columns[column].nullRatio }))
+        .filter(item => item.nullRatio > 0)
+        .sort((a, b) => b.nullRatio - a.nullRatio)
+    };
+  }
+
+  // すべての列の値が一致する行。2件目以降を重複として数える
+  static checkDuplicateRows({ headers, data, lineNumbers }) {
+    const seen = new Map();
+    data.forEach((row, index) => {
+      const key = JSON.stringify(headers.map(column => row[column]));
+      if (!seen.has(key)) seen.set(key, []);
+      seen.get(key).push(lineNumbers[index]);
+    });
+
+    const groups = [...seen.values()].filter(lines => lines.length > 1);
+    return {
+      duplicateCount: groups.reduce((total, lines) => total + lines.length - 1, 0),
+      groups: groups.map(lines => ({ lineNumbers: lines }))
+    };
+  }
+
+  // ほぼ一意な値を持つキー列で、同じ値が複数の行に現れるもの
+  static checkDuplicateKeys({ headers, data, lineNumbers, statistics }) {
+    const results = [];
+
+    headers.forEach(column => {
+      const profile = statistics.columns[column];
+      if (profile.count < MIN_VALUES) return;
+
+      const uniqueRatio = profile.distinctCount / profile.count;
+      const namedKey = TypeInference.isKeyHeader(column) && uniqueRatio >= KEY_UNIQUE_RATIO;
+      const implicitKey = profile.type === 'categorical' && uniqueRatio >= IMPLICIT_KEY_UNIQUE_RATIO &&
+        !TimeSeriesAnalyzer.detectDateColumns([column], data).length;
+      if (!(namedKey || implicitKey) || uniqueRatio === 1) return;
+
+      const positions = new Map();
+      data.forEach((row, index) => {
+        if (StatisticsEngine.isMissing(row[column])) return;
+        const key = String(row[column]);
+        if (!positions.has(key)) positions.set(key, []);
+        positions.get(key).push(lineNumbers[index]);
+      });
+
+      const duplicates = [...positions.entries()].filter(([, lines]) => lines.length > 1);
+      results.push({
+        column,
+        duplicateValues: duplicates.length,
+        affectedRows: duplicates.reduce((total, [, lines]) => total + lines.length, 0),
+        examples: duplicates.slice(0, MAX_EXAMPLES).map(([value, lines]) => ({ value, lineNumbers: lines.slice(0, MAX_EXAMPLES) }))
+      });
+    });
+
+    return results;
+  }
+
+  // 数値・日付が大半を占める列に、それ以外の値が混ざっているもの（仮の値は checkSentinels で扱う）
+  static checkMixedTypes({ headers, data, lineNumbers }) {
+    const results = [];
+
+    headers.forEach(column => {
+      const typed = data
+        .map((row, index) => ({ value: row[column], lineNumber: lineNumbers[index] }))
+        .filter(item => !StatisticsEngine.isMissing(item.value) && !this.isSentinelText(item.value))
+        .map(item => ({ ...item, type: this.valueType(item.value) }));
+      if (typed.length < MIN_VALUES) return;
+
+      const counts = { number: 0, date: 0, text: 0 };
+      typed.forEach(item => counts[item.type]++);
+      const dominant = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+      if (dominant === 'text' || counts[dominant] === typed.length) return;
+
+      const minority = typed.filter(item => item.type !== dominant);
+      results.push({
+        column,
+        dominant,
+        counts,
+        affectedLines: minority.map(item => item.lineNumber),
+        examples: minority.slice(0, MAX_EXAMPLES).map(item => ({ value: item.value, lineNumber: item.lineNumber, type: item.type }))
+      });
+    });
+
+    return results;
+  }
+
+  static valueType(value) {
+    if (typeof value === 'number') return 'number';
+    if (TimeSeriesAnalyzer.parseDate(value)) return 'date';
+    return 'text';
+  }
+
+  // 日付の列で、書式（区切り文字・和文形式・時刻の有無など）が統一されていないもの
+  static checkDateFormats({ headers, data, lineNumbers }) {
+    const results = [];
+
+    headers.forEach(column => {
+      const values = data
+        .map((row, index) => ({ value: row[column], lineNumber: lineNumbers[index] }))
+        .filter(item => !StatisticsEngine.isMissing(item.value));
+      const formatted = values
+        .map(item => ({ ...item, format: this.dateFormat(item.value) }))
+        .filter(item => item.format);
+      // 8桁の数値（20240105）だけの列は日付とはみなさない
+      const parsed = formatted.filter(item => typeof item.value === 'string').length;
+      if (formatted.length < MIN_VALUES || formatted.length < values.length * 0.8 || parsed === 0) return;
+
+      const formats = new Map();
+      formatted.forEach(item => {
+        if (!formats.has(item.format)) formats.set(item.format, { format: item.format, count: 0, example: item.value, lineNumbers: [] });
+        const entry = formats.get(item.format);
+        entry.count++;
+        entry.lineNumbers.push(item.lineNumber);
+      });
+      if (formats.size < 2) return;
+
+      const sorted = [...formats.values()].sort((a, b) => b.count - a.count);
+      results.push({
+        column,
+        formats: sorted.map(({ format, count, example }) => ({ format, count, example })),
+        // 最も多い書式以外の行
+        affectedLines: sorted.slice(1).flatMap(entry => entry.lineNumbers)
+      });
+    });
+
+    return results;
+  }
+
+  // 日付らしい値の書式。日付でなければ null
+  static dateFormat(value) {
+    if (typeof value === 'number') {
+      return Number.isInteger(value) && value >= 19000101 && value <= 21001231 &&
+        TimeSeriesAnalyzer.buildDate(Math.floor(value / 10000), Math.floor(value / 100) % 100, value % 100)
+        ? 'YYYYMMDD'
+        : null;
+    }
+
+    const text = String(value).trim();
+    const time = /\d{1,2}[:時]\d{2}/.test(text) ? ' 時刻付き' : '';
+    if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(text)) return 'MM/DD/YYYY';
+    if (!TimeSeriesAnalyzer.parseDate(text)) return null;
+
+    if (/^\d{4}年/.test(text)) return (/日/.test(text) ? 'YYYY年M月D日' : 'YYYY年M月') + time;
+    const separator = text.match(/^\d{4}([-/.])/)[1];
+    const parts = text.split(/[T\s]/)[0].split(separator);
+    const label = parts.length === 2 ? ['YYYY', 'MM'] : ['YYYY', 'MM', 'DD'];
+    return label.join(separator) + (parts.slice(1).some(part => part.length === 1) ? '（ゼロ埋めなし）' : '') + time;
+  }
+
+  // 列数が合わず、空欄で補った・切り捨てた行（CSVParser.parseDataRows が記録したもの）
+  static checkColumnCount(malformedLines) {
+    const lines = malformedLines
+      .filter(error => error.type === 'columnCount')
+      .map(({ fileName, lineNumber, expected, actual }) => ({ fileName, lineNumber, expected, actual }));
+
+    return {
+      lines,
+      padded: lines.filter(line => line.actual < line.expected).length,
+      truncated: lines.filter(line => line.actual > line.expected).length
+    };
+  }
+
+  // 文字列の前後の空白・連続した空白、全角英数字・全角空白、半角カナ、正規化すると同じになる表記ゆれ
+  static checkNotation({ headers, data, lineNumbers }) {
+    const results = [];
+
+    headers.forEach(column => {
+      const counts = { surroundingSpace: 0, repeatedSpace: 0, fullWidth: 0, halfWidthKana: 0 };
+      const affected = new Set();
+      const variants = new Map();
+
+      data.forEach((row, index) => {
+        const value = row[column];
+        if (typeof value !== 'string' || value === '') return;
+
+        const flags = {
+          surroundingSpace: value !== value.trim(),
+          repeatedSpace: /\S\s{2,}\S/.test(value),
+          fullWidth: /[０-９Ａ-Ｚａ-ｚ　]/.test(value.trim()),
+          halfWidthKana: /[ｦ-ﾟ]/.test(value)
+        };
+        Object.keys(flags).forEach(flag => {
+          if (flags[flag]) counts[flag]++;
+        });
+        if (Object.values(flags).some(Boolean)) affected.add(lineNumbers[index]);
+
+        const normalized = this.normalizeText(value);
+        if (!variants.has(normalized)) variants.set(normalized, new Map());
+        const spellings = variants.get(normalized);
+        spellings.set(value, (spellings.get(value) || 0) + 1);
+      });
+
+      // 正規化すると同じになる表記のうち、最も多いもの以外を表記ゆれとして数える
+      const variantGroups = [...variants.values()]
+        .filter(spellings => spellings.size > 1)
+        .map(spellings => [...spellings.entries()].sort((a, b) => b[1] - a[1]).map(([value]) => value));
+      if (variantGroups.length > 0) {
+        const minorityValues = new Set(variantGroups.flatMap(values => values.slice(1)));
+        data.forEach((row, index) => {
+          if (minorityValues.has(row[column])) affected.add(lineNumbers[index]);
+        });
+      }
+
+      if (affected.size === 0) return;
+      results.push({
+        column,
+        ...counts,
+        variants: variantGroups.slice(0, MAX_EXAMPLES),
+        variantCount: variantGroups.length,
+        affectedLines: [...affected]
+      });
+    });
+
+    return results;
+  }
+
+  static normalizeText(value) {
+    return String(value).normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  // すべての行が同じ値の列と、値が1つもない列
+  static checkConstantColumns({ headers, data, statistics }) {
+    if (data.length < 2) return [];
+
+    return headers
+      .map(column => {
+        const profile = statistics.columns[column];
+        if (profile.count === 0) return { column, empty: true, value: null };
+        if (profile.distinctCount === 1 && profile.nullCount === 0) {
+          const value = data.find(row => !StatisticsEngine.isMissing(row[column]))[column];
+          return { column, empty: false, value };
+        }
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  // 欠損の代わりに入れられた値（N/A・-・9999・-1・1900-01-01 など）
+  static checkSentinels({ headers, data, lineNumbers }) {
+    const results = [];
+
+    headers.forEach(column => {
+      const present = data
+        .map((row, index) => ({ value: row[column], lineNumber: lineNumbers[index] }))
+        .filter(item => !StatisticsEngine.isMissing(item.value));
+      const numbers = present.filter(item => typeof item.value === 'number').map(item => item.value);
+      const found = new Map();
+      const add = (label, lineNumber) => {
+        if (!found.has(label)) found.set(label, []);
+        found.get(label).push(lineNumber);
+      };
+
+      present.forEach(item => {
+        if (this.isSentinelText(item.value)) {
+          add(String(item.value).trim(), item.lineNumber);
+        } else if (typeof item.value === 'string' && SENTINEL_DATES.has(TimeSeriesAnalyzer.formatDate(TimeSeriesAnalyzer.parseDate(item.value)))) {
+          add(item.value.trim(), item.lineNumber);
+        }
+      });
+
+      // 数値は、他の値の範囲から明らかに外れている場合のみ仮の値とみなす
+      SENTINEL_NUMBERS.forEach(sentinel => {
+        const others = numbers.filter(value => value !== sentinel);
+        if (others.length < MIN_VALUES || others.length === numbers.length) return;
+        const outside = sentinel < 0
+          ? others.every(value => value >= 0)
+          : sentinel > Math.max(...others);
+        if (!outside) return;
+        present
+          .filter(item => item.value === sentinel)
+          .forEach(item => add(String(sentinel), item.lineNumber));
+      });
+
+      found.forEach((lines, value) => {
+        results.push({ column, value, count: lines.length, lineNumbers: lines });
+      });
+    });
+
+    return results.sort((a, b) => b.count - a.count);
+  }
+
+  static isSentinelText(value) {
+    return typeof value === 'string' && SENTINEL_TEXTS.has(this.normalizeText(value));
+  }
+
+  // ============================================================================
+  // 採点
+  // ============================================================================
+
+  static scoreBreakdown(checks, { headers, data }) {
+    const rowCount = Math.max(data.length, 1);
+    const columnCount = Math.max(headers.length, 1);
+    const rows = lists => new Set(lists.flat()).size / rowCount;
+
+    const ratios = {
+      completeness: checks.completeness.ratio,
+      uniqueness: Math.min(1, (checks.duplicateRows.duplicateCount +
+        checks.duplicateKeys.reduce((total, key) => total + key.affectedRows, 0)) / rowCount),
+      consistency: rows([...checks.mixedTypes, ...checks.dateFormats].map(item => item.affectedLines)),
+      structure: checks.columnCount.lines.length / rowCount,
+      notation: rows(checks.notation.map(item => item.affectedLines)),
+      // 固定値・空の列の割合と、仮の値を含む行の割合を合わせる
+      validity: 1 - (1 - checks.constantColumns.length / columnCount) *
+        (1 - rows(checks.sentinels.map(item => item.lineNumbers)))
+    };
+
+    return CATEGORIES.map(category => {
+      const ratio = Math.min(1, ratios[category.key]);
+      return {
+        ...category,
+        ratio,
+        score: Math.round(category.weight * (1 - Math.sqrt(ratio)))
+      };
+    });
+  }
+
+  static describeIssues(checks) {
+    const fmt = value => StatisticsEngine.formatNumber(value);
+    const issues = [];
+
+    if (checks.completeness.emptyCells > 0) {
+      issues.push(`空欄のセル: ${fmt(checks.completeness.emptyCells)}件（${StatisticsEngine.formatPercent(checks.completeness.ratio)}）`);
+    }
+    if (checks.duplicateRows.duplicateCount > 0) {
+      issues.push(`重複行: ${fmt(checks.duplicateRows.duplicateCount)}行`);
+    }
+    checks.duplicateKeys.forEach(key => {
+      issues.push(`キーの重複: 「${key.column}」の${fmt(key.duplicateValues)}値が複数行（${fmt(key.affectedRows)}行）に出現`);
+    });
+    checks.mixedTypes.forEach(item => {
+      issues.push(`型の混在: 「${item.column}」（${this.typeLabel(item.dominant)}の列に${fmt(item.affectedLines.length)}件の${this.typeLabel('other')}）`);
+    });
+    checks.dateFormats.forEach(item => {
+      issues.push(`日付形式の不統一: 「${item.column}」（${item.formats.map(format => format.format).join(' / ')}）`);
+    });
+    if (checks.columnCount.lines.length > 0) {
+      issues.push(`列数の不一致: ${fmt(checks.columnCount.lines.length)}行（空欄で補完${checks.columnCount.padded}行・切り捨て${checks.columnCount.truncated}行）`);
+    }
+    checks.notation.forEach(item => {
+      issues.push(`表記の問題: 「${item.column}」${fmt(item.affectedLines.length)}行`);
+    });
+    checks.constantColumns.forEach(item => {
+      issues.push(item.empty ? `空の列: 「${item.column}」` : `固定値の列: 「${item.column}」（すべて ${item.value}）`);
+    });
+    checks.sentinels.forEach(item => {
+      issues.push(`仮の値: 「${item.column}」の ${item.value}（${fmt(item.count)}件）`);
+    });
+
+    return issues;
+  }
+
+  static typeLabel(type) {
+    return { number: '数値', date: '日付', text: '文字列', other: 'それ以外の値' }[type];
+  }
+
+  // ============================================================================
+  // 出力
+  // ============================================================================
+
+  // aggregateOnly（集計のみモード）では、セルの値を含めず件数と行番号だけを示す
+  static formatForPrompt(result, options = {}) {
+    const lines = [`品質スコア: ${result.score}/100（${result.grade}: ${result.gradeLabel}）`];
+    lines.push(`内訳: ${result.breakdown.map(category => `${category.label} ${category.score}/${category.weight}`).join(', ')}`);
+
+    if (result.issues.length === 0) {
+      lines.push('検出された問題はありません。');
+      return lines.join('\n');
+    }
+
+    lines.push(...result.issues.map(issue => `- ${issue}`));
+    if (!options.aggregateOnly) {
+      result.checks.sentinels.slice(0, MAX_EXAMPLES).forEach(item => {
+        lines.push(`  仮の値の行（${item.column}=${item.value}）: ${this.formatLines(item.lineNumbers)}`);
+      });
+      result.checks.mixedTypes.forEach(item => {
+        lines.push(`  「${item.column}」の例外値: ${item.examples.map(example => `${example.lineNumber}行目=${JSON.stringify(example.value)}`).join(', ')}`);
+      });
+    }
+    return lines.join('\n');
+  }
+
+  static formatLines(lineNumbers, max = 10) {
+    const shown = lineNumbers.slice(0, max).join(', ');
+    return lineNumbers.length > max ? `${shown} ほか${lineNumbers.length - max}行` : shown;
+  }
+
+  // スコアの内訳（観点ごとのバー）
+  static formatBreakdown(result) {
+    const width = Math.max(...result.breakdown.map(category => category.label.length));
+    return result.breakdown
+      .map(category => {
+        const filled = Math.round((category.score / category.weight) * 10);
+        return `${category.label.padEnd(width, '　')} ${'■'.repeat(filled)}${'□'.repeat(10 - filled)} ${String(category.score).padStart(2)}/${category.weight}  ${category.description}`;
+      })
+      .join('\n');
+  }
+
+  // 観点ごとの検出結果（Slackのセクション1つに収まる長さ）
+  static formatFindingsForSlack(result) {
+    const fmt = value => StatisticsEngine.formatNumber(value);
+    const value = item => `\`${String(item).slice(0, 40)}\``;
+    const sections = [];
+    const { checks } = result;
+
+    if (checks.completeness.columns.length > 0) {
+      sections.push(`*🕳️ 空欄*（全体の${StatisticsEngine.formatPercent(checks.completeness.ratio)}）\n` + checks.completeness.columns.slice(0, MAX_EXAMPLES)
+        .map(item => `• ${item.column}: ${StatisticsEngine.formatPercent(item.nullRatio)}`)
+        .join('\n'));
+    }
+
+    const duplicates = [];
+    if (checks.duplicateRows.duplicateCount > 0) {
+      duplicates.push(`• 重複行 ${fmt(checks.duplicateRows.duplicateCount)}行: ` +
+        checks.duplicateRows.groups.slice(0, 3).map(group => `${this.formatLines(group.lineNumbers, 5)}行目`).join(' / '));
+    }
+    checks.duplicateKeys.forEach(key => {
+      duplicates.push(`• キー「${key.column}」の重複 ${fmt(key.duplicateValues)}値: ` +
+        key.examples.slice(0, 3).map(example => `${value(example.value)}（${example.lineNumbers.join(', ')}行目）`).join(' / '));
+    });
+    if (duplicates.length > 0) sections.push(`*👯 重複*\n${duplicates.join('\n')}`);
+
+    const consistency = [
+      ...checks.mixedTypes.map(item => `• 「${item.column}」は${this.typeLabel(item.dominant)}の列ですが、${fmt(item.affectedLines.length)}件の${this.typeLabel('other')}があります: ` +
+        item.examples.slice(0, 3).map(example => `${example.lineNumber}行目 ${value(example.value)}`).join(', ')),
+      ...checks.dateFormats.map(item => `• 「${item.column}」の日付形式が混在: ` +
+        item.formats.map(format => `${format.format} ${fmt(format.count)}件（例: ${value(format.example)}）`).join(' / '))
+    ];
+    if (consistency.length > 0) sections.push(`*🔀 型・形式の不統一*\n${consistency.join('\n')}`);
+
+    if (checks.columnCount.lines.length > 0) {
+      sections.push(`*📐 列数の不一致*（${fmt(checks.columnCount.lines.length)}行）\n` + checks.columnCount.lines.slice(0, 8)
+        .map(line => `• ${line.fileName ? `${line.fileName} ` : ''}${line.lineNumber}行目: ${line.actual}列（期待: ${line.expected}列、${line.actual < line.expected ? '空欄で補完' : '超過分を切り捨て'}）`)
+        .join('\n') + (checks.columnCount.lines.length > 8 ? `\n…ほか${checks.columnCount.lines.length - 8}行` : ''));
+    }
+
+    if (checks.notation.length > 0) {
+      sections.push('*✏️ 表記*\n' + checks.notation.slice(0, MAX_EXAMPLES).map(item => {
+        const details = [
+          item.surroundingSpace && `前後の空白${item.surroundingSpace}件`,
+          item.repeatedSpace && `連続した空白${item.repeatedSpace}件`,
+          item.fullWidth && `全角英数字・空白${item.fullWidth}件`,
+          item.halfWidthKana && `半角カナ${item.halfWidthKana}件`,
+          item.variantCount && `表記ゆれ${item.variantCount}組（${item.variants.slice(0, 2).map(group => group.map(value).join(' ≒ ')).join(' / ')}）`
+        ].filter(Boolean);
+        return `• 「${item.column}」: ${details.join('、')}`;
+      }).join('\n'));
+    }
+
+    const validity = [
+      ...checks.constantColumns.map(item => item.empty
+        ? `• 「${item.column}」は値が1つもありません`
+        : `• 「${item.column}」はすべての行が ${value(item.value)} です`),
+      ...checks.sentinels.slice(0, 8).map(item => `• 「${item.column}」の ${value(item.value)}（${fmt(item.count)}件: ${this.formatLines(item.lineNumbers, 5)}行目）は欠損を表す仮の値の可能性があります`)
+    ];
+    if (validity.length > 0) sections.push(`*🚩 妥当性*\n${validity.join('\n')}`);
+
+    return sections;
+  }
+}
+
+module.exports = { DataQualityChecker };
@@ -0,0 +1,100 @@
+// Excelや基幹システムから出力されたCSVはShift_JIS（CP932）であることが多いため、
+// バイト列から文字コードを判定してから文字列に変換する
+const ENCODING_LABELS = {
+  'utf-8': 'UTF-8',
+  'utf-8-bom': 'UTF-8 (BOM付き)',
+  'utf-16le': 'UTF-16LE',
+  'utf-16be': 'UTF-16BE',
+  'shift_jis': 'Shift_JIS (CP932)',
+  'euc-jp': 'EUC-JP'
+};
+
+class EncodingDetector {
+  static decode(input) {
+    const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input);
+    const encoding = this.detect(buffer);
+    const bomLength = this.bomLength(buffer, encoding);
+    const decoderEncoding = encoding === 'utf-8-bom' ? 'utf-8' : encoding;
+
+    // BOMは自前で取り除くため、TextDecoder側では除去しない
+    const text = new TextDecoder(decoderEncoding, { ignoreBOM: true }).decode(buffer.subarray(bomLength));
+
+    return { text, encoding, label: ENCODING_LABELS[encoding] };
+  }
+
+  static detect(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf-8-bom';
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf-16le';
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf-16be';
+
+    const utf16 = this.detectUTF16WithoutBOM(buffer);
+    if (utf16) return utf16;
+
+    if (this.canDecode(buffer, 'utf-8')) return 'utf-8';
+
+    const candidates = ['shift_jis', 'euc-jp'].filter(encoding => this.canDecode(buffer, encoding));
+    if (candidates.length === 1) return candidates[0];
+
+    // 両方で解釈できる（またはどちらも不正なバイトを含む）場合は、日本語らしさの高い方を採用する
+    return this.score(buffer, 'euc-jp') > this.score(buffer, 'shift_jis') ? 'euc-jp' : 'shift_jis';
+  }
+
+  // ASCII主体のUTF-16は上位バイトが0x00になるため、偶数・奇数位置のNULLの偏りで判定する
+  static detectUTF16WithoutBOM(buffer, sampleSize = 4096) {
+    const length = Math.min(buffer.length, sampleSize) & ~1;
+    if (length < 4) return null;
+
+    let evenNulls = 0;
+    let oddNulls = 0;
+    for (let i = 0; i < length; i += 2) {
+      if (buffer[i] === 0) evenNulls++;
+      if (buffer[i + 1] === 0) oddNulls++;
+    }
+
+    const pairs = length / 2;
+    if (oddNulls / pairs > 0.3 && evenNulls / pairs < 0.05) return 'utf-16le';
+    if (evenNulls / pairs > 0.3 && oddNulls / pairs < 0.05) return 'utf-16be';
+    return null;
+  }
+
+  static canDecode(buffer, encoding) {
+    try {
+      new TextDecoder(encoding, { fatal: true }).decode(buffer);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // ひらがな・カタカナ・漢字・全角記号の割合が高いほど正しい解釈とみなす。
+  // 誤った解釈では半角カナや置換文字が多く現れる
+  static score(buffer, encoding) {
+    const text = new TextDecoder(encoding).decode(buffer);
+    let score = 0;
+    for (const char of text) {
+      const code = char.codePointAt(0);
+      if (code < 0x80) continue;
+      if ((code >= 0x3040 && code <= 0x30FF) || (code >= 0x3000 && code <= 0x303F) || (code >= 0xFF01 && code <= 0xFF5E)) {
+        score += 2;
+      } else if (code >= 0x4E00 && code <= 0x9FFF) {
+        score += 1;
+      } else if ((code >= 0xFF61 && code <= 0xFF9F) || code === 0xFFFD || (code >= 0xE000 && code <= 0xF8FF)) {
+        score -= 2;
+      } else {
+        score -= 1;
+      }
+    }
+    return score;
+  }
+
+  static bomLength(buffer, encoding) {
+    if (encoding === 'utf-8-bom') return 3;
+    if ((encoding === 'utf-16le' || encoding === 'utf-16be') && buffer.length >= 2 &&
+        ((buffer[0] === 0xFF && buffer[1] === 0xFE) || (buffer[0] === 0xFE && buffer[1] === 0xFF))) {
+      return 2;
+    }
+    return 0;
+  }
+}
+
+module.exports = { EncodingDetector, ENCODING_LABELS };
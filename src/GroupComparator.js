@@ -0,0 +1,174 @@
+const { StatisticsEngine } = require('./StatisticsEngine');
+const { TimeSeriesAnalyzer } = require('./TimeSeriesAnalyzer');
+
+class GroupComparator {
+  static analyze(headers, data, options = {}) {
+    const statistics = options.statistics || StatisticsEngine.describe(headers, data);
+    const numericColumns = options.numericColumns ||
+      headers.filter(column => statistics.columns[column].type === 'numeric');
+    const groupColumns = options.groupColumns ||
+      this.detectGroupColumns(headers, data, statistics, options.userQuery).slice(0, 2);
+
+    const comparisons = groupColumns.map(column => this.compare(data, [column], numericColumns));
+    if (groupColumns.length >= 2) {
+      comparisons.push(this.compare(data, groupColumns.slice(0, 2), numericColumns));
+    }
+
+    return {
+      groupColumns,
+      numericColumns,
+      comparisons
+    };
+  }
+
+  // ============================================
+  // グループ列の検出（低カーディナリティのカテゴリ列）
+  // ============================================
+  static detectGroupColumns(headers, data, statistics, userQuery = '', maxCardinality = 20) {
+    const dateColumns = new Set(TimeSeriesAnalyzer.detectDateColumns(headers, data).map(candidate => candidate.column));
+
+    return headers
+      .filter(column => {
+        const profile = statistics.columns[column];
+        if (!profile || profile.type !== 'categorical' || dateColumns.has(column)) return false;
+        // 全行がユニークな列（IDや名前）はグループに向かない
+        return profile.distinctCount >= 2 &&
+          profile.distinctCount <= maxCardinality &&
+          profile.distinctCount < profile.count;
+      })
+      .map(column => ({
+        column,
+        mentioned: userQuery ? userQuery.includes(column) : false,
+        distinctCount: statistics.columns[column].distinctCount
+      }))
+      .sort((a, b) => (b.mentioned - a.mentioned) || (a.distinctCount - b.distinctCount))
+      .map(candidate => candidate.column);
+  }
+
+  // ============================================
+  // グループ別集計（合計・平均・件数・構成比）
+  // ============================================
+  static compare(data, groupBy, numericColumns) {
+    const groups = new Map();
+    const totals = {};
+    numericColumns.forEach(column => { totals[column] = 0; });
+
+    data.forEach(row => {
+      const key = groupBy.map(column => (StatisticsEngine.isMissing(row[column]) ? '(空欄)' : String(row[column])));
+      const id = JSON.stringify(key);
+
+      if (!groups.has(id)) {
+        const sums = {};
+        const counts = {};
+        numericColumns.forEach(column => { sums[column] = 0; counts[column] = 0; });
+        groups.set(id, { key, count: 0, sums, counts });
+      }
+
+      const group = groups.get(id);
+      group.count++;
+      numericColumns.forEach(column => {
+        const value = row[column];
+        if (typeof value === 'number' && !isNaN(value)) {
+          group.sums[column] += value;
+          group.counts[column]++;
+          totals[column] += value;
+        }
+      });
+    });
+
+    const sortColumn = numericColumns[0];
+    const rows = [...groups.values()].map(group => {
+      const metrics = {};
+      numericColumns.forEach(column => {
+        metrics[column] = {
+          sum: group.sums[column],
+          mean: group.counts[column] > 0 ? group.sums[column] / group.counts[column] : null,
+          count: group.counts[column],
+          share: totals[column] !== 0 ? group.sums[column] / totals[column] : null
+        };
+      });
+      return {
+        key: group.key,
+        count: group.count,
+        rowShare: data.length > 0 ? group.count / data.length : 0,
+        metrics
+      };
+    });
+
+    rows.sort((a, b) => (sortColumn ? b.metrics[sortColumn].sum - a.metrics[sortColumn].sum : b.count - a.count));
+
+    return {
+      groupBy,
+      totals,
+      groups: rows
+    };
+  }
+
+  // ============================================
+  // 整形
+  // ============================================
+  // minGroupSize 未満のグループは、集計値から個々の行が特定できるため載せない（集計のみモード用）
+  static formatComparison(comparison, numericColumns, maxGroups, minGroupSize = 1) {
+    const fmt = value => StatisticsEngine.formatNumber(value);
+    const pct = value => (value === null ? '-' : StatisticsEngine.formatPercent(value));
+    const eligible = comparison.groups.filter(group => group.count >= minGroupSize);
+    const shown = eligible.slice(0, maxGroups);
+
+    const header = [comparison.groupBy.join(' × '), '件数'];
+    numericColumns.forEach(column => header.push(`${column} 合計`, '平均', '構成比'));
+
+    const lines = [header.join(' | ')];
+    shown.forEach(group => {
+      const cells = [group.key.join(' × '), fmt(group.count)];
+      numericColumns.forEach(column => {
+        const metric = group.metrics[column];
+        cells.push(fmt(metric.sum), fmt(metric.mean), pct(metric.share));
+      });
+      lines.push(cells.join(' | '));
+    });
+
+    if (eligible.length > shown.length) {
+      lines.push(`※他${eligible.length - shown.length}グループは省略`);
+    }
+    if (comparison.groups.length > eligible.length) {
+      lines.push(`※件数が${minGroupSize}件未満の${comparison.groups.length - eligible.length}グループは省略`);
+    }
+
+    return lines.join('\n');
+  }
+
+  static formatForPrompt(result, maxGroups = 30, minGroupSize = 1) {
+    if (!result || result.comparisons.length === 0) {
+      return '比較に適したカテゴリ列（2〜20種類の値を持つ列）が見つからなかったため、グループ別集計は行っていません。';
+    }
+    if (result.numericColumns.length === 0) {
+      return `グループ列 (${result.groupColumns.join(', ')}) はありますが、集計対象の数値列がありません。`;
+    }
+
+    return result.comparisons
+      .map(comparison => `■ ${comparison.groupBy.join(' × ')}別\n${this.formatComparison(comparison, result.numericColumns, maxGroups, minGroupSize)}`)
+      .join('\n\n');
+  }
+
+  static formatForSlack(result, maxGroups = 10) {
+    if (!result || result.comparisons.length === 0 || result.numericColumns.length === 0) {
+      return '*⚖️ グループ比較*\n比較に適したカテゴリ列または数値列が見つかりませんでした。';
+    }
+
+    // Slackのセクション上限（3000文字）を考慮し、主要な数値列のみ表示
+    const columns = result.numericColumns.slice(0, 2);
+    const build = limit => `*⚖️ グループ比較（ローカル集計）*\n` + result.comparisons
+      .map(comparison => `_${comparison.groupBy.join(' × ')}別_\n\`\`\`\n${this.formatComparison(comparison, columns, limit)}\n\`\`\``)
+      .join('\n');
+
+    let limit = maxGroups;
+    let text = build(limit);
+    while (text.length > 2900 && limit > 1) {
+      limit--;
+      text = build(limit);
+    }
+    return text;
+  }
+}
+
+module.exports = { GroupComparator };
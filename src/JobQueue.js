@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+
+// ジョブの状態: pending → running → done / failed
+// 完了したジョブも一定時間残し、同じIDの再投入（Slackの再送など）を重複として弾く
+// running のまま staleBefore より前に更新が止まったジョブは、処理中にプロセスが停止したものとして再び取り出す
+function isRunnable(job, staleBefore) {
+  return job.status === 'pending' || (job.status === 'running' && job.updatedAt < staleBefore);
+}
+
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async add(job) {
+    this.jobs.set(job.id, job);
+  }
+
+  async get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  async update(job) {
+    this.jobs.set(job.id, job);
+  }
+
+  async next(staleBefore = 0) {
+    for (const job of this.jobs.values()) {
+      if (isRunnable(job, staleBefore)) return job;
+    }
+    return null;
+  }
+
+  async purge(olderThan) {
+    for (const [id, job] of this.jobs) {
+      if (job.status !== 'pending' && job.status !== 'running' && job.updatedAt < olderThan) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+// 1ジョブ1ファイルで保存する。プロセスが再起動しても未処理のジョブを引き継げる
+class FileJobStore {
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  filePath(id) {
+    return path.join(this.directory, `${encodeURIComponent(id)}.json`);
+  }
+
+  async add(job) {
+    // 'wx' で排他的に作成し、同時に届いた同じIDの投入は失敗させる
+    await fs.promises.writeFile(this.filePath(job.id), JSON.stringify(job), { flag: 'wx' });
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async update(job) {
+    const tempPath = `${this.filePath(job.id)}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(job));
+    await fs.promises.rename(tempPath, this.filePath(job.id));
+  }
+
+  async list() {
+    const files = (await fs.promises.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    const jobs = await Promise.all(files.map(file => this.get(decodeURIComponent(file.slice(0, -'.json'.length)))));
+    return jobs.filter(Boolean).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async next(staleBefore = 0) {
+    return (await this.list()).find(job => isRunnable(job, staleBefore)) || null;
+  }
+
+  async purge(olderThan) {
+    const jobs = await this.list();
+    await Promise.all(jobs
+      .filter(job => job.status !== 'pending' && job.status !== 'running' && job.updatedAt < olderThan)
+      .map(job => fs.promises.unlink(this.filePath(job.id)).catch(() => {})));
+  }
+}
+
+class JobQueue {
+  constructor(options = {}) {
+    const retentionMinutes = parseInt(process.env.JOB_RETENTION_MINUTES, 10) || 60;
+    this.retentionMs = options.retentionMs || retentionMinutes * 60 * 1000;
+    // running のままこの時間を過ぎたジョブは中断されたものとみなし、maxAttempts 回まで実行し直す
+    const staleMinutes = parseInt(process.env.JOB_STALE_MINUTES, 10) || 15;
+    this.staleMs = options.staleMs || staleMinutes * 60 * 1000;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+    this.store = options.store || JobQueue.createStore(options.directory || process.env.JOB_QUEUE_DIR);
+    this.handlers = new Map();
+    this.processing = null;
+  }
+
+  static createStore(directory) {
+    return directory ? new FileJobStore(directory) : new MemoryJobStore();
+  }
+
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // 同じIDのジョブが既にあれば追加せず duplicate: true を返す
+  async enqueue(type, payload, options = {}) {
+    await this.store.purge(Date.now() - this.retentionMs);
+
+    const id = options.id || `${type}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const existing = await this.store.get(id);
+    if (existing) {
+      return { job: existing, duplicate: true };
+    }
+
+    const job = {
+      id,
+      type,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    try {
+      await this.store.add(job);
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return { job: await this.store.get(id), duplicate: true };
+      }
+      throw error;
+    }
+
+    return { job, duplicate: false };
+  }
+
+  // キューが空になるまで順番に処理する。処理中に呼ばれた場合は同じPromiseを返す
+  drain() {
+    if (!this.processing) {
+      this.processing = this.processPending().finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  async processPending() {
+    let job;
+    while ((job = await this.store.next(Date.now() - this.staleMs))) {
+      await this.run(job);
+    }
+  }
+
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+    if (job.status === 'running') {
+      console.warn(`Job ${job.id} was interrupted during attempt ${job.attempts}`);
+      if (job.attempts >= this.maxAttempts) {
+        job.status = 'failed';
+        job.error = `処理が${job.attempts}回中断されたため、再実行を打ち切りました`;
+        job.updatedAt = Date.now();
+        await this.store.update(job);
+        return;
+      }
+    }
+
+    job.attempts += 1;
+    job.status = 'running';
+    job.updatedAt = Date.now();
+    await this.store.update(job);
+
+    try {
+      if (!handler) {
+        throw new Error(`未登録のジョブ種別です: ${job.type}`);
+      }
+      await handler(job.payload, job);
+      job.status = 'done';
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+
+    job.updatedAt = Date.now();
+    await this.store.update(job);
+  }
+}
+
+module.exports = { JobQueue, MemoryJobStore, FileJobStore };
@@ -0,0 +1,227 @@
+const OpenAI = require('openai');
+const { ChannelConfig } = require('./ChannelConfig');
+const { TokenCounter } = require('./TokenCounter');
+
+const PROVIDERS = {
+  'openai': 'OpenAI',
+  'azure': 'Azure OpenAI',
+  'openai-compatible': 'OpenAI互換エンドポイント'
+};
+
+const DEFAULT_MODEL = 'gpt-4';
+const DEFAULT_TEMPERATURE = 0.3;
+const DEFAULT_MAX_TOKENS = 2000;
+const DEFAULT_AZURE_API_VERSION = '2024-02-01';
+
+// モデル名から推定するコンテキスト長（上から順に判定し、不明なモデルは最小の8Kとみなす）
+const CONTEXT_WINDOWS = [
+  [/gpt-?4o|gpt-?4\.1|gpt-?4-turbo|gpt-?4-(1106|0125)|^o\d/i, 128000],
+  [/gpt-?4-32k/i, 32768],
+  [/gpt-?3\.5-turbo/i, 16385]
+];
+const DEFAULT_CONTEXT_TOKENS = 8192;
+
+// 利用料金の推定に使う単価（USD / 100万トークン、[入力, 出力]）。上から順に判定する
+// 一覧にないモデル（社内LLMなど）は0とし、LLM_INPUT_PRICE / LLM_OUTPUT_PRICE で指定できる
+const MODEL_PRICES = [
+  [/gpt-?4o-mini/i, [0.15, 0.6]],
+  [/gpt-?4o/i, [2.5, 10]],
+  [/gpt-?4\.1-nano/i, [0.1, 0.4]],
+  [/gpt-?4\.1-mini/i, [0.4, 1.6]],
+  [/gpt-?4\.1/i, [2, 8]],
+  [/gpt-?4-turbo|gpt-?4-(1106|0125)/i, [10, 30]],
+  [/gpt-?4-32k/i, [60, 120]],
+  [/gpt-?4/i, [30, 60]],
+  [/gpt-?3\.5-turbo/i, [0.5, 1.5]]
+];
+
+// トークン数の推定誤差に備えて残しておく余白
+const PROMPT_MARGIN_TOKENS = 200;
+
+// OpenAI / Azure OpenAI / OpenAI互換エンドポイント（社内LLMサーバーなど）を同じインターフェースで扱う
+// いずれも chat.completions 形式のAPIのため、接続先と認証方式だけを切り替える
+class LLMProvider {
+  constructor(settings = LLMProvider.resolveSettings()) {
+    this.settings = settings;
+    this.provider = settings.provider;
+    this.label = PROVIDERS[settings.provider] || settings.provider;
+    this.model = settings.model;
+    this.temperature = settings.temperature;
+    this.maxTokens = settings.maxTokens;
+    this.contextTokens = settings.contextTokens;
+    this.client = null;
+  }
+
+  // 環境変数を既定値とし、チャンネル設定（ChannelConfig の "llm" セクション）で上書きする
+  static resolveSettings(channel) {
+    const env = process.env;
+    const overrides = ChannelConfig.get(channel, 'llm');
+    const provider = (overrides.provider || env.LLM_PROVIDER || 'openai').toLowerCase();
+
+    const settings = {
+      provider,
+      baseURL: overrides.baseURL || env.LLM_BASE_URL || undefined,
+      model: overrides.model || env.LLM_MODEL || DEFAULT_MODEL,
+      temperature: LLMProvider.toNumber(overrides.temperature, env.LLM_TEMPERATURE, DEFAULT_TEMPERATURE),
+      maxTokens: LLMProvider.toNumber(overrides.maxTokens, env.LLM_MAX_TOKENS, DEFAULT_MAX_TOKENS),
+      // APIキーは設定ファイルに直接書かず、読み込む環境変数名を指定する
+      apiKey: (overrides.apiKeyEnv && env[overrides.apiKeyEnv]) || env.LLM_API_KEY || env.OPENAI_API_KEY
+    };
+
+    if (provider === 'azure') {
+      settings.baseURL = overrides.baseURL || env.AZURE_OPENAI_ENDPOINT || env.LLM_BASE_URL;
+      settings.apiKey = (overrides.apiKeyEnv && env[overrides.apiKeyEnv]) || env.AZURE_OPENAI_API_KEY || env.LLM_API_KEY;
+      settings.apiVersion = overrides.apiVersion || env.AZURE_OPENAI_API_VERSION || DEFAULT_AZURE_API_VERSION;
+      // Azureではモデル名ではなくデプロイ名を指定する
+      settings.model = overrides.model || env.AZURE_OPENAI_DEPLOYMENT || env.LLM_MODEL || DEFAULT_MODEL;
+    }
+
+    // Azureのデプロイ名や互換サーバーのモデル名からは推定できないため、LLM_CONTEXT_TOKENS で指定できる
+    settings.contextTokens = LLMProvider.toNumber(overrides.contextTokens, env.LLM_CONTEXT_TOKENS) ||
+      LLMProvider.defaultContextTokens(settings.model);
+
+    // Azureのデプロイ名でも既定の単価が当たるよう、モデル名の確定後に決める
+    const [inputPrice, outputPrice] = LLMProvider.defaultPrices(provider, settings.model);
+    settings.inputPrice = LLMProvider.toNumber(overrides.inputPrice, env.LLM_INPUT_PRICE, inputPrice);
+    settings.outputPrice = LLMProvider.toNumber(overrides.outputPrice, env.LLM_OUTPUT_PRICE, outputPrice);
+
+    return settings;
+  }
+
+  static defaultContextTokens(model) {
+    const match = CONTEXT_WINDOWS.find(([pattern]) => pattern.test(model || ''));
+    return match ? match[1] : DEFAULT_CONTEXT_TOKENS;
+  }
+
+  static defaultPrices(provider, model) {
+    // 互換エンドポイントは社内サーバーなど従量課金でないことが多いため、指定がなければ0とする
+    if (provider === 'openai-compatible') return [0, 0];
+    const match = MODEL_PRICES.find(([pattern]) => pattern.test(model || ''));
+    return match ? match[1] : [0, 0];
+  }
+
+  // usage（APIの応答）から推定コスト（USD）を計算する
+  estimateCost(usage) {
+    if (!usage) return 0;
+    return ((usage.prompt_tokens || 0) * this.settings.inputPrice +
+      (usage.completion_tokens || 0) * this.settings.outputPrice) / 1000000;
+  }
+
+  static toNumber(...values) {
+    for (const value of values) {
+      if (value === undefined || value === null || value === '') continue;
+      const number = Number(value);
+      if (Number.isFinite(number)) return number;
+    }
+    return undefined;
+  }
+
+  static createClient(settings) {
+    switch (settings.provider) {
+      case 'azure':
+        // https://{resource}.openai.azure.com/openai/deployments/{deployment}/chat/completions?api-version=...
+        return new OpenAI({
+          apiKey: settings.apiKey,
+          baseURL: `${settings.baseURL.replace(/\/+$/, '')}/openai/deployments/${encodeURIComponent(settings.model)}`,
+          defaultQuery: { 'api-version': settings.apiVersion },
+          defaultHeaders: { 'api-key': settings.apiKey }
+        });
+
+      case 'openai-compatible':
+        // ローカルのサーバーは認証不要なことが多いが、SDKはAPIキーを必須とするためダミー値を渡す
+        return new OpenAI({
+          apiKey: settings.apiKey || 'not-required',
+          baseURL: settings.baseURL
+        });
+
+      default:
+        return new OpenAI({
+          apiKey: settings.apiKey,
+          baseURL: settings.baseURL
+        });
+    }
+  }
+
+  validateConfig() {
+    const { provider, apiKey, baseURL, model } = this.settings;
+
+    if (!PROVIDERS[provider]) {
+      throw new Error(`未対応のLLMプロバイダーです: ${provider}（${Object.keys(PROVIDERS).join(' / ')} のいずれかを指定してください）`);
+    }
+
+    if (provider === 'openai' && !apiKey) {
+      throw new Error('OPENAI_API_KEY（または LLM_API_KEY）環境変数が設定されていません');
+    }
+
+    if (provider === 'azure') {
+      if (!baseURL) throw new Error('AZURE_OPENAI_ENDPOINT 環境変数が設定されていません');
+      if (!apiKey) throw new Error('AZURE_OPENAI_API_KEY 環境変数が設定されていません');
+      if (!model) throw new Error('AZURE_OPENAI_DEPLOYMENT 環境変数が設定されていません');
+    }
+
+    if (provider === 'openai-compatible' && !baseURL) {
+      throw new Error('OpenAI互換エンドポイントを使用するには LLM_BASE_URL を設定してください');
+    }
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.validateConfig();
+      this.client = LLMProvider.createClient(this.settings);
+    }
+    return this.client;
+  }
+
+  countTokens(text) {
+    return TokenCounter.count(text, this.model);
+  }
+
+  // ユーザープロンプトに使えるトークン数（コンテキスト長 − 応答の最大トークン数 − 固定のメッセージ）
+  promptBudget(fixedMessages = [], maxTokens = this.maxTokens) {
+    const fixed = TokenCounter.countMessages(fixedMessages, this.model);
+    return Math.max(this.contextTokens - maxTokens - fixed - PROMPT_MARGIN_TOKENS, 0);
+  }
+
+  // model / temperature / max_tokens は設定値を既定とし、呼び出し側の指定を優先する
+  async complete(request) {
+    return this.getClient().chat.completions.create({
+      model: this.model,
+      temperature: this.temperature,
+      max_tokens: this.maxTokens,
+      ...request
+    });
+  }
+
+  async testConnection() {
+    try {
+      const response = await this.complete({
+        messages: [{ role: 'user', content: 'Hello' }],
+        max_tokens: 10
+      });
+
+      return { success: true, provider: this.label, model: response.model || this.model, baseURL: this.settings.baseURL };
+    } catch (error) {
+      console.error(`${this.label} connection test failed:`, error);
+      return { success: false, provider: this.label, model: this.model, error: error.message };
+    }
+  }
+}
+
+// チャンネルごとに設定を解決し、同じ設定のプロバイダー（クライアント）は使い回す
+class LLMProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  forChannel(channel) {
+    const settings = LLMProvider.resolveSettings(channel);
+    const key = JSON.stringify(settings);
+
+    if (!this.providers.has(key)) {
+      this.providers.set(key, new LLMProvider(settings));
+    }
+    return this.providers.get(key);
+  }
+}
+
+module.exports = { LLMProvider, LLMProviderRegistry, PROVIDERS };
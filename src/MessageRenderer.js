@@ -0,0 +1,669 @@
+const { CorrelationAnalyzer } = require('./CorrelationAnalyzer');
+const { GroupComparator } = require('./GroupComparator');
+const { MultiFileAnalyzer } = require('./MultiFileAnalyzer');
+const { DataFilter } = require('./DataFilter');
+const { QueryPlanner } = require('./QueryPlanner');
+const { StatisticsEngine } = require('./StatisticsEngine');
+const { DataQualityChecker } = require('./DataQualityChecker');
+const { DataCleaner } = require('./DataCleaner');
+const { TypeInference } = require('./TypeInference');
+
+// Slackのsectionブロックのテキスト上限（3000文字）に余裕を持たせた値
+const MAX_SECTION_LENGTH = 2900;
+
+class MessageRenderer {
+  static analysisResult(result, dataset = {}) {
+    const { analysis, fileName, rowCount, columns, intents, filters } = result;
+
+    let overview = `📋 データ概要: ${rowCount}行 × ${columns.length}列\n`;
+    if (filters && filters.length > 0) {
+      overview += `🔎 絞り込み: ${DataFilter.describe(filters)}\n`;
+    }
+    overview += `🎯 分析タイプ: ${intents.join(', ')}`;
+
+    return {
+      text: `📊 ${fileName} の分析結果\n\n${analysis}`,
+      blocks: [
+        this.header(`📊 ${fileName} の分析結果`),
+        ...this.sections(`${overview}\n\n${analysis}`),
+        ...this.localAnalysisBlocks(result.localAnalysis),
+        ...this.promptReductionBlocks(result.promptInfo),
+        ...this.cacheBlocks(result.cache),
+        ...this.privacyBlocks(dataset.privacy),
+        ...this.privacyAuditBlocks(result.privacyAudit),
+        ...this.schemaBlocks(dataset.schema, dataset.headers),
+        ...this.parseWarningBlocks(dataset.malformedLines),
+        this.footer(result.usage, dataset.encoding)
+      ]
+    };
+  }
+
+  // 正確な集計表を先に、LLMによる説明をその後に表示する
+  static queryAnswer(answer, fileName) {
+    return {
+      text: answer.queryAnswer.table,
+      blocks: [
+        this.header(`📊 ${fileName} の集計結果`),
+        ...this.sections(QueryPlanner.formatForSlack(answer.queryAnswer)),
+        ...this.sections(answer.analysis),
+        ...this.privacyAuditBlocks(answer.privacyAudit),
+        this.footer(answer.usage)
+      ]
+    };
+  }
+
+  static localAnalysisBlocks(localAnalysis = {}) {
+    const blocks = [];
+    const sections = [
+      localAnalysis.multiFile && MultiFileAnalyzer.formatForSlack(localAnalysis.multiFile),
+      localAnalysis.correlation && CorrelationAnalyzer.formatForSlack(localAnalysis.correlation),
+      localAnalysis.comparison && GroupComparator.formatForSlack(localAnalysis.comparison)
+    ].filter(Boolean);
+
+    sections.forEach(text => {
+      blocks.push({ type: 'divider' });
+      blocks.push(...this.sections(text));
+    });
+
+    return blocks;
+  }
+
+  // データ品質のレポートカード。総合スコアと観点ごとの内訳、検出した問題を行番号付きで示す
+  static qualityReport(result, fileName) {
+    const grades = { A: '🟢', B: '🟡', C: '🟠', D: '🔴' };
+    const title = `🩺 データ品質レポート: ${fileName}`;
+    const findings = DataQualityChecker.formatFindingsForSlack(result);
+
+    return {
+      text: `${title}\n品質スコア: ${result.score}/100（${result.grade}: ${result.gradeLabel}）`,
+      blocks: [
+        this.header(title),
+        {
+          type: 'section',
+          fields: [
+            { type: 'mrkdwn', text: `*品質スコア*\n${grades[result.grade]} *${result.score}* / 100（${result.grade}: ${result.gradeLabel}）` },
+            { type: 'mrkdwn', text: `*検査対象*\n${StatisticsEngine.formatNumber(result.rowCount)}行 × ${result.columnCount}列` }
+          ]
+        },
+        ...this.sections(`*スコアの内訳*\n\`\`\`\n${DataQualityChecker.formatBreakdown(result)}\n\`\`\``),
+        { type: 'divider' },
+        ...(findings.length > 0
+          ? findings.flatMap(text => this.sections(text))
+          : this.sections('✅ 検査したすべての観点で問題は見つかりませんでした。')),
+        {
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: '各観点は、問題のある行（固定値・空の列は列）の割合に応じて減点しています。行番号は元ファイルの行です'
+            }
+          ]
+        }
+      ]
+    };
+  }
+
+  // トークン上限に合わせてAIへの入力を削った場合に、その内容を知らせる
+  static promptReductionBlocks(promptInfo) {
+    if (!promptInfo) return [];
+
+    const notes = [];
+    if (promptInfo.mapGroupCount > 0) {
+      notes.push(`🧩 列数が多いため、${promptInfo.mappedColumns.length}列を${promptInfo.mapGroupCount}グループに分けて事前に分析し、結果を統合しました`);
+    }
+    const unmapped = promptInfo.omittedColumns.filter(column => !promptInfo.mappedColumns.includes(column));
+    if (unmapped.length > 0) {
+      notes.push(`✂️ トークン上限のため、関連度の低い${unmapped.length}列は列名と型のみをAIに渡しました`);
+    }
+    if (notes.length === 0) return [];
+
+    return [{
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `${notes.join('\n')}\n（統計値・集計はすべての列・行からローカルで算出しています）`
+        }
+      ]
+    }];
+  }
+
+  // 個人情報としてマスク・除外した列を知らせる
+  static privacyNotice(report) {
+    if (!report) return '';
+
+    const lines = [];
+    if (report.columns.length > 0) {
+      const columns = report.columns.map(item => `${item.column}（${item.label}）`).join(', ');
+      lines.push(report.policy === 'drop'
+        ? `🔒 個人情報の可能性がある列を分析から除外しました: ${columns}`
+        : `🔒 個人情報の可能性がある列をマスクしてからAIに渡しました: ${columns}`);
+    }
+    if (report.inlineColumns.length > 0) {
+      lines.push(`🔒 次の列に含まれるメールアドレス・電話番号などを伏せ字にしました: ${report.inlineColumns.join(', ')}`);
+    }
+    return lines.join('\n');
+  }
+
+  static privacyBlocks(report) {
+    const notice = this.privacyNotice(report);
+    if (!notice) return [];
+
+    return [{
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: notice
+        }
+      ]
+    }];
+  }
+
+  // 集計のみモードでは、行データを送っていないことを監査IDとともに示す（監査ログと照合できる）
+  // 前回の分析結果を再利用した場合に、その時刻と再分析の方法を知らせる
+  static cacheBlocks(cache) {
+    if (!cache || !cache.hit) return [];
+
+    return [{
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `♻️ 同じ内容のファイル・同じ依頼の分析結果（${new Date(cache.storedAt).toLocaleString('ja-JP')}）を再利用しました（AIへのリクエストなし）。` +
+            '分析し直す場合は `--fresh` を付けてメンションしてください'
+        }
+      ]
+    }];
+  }
+
+  static privacyAuditBlocks(audit) {
+    if (!audit || audit.mode !== 'aggregate-only') return [];
+
+    const ids = audit.auditIds.slice(0, 3).join(', ') + (audit.auditIds.length > 3 ? ` ほか${audit.auditIds.length - 3}件` : '');
+    const text = audit.requestCount > 0
+      ? `🛡️ 集計のみモード: AIへの${audit.requestCount}件のリクエストすべてで、元データ${audit.rowsInspected}行のいずれも含まれていないことを確認しました（監査ID: ${ids}）`
+      : '🛡️ 集計のみモード: AIへのリクエストは送信していません';
+
+    return [{
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text
+        }
+      ]
+    }];
+  }
+
+  static piiRefused(report) {
+    const reasons = { header: '列名から判定', values: '値から判定', config: '設定で指定' };
+    const items = report.columns.map(item => `• ${item.column}（${item.label}、${reasons[item.reason]}）`);
+    if (report.inlineColumns.length > 0) {
+      items.push(`• ${report.inlineColumns.join(', ')}（値の一部にメールアドレス・電話番号など）`);
+    }
+
+    return {
+      text: `🚫 このチャンネルでは個人情報を含むデータは分析できない設定になっています。\n\n*検出された列:*\n${items.join('\n')}\n\n該当する列を削除してから、再度アップロードしてください。`
+    };
+  }
+
+  // 引用符の不整合や列数の不一致があった行を行番号で知らせる
+  // 値から推定した列の型と、型に合わせて読み替えた値（¥120,000 → 120000、令和6年4月1日 → 2024-04-01 など）の件数
+  static schemaBlocks(schema, headers = []) {
+    const summary = TypeInference.formatForSlack(schema, headers);
+    if (!summary) return [];
+
+    const included = new Set(headers);
+    const normalized = schema
+      .filter(entry => included.has(entry.column))
+      .reduce((total, entry) => total + (entry.normalized || 0), 0);
+
+    return [{
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `🧬 列の型: ${summary}` +
+            (normalized > 0 ? `\n通貨記号・%・全角数字・和暦などを型に合わせて読み替えた値: ${StatisticsEngine.formatNumber(normalized)}件` : '')
+        }
+      ]
+    }];
+  }
+
+  static parseWarningBlocks(malformedLines = [], maxLines = 10) {
+    if (malformedLines.length === 0) return [];
+
+    const items = malformedLines.slice(0, maxLines).map(error =>
+      `• ${error.fileName ? `${error.fileName} ` : ''}${error.lineNumber}行目: ${error.message}`
+    );
+    if (malformedLines.length > maxLines) {
+      items.push(`…ほか${malformedLines.length - maxLines}件`);
+    }
+
+    return [{
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `⚠️ 形式に問題のある行があります（読み込みは継続しました）\n${items.join('\n')}`
+        }
+      ]
+    }];
+  }
+
+  static usageGuide() {
+    return {
+      text: '📊 CSVファイルを添付してメンションしてください',
+      blocks: [
+        this.header('📁 CSVファイルを添付してください'),
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: '*使い方*\nCSVファイルを添付して、分析したい内容と一緒にメンションしてください。\n\n*使用例:*\n• `@bot このデータのトレンドを分析して` + CSVファイル\n• `@bot 地域別の売上比較をお願いします` + CSVファイル\n• `@bot 異常値を見つけて` + CSVファイル\n• `@bot 東京の製品Aの1月合計は？` + CSVファイル\n• `@bot 2つのファイルを比較して` + 複数のCSVファイル'
+          }
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: '*対応ファイル:*\n• CSV (.csv) / TSV (.tsv)\n• 最大サイズ: 10MB\n• 最大行数: 10,000行\n• 同時に添付できるファイル: 5件まで'
+          }
+        },
+        {
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: '💡 分析したい内容を具体的に教えていただくと、より詳細な洞察を提供できます！'
+            }
+          ]
+        }
+      ]
+    };
+  }
+
+  static help() {
+    return {
+      text: '🤖 CSV Analysis Bot ヘルプ',
+      blocks: [
+        this.header('🤖 CSV Analysis Bot ヘルプ'),
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: '*基本的な使い方*\n1. CSVファイルを添付して @bot + 分析指示を記載\n2. AIが自動でデータ分析・回答\n3. 結果のスレッドでメンションすると、同じデータに追加で質問できます\n4. 同じファイル・同じ指示の分析は前回の結果を再利用します（分析し直す場合は `--fresh` を付ける）'
+          }
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: '*分析例*\n• "売上の推移を分析して"\n• "地域別パフォーマンスを比較"\n• "異常なデータを見つけて"\n• "相関関係を調べて"\n• "データの品質をチェックして"'
+          }
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: '*制限事項*\n• ファイル形式：CSV, TSV\n• ファイルサイズ：10MB以下\n• 同時に添付できるファイル：5件まで'
+          }
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: '*利用状況*\n• `@bot usage` 今月のユーザー別の利用量\n• `@bot usage 先月 channel` 先月のチャンネル別（期間: 今日 / 昨日 / 過去7日 / 2024-05 など、集計単位: user / channel / model）'
+          }
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: '*データ整形*\n• `@bot clean dedupe trim dates bom` + CSVファイル 重複・空白・日付の形式を直したCSVを返信（詳しくは `@bot clean help`）'
+          }
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: '*定期レポート*\n• `@bot schedule add 0 9 * * 1 F0123ABCD 先週の売上を要約して` 毎週月曜9時に分析して投稿\n• `@bot schedule list` 登録済みの一覧\n• `@bot schedule remove <ID>` 削除'
+          }
+        }
+      ]
+    };
+  }
+
+  // ============================================================================
+  // 定期レポート
+  // ============================================================================
+
+  static scheduleHelp() {
+    return {
+      text: '*📅 定期レポートの使い方*\n' +
+        '`@bot schedule add <cron式> <データソース> [#チャンネル] [intents=分析タイプ] [分析指示]`\n' +
+        '• cron式: 「分 時 日 月 曜日」（例: `0 9 * * 1` 毎週月曜9時）、または `@daily` / `@weekly` / `@monthly`\n' +
+        '• データソース: SlackのファイルID（F…）かファイルのリンク、許可されたURL、許可されたディレクトリ内のファイルのパス\n' +
+        '• チャンネル: 投稿先（省略時はこのチャンネル）\n' +
+        '• 分析タイプ: summary / trend / correlation / anomaly / comparison / quality をカンマ区切りで（省略時は分析指示から判定）\n' +
+        '`@bot schedule list` 登録済みの一覧\n' +
+        '`@bot schedule remove <ID>` 削除'
+    };
+  }
+
+  static scheduleUnavailable() {
+    return {
+      text: '📅 この環境では定期レポートを利用できません。定期レポートは常駐するボット（Socket Mode）で実行してください。'
+    };
+  }
+
+  static scheduleError(message, action = 'add') {
+    const verb = action === 'remove' ? '削除' : action === 'list' ? '表示' : '登録';
+    return { text: `❌ 定期レポートを${verb}できませんでした: ${message}\n使い方は \`@bot schedule help\` で確認できます。` };
+  }
+
+  static scheduleAdded(job) {
+    return {
+      text: `✅ 定期レポートを登録しました（ID: \`${job.id}\`）\n${this.describeSchedule(job)}`
+    };
+  }
+
+  static scheduleRemoved(job, id) {
+    if (!job) {
+      return { text: `❌ ID \`${id}\` の定期レポートは見つかりませんでした。\`@bot schedule list\` でIDを確認してください。` };
+    }
+    return { text: `🗑️ 定期レポート \`${job.id}\`（${this.describeSource(job.source)} → <#${job.channel}>）を削除しました。` };
+  }
+
+  static scheduleList(jobs) {
+    if (jobs.length === 0) {
+      return { text: '📅 登録済みの定期レポートはありません。' };
+    }
+
+    const items = jobs.map(job => {
+      let text = `*\`${job.id}\`*\n${this.describeSchedule(job)}`;
+      if (job.lastRunAt) {
+        text += `\n前回: ${this.formatScheduleTime(job.lastRunAt, job.timeZone)}${job.lastError ? `（⚠️ ${job.lastError}）` : ''}`;
+      }
+      return text;
+    });
+
+    return {
+      text: `📅 定期レポート（${jobs.length}件）`,
+      blocks: [
+        this.header(`📅 定期レポート（${jobs.length}件）`),
+        ...this.sections(items.join('\n\n'))
+      ]
+    };
+  }
+
+  static describeSchedule(job) {
+    const lines = [
+      `• 実行: \`${job.cron}\`（${job.timeZone}） 次回 ${this.formatScheduleTime(job.nextRunAt, job.timeZone)}`,
+      `• データ: ${this.describeSource(job.source)}`,
+      `• 投稿先: <#${job.channel}>`
+    ];
+    if (job.intents.length > 0) lines.push(`• 分析タイプ: ${job.intents.join(', ')}`);
+    if (job.prompt) lines.push(`• 分析指示: ${job.prompt}`);
+    if (job.createdBy) lines.push(`• 登録者: <@${job.createdBy}>`);
+    return lines.join('\n');
+  }
+
+  static describeSource(source) {
+    if (source.type === 'slack') return `Slackのファイル ${source.value}`;
+    return source.value;
+  }
+
+  static formatScheduleTime(time, timeZone) {
+    return new Date(time).toLocaleString('ja-JP', { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  // 定期レポートの見出し。結果はこのメッセージのスレッドに返信する
+  static scheduledReportHeader(job) {
+    const title = job.prompt || `${this.describeSource(job.source)} の分析`;
+    return {
+      text: `📅 定期レポート: ${title}`,
+      blocks: [
+        this.header(`📅 定期レポート: ${title}`),
+        {
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: `ID: \`${job.id}\` | \`${job.cron}\` | データ: ${this.describeSource(job.source)}${job.createdBy ? ` | 登録者: <@${job.createdBy}>` : ''}`
+            }
+          ]
+        }
+      ]
+    };
+  }
+
+  static scheduledReportSkipped(job, reason) {
+    return {
+      text: `⏭️ ${reason}、定期レポート \`${job.id}\`（${this.describeSource(job.source)}）の今回の実行を見送りました。次回は予定どおり実行します。`
+    };
+  }
+
+  // ============================================================================
+  // データ整形
+  // ============================================================================
+
+  static cleaningHelp() {
+    return {
+      text: '*🧹 データ整形の使い方*\n' +
+        'CSVファイルを添付して（分析済みのスレッドでは添付を省略できます）`@bot clean <操作...> [bom]`\n' +
+        '• `trim` 前後の空白・連続した空白を除去\n' +
+        '• `normalize` 全角英数字・記号を半角に、半角カナを全角に統一\n' +
+        '• `dates` 日付をISO形式（YYYY-MM-DD）に統一\n' +
+        '• `fill=値` 空欄を補完（`0` などの値、`mean` / `median` / `mode` / `ffill`。`fill=数量:0,単価:median` で列ごとに指定）\n' +
+        '• `dropna` 空欄のある行を削除\n' +
+        '• `dedupe` 重複行を削除（`dedupe=注文ID` でキー列の重複）\n' +
+        '• `outliers` 外れ値のある行を削除\n' +
+        '• `rename=旧列名:新列名` 列名を変更\n' +
+        '• `bom` Excelで開けるようBOM付きで出力\n' +
+        '`trim` `normalize` `dates` `dropna` `outliers` も `=列1,列2` で対象の列を指定できます。操作は上の順に適用し、省略した場合は trim / normalize / dates / dedupe を行います。'
+    };
+  }
+
+  static cleaningError(message) {
+    return { text: `❌ データを整形できませんでした: ${this.sanitizeErrorMessage(message)}\n使い方は \`@bot clean help\` で確認できます。` };
+  }
+
+  // 整形後のファイルに添えるコメント（変更内容の一覧）
+  static cleaningResult(result, options = {}) {
+    const fmt = value => StatisticsEngine.formatNumber(value);
+    const rows = result.rowCountBefore === result.rowCountAfter
+      ? `${fmt(result.rowCountAfter)}行`
+      : `${fmt(result.rowCountBefore)}行 → ${fmt(result.rowCountAfter)}行`;
+
+    return {
+      text: `🧹 *${result.fileName}* を整形しました（${rows} × ${result.headers.length}列、UTF-8${options.bom ? ' BOM付き' : ''}）\n` +
+        `*変更内容*\n${DataCleaner.formatLog(result).join('\n')}\n` +
+        '_行番号は元ファイルの行です_'
+    };
+  }
+
+  // 利用量の集計（トークン数と推定コスト）
+  static usageReport(report) {
+    const fmt = value => StatisticsEngine.formatNumber(value);
+    const cost = value => `$${value.toFixed(value >= 1 ? 2 : 4)}`;
+    const name = key => {
+      if (key === null) return '(不明)';
+      if (report.groupBy === 'user') return `<@${key}>`;
+      if (report.groupBy === 'channel') return `<#${key}>`;
+      return key;
+    };
+
+    const title = `💰 利用状況（${report.period.label}）`;
+    if (report.rows.length === 0) {
+      return { text: `${title}\nこの期間の利用はありません。` };
+    }
+
+    const lines = report.rows.map(row =>
+      `• ${name(row.key)}: ${fmt(row.requests)}回 / ${fmt(row.totalTokens)}トークン` +
+      `（入力${fmt(row.promptTokens)} / 出力${fmt(row.completionTokens)}） / 推定 ${cost(row.cost)}`
+    );
+    const { total } = report;
+
+    return {
+      text: title,
+      blocks: [
+        this.header(title),
+        ...this.sections(`*${report.groupLabel}別*${report.onlyUser ? '（ご自身の利用分のみ）' : ''}\n${lines.join('\n')}`),
+        {
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: `合計: ${fmt(total.requests)}回 / ${fmt(total.totalTokens)}トークン / 推定 ${cost(total.cost)}` +
+                '\n※推定コストはモデルごとの単価（LLM_INPUT_PRICE / LLM_OUTPUT_PRICE で変更可）から算出した概算です'
+            }
+          ]
+        }
+      ]
+    };
+  }
+
+  static queued(position, waitSeconds) {
+    return {
+      text: `⏳ 分析が混み合っているため、順番待ちです。あなたの分析は${position}番目です（目安: ${this.formatWait(waitSeconds)}）。\n` +
+        '順番が来たら自動的に開始します。'
+    };
+  }
+
+  static rateLimited(error) {
+    const reasons = {
+      user: '短時間に多くの分析を依頼されたため、一時的に受付を制限しています。',
+      global: '分析の依頼が集中しているため、一時的に受付を制限しています。',
+      queue: '順番待ちの分析が上限に達したため、受け付けられませんでした。'
+    };
+
+    return {
+      text: `🚦 ${reasons[error.reason]}\n${this.formatWait(error.retryAfter)}ほど待ってから、もう一度メンションしてください。`
+    };
+  }
+
+  static formatWait(seconds) {
+    return seconds < 60 ? `約${seconds}秒` : `約${Math.ceil(seconds / 60)}分`;
+  }
+
+  static quotaExceeded(quota) {
+    const fmt = value => StatisticsEngine.formatNumber(value);
+    const reset = quota.period === 'day' ? '明日' : '来月1日';
+
+    return {
+      text: `⏳ ${quota.label}のAI利用上限（${fmt(quota.limit)}トークン）に達したため、分析を実行できませんでした。\n` +
+        `現在の利用量: ${fmt(quota.used)}トークン\n` +
+        `${reset}になると上限がリセットされます。お急ぎの場合は管理者にお問い合わせください。`
+    };
+  }
+
+  static greeting() {
+    const responses = [
+      'こんにちは！😊 CSV分析の準備万端です！',
+      'Hello! データ分析でお手伝いできることがあれば、CSVファイルと一緒にお声がけください。',
+      'お疲れ様です！📊 何か分析したいデータはありますか？'
+    ];
+
+    return { text: responses[Math.floor(Math.random() * responses.length)] };
+  }
+
+  static validationError(errors) {
+    return {
+      text: `❌ ファイルの検証でエラーが発生しました:\n${errors.map(error => `• ${error}`).join('\n')}\n\n対応ファイル形式: CSV (.csv), TSV (.tsv)\n最大サイズ: 10MB`
+    };
+  }
+
+  static analysisError(errorMessage) {
+    return {
+      text: `❌ 分析中にエラーが発生しました:\n${this.sanitizeErrorMessage(errorMessage)}\n\nファイル形式やAPIキーの設定をご確認ください。`
+    };
+  }
+
+  static generalError(errorMessage) {
+    return {
+      text: `❌ エラーが発生しました: ${this.sanitizeErrorMessage(errorMessage)}\n\nしばらく経ってから再度お試しください。`
+    };
+  }
+
+  static sanitizeErrorMessage(errorMessage) {
+    const sensitivePatterns = [
+      /sk-[a-zA-Z0-9]{48}/g, // OpenAI API keys
+      /xoxb-[a-zA-Z0-9-]+/g, // Slack bot tokens
+      /xapp-[a-zA-Z0-9-]+/g, // Slack app tokens
+      /Bearer\s+[a-zA-Z0-9\-_\.]+/g, // Bearer tokens
+    ];
+
+    let sanitized = String(errorMessage);
+    sensitivePatterns.forEach(pattern => {
+      sanitized = sanitized.replace(pattern, '[REDACTED]');
+    });
+
+    return sanitized;
+  }
+
+  static header(text) {
+    return {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        // headerブロックは150文字まで
+        text: text.length > 150 ? `${text.slice(0, 147)}...` : text
+      }
+    };
+  }
+
+  // 長いテキストは改行位置で複数のsectionブロックに分割する
+  static sections(text) {
+    const chunks = [];
+    let current = '';
+
+    String(text).split('\n').forEach(line => {
+      while (line.length > MAX_SECTION_LENGTH) {
+        if (current) {
+          chunks.push(current);
+          current = '';
+        }
+        chunks.push(line.slice(0, MAX_SECTION_LENGTH));
+        line = line.slice(MAX_SECTION_LENGTH);
+      }
+
+      const next = current ? `${current}\n${line}` : line;
+      if (next.length > MAX_SECTION_LENGTH) {
+        chunks.push(current);
+        current = line;
+      } else {
+        current = next;
+      }
+    });
+    if (current) chunks.push(current);
+
+    return chunks.map(chunk => ({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: chunk
+      }
+    }));
+  }
+
+  static footer(usage, encoding) {
+    const items = [];
+    if (encoding) items.push(`📄 文字コード: ${encoding}`);
+    items.push(`💰 トークン使用量: ${usage?.total_tokens || 'N/A'}`);
+    items.push(`🕒 分析完了: ${new Date().toLocaleString('ja-JP')}`);
+
+    return {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: items.join(' | ')
+        }
+      ]
+    };
+  }
+}
+
+module.exports = { MessageRenderer };
@@ -0,0 +1,288 @@
+const { StatisticsEngine } = require('./StatisticsEngine');
+const { TypeInference } = require('./TypeInference');
+
+const SOURCE_COLUMN = 'ファイル';
+
+const MODE_LABELS = {
+  union: '縦結合（同じ列構成のファイルを連結）',
+  join: '横結合（キー列で結合）',
+  separate: '個別（共通のキー列が見つからないため、行数が最も多いファイルを主に分析）'
+};
+
+class MultiFileAnalyzer {
+  static combine(datasets, options = {}) {
+    const unionThreshold = options.unionThreshold || 0.8;
+    const alignment = this.alignSchemas(datasets);
+    const comparison = this.compareFiles(datasets, alignment);
+
+    if (alignment.overlapRatio >= unionThreshold) {
+      return {
+        mode: 'union',
+        alignment,
+        comparison,
+        joins: [],
+        ...this.union(datasets, alignment)
+      };
+    }
+
+    // 行数が最も多いファイルを明細、それ以外をマスタとみなして結合を試みる
+    const baseIndex = datasets.reduce((best, dataset, index) => (dataset.data.length > datasets[best].data.length ? index : best), 0);
+    const joins = [];
+    let combined = this.canonicalize(datasets[baseIndex], alignment.mappings[baseIndex]);
+
+    datasets.forEach((dataset, index) => {
+      if (index === baseIndex) return;
+      const other = this.canonicalize(dataset, alignment.mappings[index]);
+      const key = this.detectJoinKey(combined, other);
+      if (key) {
+        combined = this.join(combined, other, key.column);
+        joins.push({ fileName: dataset.fileName, ...key });
+      }
+    });
+
+    return {
+      mode: joins.length > 0 ? 'join' : 'separate',
+      alignment,
+      comparison,
+      joins,
+      baseFileName: datasets[baseIndex].fileName,
+      headers: combined.headers,
+      data: combined.data,
+      lineNumbers: combined.lineNumbers
+    };
+  }
+
+  // ============================================
+  // スキーマの対応付け（表記ゆれを吸収して同じ列とみなす）
+  // ============================================
+  static normalizeHeader(header) {
+    return String(header).normalize('NFKC').toLowerCase().replace(/[\s_\-・]/g, '');
+  }
+
+  static alignSchemas(datasets) {
+    const canonicalByKey = new Map();
+    const presence = new Map();
+
+    const mappings = datasets.map((dataset, index) => {
+      const mapping = {};
+      dataset.headers.forEach(header => {
+        const key = this.normalizeHeader(header);
+        if (!canonicalByKey.has(key)) {
+          canonicalByKey.set(key, header);
+          presence.set(key, new Set());
+        }
+        presence.get(key).add(index);
+        mapping[header] = canonicalByKey.get(key);
+      });
+      return mapping;
+    });
+
+    const allColumns = [...canonicalByKey.values()];
+    const commonColumns = [...canonicalByKey.entries()]
+      .filter(([key]) => presence.get(key).size === datasets.length)
+      .map(([, column]) => column);
+
+    const columnsOnlyIn = {};
+    datasets.forEach((dataset, index) => {
+      const only = [...canonicalByKey.entries()]
+        .filter(([key]) => presence.get(key).size === 1 && presence.get(key).has(index))
+        .map(([, column]) => column);
+      if (only.length > 0) columnsOnlyIn[dataset.fileName] = only;
+    });
+
+    return {
+      mappings,
+      allColumns,
+      commonColumns,
+      columnsOnlyIn,
+      overlapRatio: allColumns.length > 0 ? commonColumns.length / allColumns.length : 0
+    };
+  }
+
+  static canonicalize(dataset, mapping) {
+    const headers = dataset.headers.map(header => mapping[header]);
+    const data = dataset.data.map(row => {
+      const canonicalRow = {};
+      dataset.headers.forEach(header => { canonicalRow[mapping[header]] = row[header]; });
+      return canonicalRow;
+    });
+
+    return {
+      fileName: dataset.fileName,
+      headers,
+      data,
+      lineNumbers: dataset.lineNumbers || data.map((row, index) => index + 2)
+    };
+  }
+
+  // ============================================
+  // 縦結合
+  // ============================================
+  static union(datasets, alignment) {
+    const headers = [SOURCE_COLUMN, ...alignment.allColumns];
+    const data = [];
+    const lineNumbers = [];
+
+    datasets.forEach((dataset, index) => {
+      const canonical = this.canonicalize(dataset, alignment.mappings[index]);
+      canonical.data.forEach((row, rowIndex) => {
+        const combinedRow = { [SOURCE_COLUMN]: dataset.fileName };
+        alignment.allColumns.forEach(column => {
+          combinedRow[column] = row[column] !== undefined ? row[column] : null;
+        });
+        data.push(combinedRow);
+        lineNumbers.push(canonical.lineNumbers[rowIndex]);
+      });
+    });
+
+    return { headers, data, lineNumbers };
+  }
+
+  // ============================================
+  // キー列の検出と横結合（左外部結合）
+  // ============================================
+  static detectJoinKey(base, other, minCoverage = 0.5) {
+    const candidates = base.headers
+      .filter(column => other.headers.includes(column))
+      .map(column => {
+        const otherValues = other.data.map(row => row[column]).filter(value => !StatisticsEngine.isMissing(value)).map(String);
+        const otherSet = new Set(otherValues);
+        // 結合先ではキーが一意である必要がある
+        if (otherValues.length === 0 || otherSet.size !== otherValues.length) return null;
+
+        const baseValues = base.data.map(row => row[column]).filter(value => !StatisticsEngine.isMissing(value)).map(String);
+        const matchedRows = baseValues.filter(value => otherSet.has(value)).length;
+        const coverage = base.data.length > 0 ? matchedRows / base.data.length : 0;
+        const hinted = TypeInference.isKeyHeader(column);
+
+        return { column, coverage, matchedRows, score: coverage + (hinted ? 0.1 : 0) };
+      })
+      .filter(candidate => candidate && candidate.coverage >= minCoverage)
+      .sort((a, b) => b.score - a.score);
+
+    if (candidates.length === 0) return null;
+    const { column, coverage, matchedRows } = candidates[0];
+    return { column, coverage, matchedRows };
+  }
+
+  static join(base, other, keyColumn) {
+    const index = new Map(other.data.map(row => [String(row[keyColumn]), row]));
+    const addedColumns = other.headers
+      .filter(column => column !== keyColumn)
+      .map(column => ({
+        source: column,
+        target: base.headers.includes(column) ? `${column}(${other.fileName})` : column
+      }));
+
+    const data = base.data.map(row => {
+      const match = StatisticsEngine.isMissing(row[keyColumn]) ? null : index.get(String(row[keyColumn]));
+      const joined = { ...row };
+      addedColumns.forEach(({ source, target }) => {
+        joined[target] = match && match[source] !== undefined ? match[source] : null;
+      });
+      return joined;
+    });
+
+    return {
+      fileName: base.fileName,
+      headers: [...base.headers, ...addedColumns.map(column => column.target)],
+      data,
+      lineNumbers: base.lineNumbers
+    };
+  }
+
+  // ============================================
+  // ファイル間の比較サマリー
+  // ============================================
+  static compareFiles(datasets, alignment) {
+    const files = datasets.map((dataset, index) => {
+      const canonical = this.canonicalize(dataset, alignment.mappings[index]);
+      const statistics = StatisticsEngine.describe(canonical.headers, canonical.data);
+      return { fileName: dataset.fileName, rowCount: dataset.data.length, columnCount: dataset.headers.length, statistics };
+    });
+
+    const numericColumns = alignment.commonColumns.filter(column =>
+      files.every(file => file.statistics.columns[column] && file.statistics.columns[column].type === 'numeric')
+    );
+
+    const metrics = numericColumns.map(column => {
+      const perFile = files.map(file => {
+        const stats = file.statistics.columns[column].statistics;
+        return { fileName: file.fileName, count: stats.count, sum: stats.sum, mean: stats.mean };
+      });
+      const baseline = perFile[0];
+      perFile.forEach(entry => {
+        entry.sumChange = baseline.sum !== 0 ? (entry.sum - baseline.sum) / Math.abs(baseline.sum) : null;
+      });
+      return { column, perFile };
+    });
+
+    return {
+      files: files.map(({ fileName, rowCount, columnCount }) => ({ fileName, rowCount, columnCount })),
+      numericColumns,
+      metrics
+    };
+  }
+
+  // ============================================
+  // 整形
+  // ============================================
+  static describeMode(result) {
+    let text = `結合方法: ${MODE_LABELS[result.mode]}`;
+    if (result.mode === 'join') {
+      text += `\n` + result.joins
+        .map(join => `- ${result.baseFileName} に ${join.fileName} をキー「${join.column}」で結合（一致 ${join.matchedRows}行, ${StatisticsEngine.formatPercent(join.coverage)}）`)
+        .join('\n');
+    }
+    if (result.mode === 'union') {
+      text += `\n- 「${SOURCE_COLUMN}」列に元のファイル名を記録`;
+    }
+    if (result.mode === 'separate') {
+      text += `\n- 分析対象: ${result.baseFileName}`;
+    }
+    return text;
+  }
+
+  static formatComparison(result) {
+    const fmt = value => StatisticsEngine.formatNumber(value);
+    const lines = [];
+
+    lines.push(['ファイル', '行数', '列数'].join(' | '));
+    result.comparison.files.forEach(file => lines.push([file.fileName, fmt(file.rowCount), fmt(file.columnCount)].join(' | ')));
+
+    result.comparison.metrics.forEach(metric => {
+      lines.push('');
+      lines.push([`${metric.column}`, '件数', '合計', '平均', `合計の差（対 ${metric.perFile[0].fileName}）`].join(' | '));
+      metric.perFile.forEach((entry, index) => {
+        const change = index === 0 || entry.sumChange === null
+          ? '-'
+          : `${entry.sumChange >= 0 ? '+' : ''}${(entry.sumChange * 100).toFixed(1)}%`;
+        lines.push([entry.fileName, fmt(entry.count), fmt(entry.sum), fmt(entry.mean), change].join(' | '));
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  static formatForPrompt(result) {
+    let text = `${this.describeMode(result)}\n`;
+    text += `共通の列: ${result.alignment.commonColumns.join(', ') || 'なし'}\n`;
+    Object.entries(result.alignment.columnsOnlyIn).forEach(([fileName, columns]) => {
+      text += `${fileName} のみの列: ${columns.join(', ')}\n`;
+    });
+    text += `\nファイル別の比較:\n${this.formatComparison(result)}`;
+    return text;
+  }
+
+  static formatForSlack(result) {
+    let text = `*🗂️ 複数ファイルの比較（${result.comparison.files.length}ファイル）*\n${this.describeMode(result)}`;
+    const onlyIn = Object.entries(result.alignment.columnsOnlyIn);
+    if (onlyIn.length > 0) {
+      text += `\n` + onlyIn.map(([fileName, columns]) => `• ${fileName} のみ: ${columns.join(', ')}`).join('\n');
+    }
+    text += `\n\`\`\`\n${this.formatComparison(result)}\n\`\`\``;
+    return text.length > 2900 ? `${text.slice(0, 2890)}\n\`\`\`` : text;
+  }
+}
+
+module.exports = { MultiFileAnalyzer, SOURCE_COLUMN };
@@ -0,0 +1,241 @@
+const { StatisticsEngine } = require('./StatisticsEngine');
+
+const METHOD_LABELS = {
+  zscore: 'Zスコア',
+  iqr: 'IQR',
+  mad: 'MAD'
+};
+
+const DEFAULT_THRESHOLDS = {
+  zscore: 3,
+  iqr: 1.5,
+  mad: 3.5
+};
+
+class OutlierDetector {
+  static analyze(headers, data, options = {}) {
+    const thresholds = { ...DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+    const minGroupSize = options.minGroupSize || 4;
+    const groupBy = options.groupBy || null;
+    const lineNumbers = options.lineNumbers || data.map((row, index) => index + 2);
+    const numericColumns = (options.numericColumns || headers.filter(column =>
+      StatisticsEngine.profileColumn(data.map(row => row[column])).type === 'numeric'
+    )).filter(column => column !== groupBy);
+
+    // グループ指定があればグループ内で、なければ全体で判定
+    const groups = new Map();
+    data.forEach((row, rowIndex) => {
+      const key = groupBy ? String(row[groupBy] ?? '(空欄)') : null;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(rowIndex);
+    });
+
+    const findings = new Map();
+    const columns = {};
+
+    numericColumns.forEach(column => {
+      columns[column] = { flaggedCount: 0, groups: {} };
+
+      groups.forEach((rowIndexes, group) => {
+        const points = rowIndexes
+          .filter(rowIndex => typeof data[rowIndex][column] === 'number' && !isNaN(data[rowIndex][column]))
+          .map(rowIndex => ({ rowIndex, value: data[rowIndex][column] }));
+        if (points.length < minGroupSize) return;
+
+        const bounds = this.computeBounds(points.map(point => point.value), thresholds);
+        columns[column].groups[group === null ? '全体' : group] = bounds;
+
+        points.forEach(point => {
+          const methods = this.flagMethods(point.value, bounds, thresholds);
+          if (methods.length === 0) return;
+
+          const key = `${point.rowIndex}:${column}`;
+          findings.set(key, {
+            rowIndex: point.rowIndex,
+            lineNumber: lineNumbers[point.rowIndex],
+            column,
+            value: point.value,
+            group,
+            methods,
+            zScore: bounds.stdDev > 0 ? (point.value - bounds.mean) / bounds.stdDev : null
+          });
+          columns[column].flaggedCount++;
+        });
+      });
+    });
+
+    const flagged = [...findings.values()].sort((a, b) =>
+      b.methods.length - a.methods.length || Math.abs(b.zScore || 0) - Math.abs(a.zScore || 0)
+    );
+
+    return {
+      groupBy,
+      thresholds,
+      numericColumns,
+      columns,
+      flagged,
+      flaggedRows: this.groupByRow(flagged, data, lineNumbers)
+    };
+  }
+
+  static computeBounds(values, thresholds) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const summary = StatisticsEngine.numericSummary(sorted);
+    const deviations = sorted.map(value => Math.abs(value - summary.median)).sort((a, b) => a - b);
+    const mad = StatisticsEngine.quantile(deviations, 0.5);
+
+    return {
+      count: sorted.length,
+      mean: summary.mean,
+      stdDev: summary.stdDev,
+      median: summary.median,
+      q1: summary.q1,
+      q3: summary.q3,
+      lowerFence: summary.q1 - thresholds.iqr * summary.iqr,
+      upperFence: summary.q3 + thresholds.iqr * summary.iqr,
+      mad
+    };
+  }
+
+  static flagMethods(value, bounds, thresholds) {
+    const methods = [];
+
+    if (bounds.stdDev > 0 && Math.abs(value - bounds.mean) / bounds.stdDev > thresholds.zscore) {
+      methods.push('zscore');
+    }
+
+    if (bounds.q3 > bounds.q1 && (value < bounds.lowerFence || value > bounds.upperFence)) {
+      methods.push('iqr');
+    }
+
+    // 修正Zスコア (Iglewicz & Hoaglin)
+    if (bounds.mad > 0 && Math.abs(0.6745 * (value - bounds.median) / bounds.mad) > thresholds.mad) {
+      methods.push('mad');
+    }
+
+    return methods;
+  }
+
+  static groupByRow(flagged, data, lineNumbers) {
+    const rows = new Map();
+
+    flagged.forEach(finding => {
+      if (!rows.has(finding.rowIndex)) {
+        rows.set(finding.rowIndex, {
+          rowIndex: finding.rowIndex,
+          lineNumber: lineNumbers[finding.rowIndex],
+          row: data[finding.rowIndex],
+          findings: []
+        });
+      }
+      rows.get(finding.rowIndex).findings.push(finding);
+    });
+
+    return [...rows.values()].sort((a, b) => a.lineNumber - b.lineNumber);
+  }
+
+  // 質問文に含まれるカテゴリ列名をグループ単位として採用（例: 「地域ごとの外れ値」）
+  static detectGroupColumn(query, headers, statistics) {
+    if (!query) return null;
+
+    const candidates = headers.filter(column => {
+      const profile = statistics.columns[column];
+      return profile && profile.type === 'categorical' && profile.distinctCount >= 2 && profile.distinctCount <= 50;
+    });
+
+    return candidates.find(column => query.includes(column)) || null;
+  }
+
+  static formatMethods(methods) {
+    return methods.map(method => METHOD_LABELS[method]).join('/');
+  }
+
+  static formatForPrompt(result, maxRows = 30) {
+    if (!result || result.flagged.length === 0) {
+      return `Zスコア(>${DEFAULT_THRESHOLDS.zscore})・IQR(${DEFAULT_THRESHOLDS.iqr}倍)・MAD(>${DEFAULT_THRESHOLDS.mad})のいずれでも外れ値は検出されませんでした。`;
+    }
+
+    const fmt = value => StatisticsEngine.formatNumber(value);
+    const lines = [];
+    lines.push(`判定方法: Zスコア(|z|>${result.thresholds.zscore}), IQR(四分位範囲の${result.thresholds.iqr}倍), MAD(修正Zスコア>${result.thresholds.mad})`);
+    if (result.groupBy) {
+      lines.push(`判定単位: 「${result.groupBy}」のグループごと`);
+    }
+    lines.push(`検出件数: ${result.flaggedRows.length}行 / ${result.flagged.length}セル`);
+
+    result.flaggedRows.slice(0, maxRows).forEach(flaggedRow => {
+      const reasons = flaggedRow.findings
+        .map(finding => `${finding.column}=${fmt(finding.value)} [${this.formatMethods(finding.methods)}` +
+          `${finding.zScore !== null ? `, z=${finding.zScore.toFixed(2)}` : ''}]`)
+        .join(', ');
+      lines.push(`- ${flaggedRow.lineNumber}行目: ${reasons} / 行データ: ${JSON.stringify(flaggedRow.row)}`);
+    });
+
+    if (result.flaggedRows.length > maxRows) {
+      lines.push(`※他${result.flaggedRows.length - maxRows}行は省略`);
+    }
+
+    return lines.join('\n');
+  }
+
+  // 集計のみモード用: 行番号・行データは含めず、列ごとの検出件数と判定範囲だけを示す
+  static formatSummaryForPrompt(result) {
+    if (!result || result.flagged.length === 0) {
+      return this.formatForPrompt(result);
+    }
+
+    const fmt = value => StatisticsEngine.formatNumber(value);
+    const lines = [];
+    lines.push(`判定方法: Zスコア(|z|>${result.thresholds.zscore}), IQR(四分位範囲の${result.thresholds.iqr}倍), MAD(修正Zスコア>${result.thresholds.mad})`);
+    if (result.groupBy) {
+      lines.push(`判定単位: 「${result.groupBy}」のグループごと`);
+    }
+    lines.push(`検出件数: ${result.flaggedRows.length}行 / ${result.flagged.length}セル（個々の行は集計のみモードのため省略）`);
+
+    Object.entries(result.columns)
+      .filter(([, column]) => column.flaggedCount > 0)
+      .sort(([, a], [, b]) => b.flaggedCount - a.flaggedCount)
+      .forEach(([name, column]) => {
+        const findings = result.flagged.filter(finding => finding.column === name);
+        const above = findings.filter(finding => finding.zScore !== null && finding.zScore > 0).length;
+        const ranges = Object.entries(column.groups)
+          .filter(([group]) => findings.some(finding => (finding.group === null ? '全体' : finding.group) === group))
+          .slice(0, 5)
+          .map(([group, bounds]) => `${group}: 中央値${fmt(bounds.median)}, 正常範囲${fmt(bounds.lowerFence)}〜${fmt(bounds.upperFence)}`);
+        lines.push(`- ${name}: ${column.flaggedCount}件（上振れ${above}件・下振れ${column.flaggedCount - above}件） ${ranges.join(' / ')}`);
+      });
+
+    return lines.join('\n');
+  }
+
+  static formatTable(result, maxRows = 20) {
+    if (!result || result.flagged.length === 0) {
+      return '*🚨 外れ値検出*\n統計的な外れ値は検出されませんでした。';
+    }
+
+    const fmt = value => StatisticsEngine.formatNumber(value);
+    const rows = result.flagged.slice(0, maxRows).map(finding => [
+      `${finding.lineNumber}`,
+      result.groupBy ? String(finding.group) : null,
+      finding.column,
+      fmt(finding.value),
+      finding.zScore !== null ? finding.zScore.toFixed(2) : '-',
+      this.formatMethods(finding.methods)
+    ].filter(cell => cell !== null));
+
+    const header = ['行', result.groupBy, '列', '値', 'z', '手法'].filter(cell => cell !== null);
+    const table = [header, ...rows].map(cells => cells.join(' | ')).join('\n');
+
+    let text = `*🚨 外れ値検出（${result.flaggedRows.length}行 / ${result.flagged.length}セル）*`;
+    if (result.groupBy) {
+      text += `\n判定単位: ${result.groupBy}ごと`;
+    }
+    text += `\n\`\`\`\n${table}\n\`\`\``;
+    if (result.flagged.length > maxRows) {
+      text += `\n他${result.flagged.length - maxRows}件は省略しました`;
+    }
+    return text;
+  }
+}
+
+module.exports = { OutlierDetector };
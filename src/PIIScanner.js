@@ -0,0 +1,304 @@
+const { StatisticsEngine } = require('./StatisticsEngine');
+const { ChannelConfig } = require('./ChannelConfig');
+
+// 個人情報の種類と、マスク後の値に使う名前
+const PII_TYPES = {
+  email: 'メールアドレス',
+  phone: '電話番号',
+  postalCode: '郵便番号',
+  myNumber: 'マイナンバー',
+  creditCard: 'クレジットカード番号',
+  personName: '氏名',
+  address: '住所'
+};
+
+const POLICIES = ['mask', 'drop', 'refuse', 'off'];
+
+// 列名による判定（正規化した列名との完全一致、または末尾一致）
+const HEADER_HINTS = {
+  email: { exact: ['email', 'mail', 'emailaddress', 'メール'], suffix: ['メールアドレス', 'mailaddress'] },
+  phone: { exact: ['tel', 'telno', 'telephone', 'phone', 'fax', '携帯', 'mobile'], suffix: ['電話番号', '電話', 'phonenumber', '携帯番号', 'fax番号'] },
+  postalCode: { exact: ['zip', 'zipcode', 'postalcode', 'postcode', '〒'], suffix: ['郵便番号'] },
+  myNumber: { exact: ['mynumber'], suffix: ['マイナンバー', '個人番号'] },
+  creditCard: { exact: ['cardnumber', 'creditcard'], suffix: ['カード番号', 'クレジットカード'] },
+  personName: {
+    exact: ['name', 'fullname', 'firstname', 'lastname', 'customername', 'contactname', '姓', '名', 'せい', 'めい', '宛名', '受取人'],
+    suffix: ['氏名', '名前', 'お名前', 'フリガナ', 'ふりがな', '顧客名', '担当者', '担当者名', '社員名', '会員名', '従業員名', '契約者名', '申込者名']
+  },
+  address: { exact: ['address', '所在地'], suffix: ['住所', '番地', 'address'] }
+};
+
+// 値による判定。partial は自由記述の列の中から部分的に見つけてマスクするためのパターン
+const PATTERNS = {
+  email: {
+    full: /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/,
+    partial: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  phone: {
+    // 国内: 0から始まる10〜11桁（区切りあり・なし）、国際: +国番号
+    full: /^(?:0\d{1,4}[-(\s]?\d{1,4}[-)\s]?\d{3,4}|0[5-9]0\d{8}|0\d{9}|\+\d{1,3}[-\s]?\d{1,4}(?:[-\s]?\d{2,4}){2,3})$/,
+    partial: /(?:\+\d{1,3}[-\s]?\d{1,4}(?:[-\s]?\d{2,4}){2,3}|0\d{1,4}-\d{1,4}-\d{3,4}|0[5-9]0\d{8})(?!\d)/g,
+    check: value => PIIScanner.isPlausiblePhoneNumber(value)
+  },
+  postalCode: {
+    full: /^〒?\s?\d{3}-\d{4}$/,
+    partial: /〒\s?\d{3}-?\d{4}|(?<!\d)\d{3}-\d{4}(?!\d)/g
+  },
+  myNumber: {
+    full: /^\d{4}[-\s]?\d{4}[-\s]?\d{4}$/,
+    partial: /(?<!\d)\d{4}[-\s]?\d{4}[-\s]?\d{4}(?!\d)/g,
+    check: value => PIIScanner.isValidMyNumber(value)
+  },
+  creditCard: {
+    full: /^(?:\d[-\s]?){12,18}\d$/,
+    partial: /(?<!\d)(?:\d{4}[-\s]){3}\d{1,7}(?!\d)|(?<!\d)\d{14,16}(?!\d)/g,
+    check: value => PIIScanner.isValidCardNumber(value)
+  },
+  personName: {
+    // 「山田 太郎」「ヤマダ タロウ」「Taro Yamada」「山田太郎様」
+    full: /^(?:[一-龥々]{1,4}[\s　][一-龥々]{1,5}|[ァ-ヶー]{1,8}[\s　][ァ-ヶー]{1,8}|[A-Z][a-z]+\s[A-Z][a-z]+|[一-龥々ァ-ヶー]{2,8}(?:様|さん|殿))$/
+  },
+  address: {
+    full: /^(?:東京都|北海道|(?:京都|大阪)府|[一-龥]{2,3}県).+?[市区町村郡]/,
+    partial: /(?:東京都|北海道|(?:京都|大阪)府|[一-龥]{2,3}県)[一-龥ぁ-んァ-ヶー]+?[市区町村郡][^\s,、。]*\d[-\d丁目番地号]*/g
+  }
+};
+
+// 型の判定を優先する順（マイナンバーとカード番号は桁数が近いため、検査数字で区別する）
+const DETECTION_ORDER = ['email', 'myNumber', 'creditCard', 'phone', 'postalCode', 'address', 'personName'];
+
+// 値から列を判定する際に必要な一致率と、確認する値の数
+const MATCH_THRESHOLD = 0.6;
+const SAMPLE_SIZE = 1000;
+
+// CSVの列と値から個人情報を検出し、LLMに渡す前にマスク（トークン化）・列の除外・分析の拒否を行う
+class PIIScanner {
+  // 環境変数 PII_POLICY を既定とし、チャンネル設定の "pii" セクションで上書きする
+  //   { "pii": { "policy": "drop", "columns": ["会員ID"], "ignoreColumns": ["担当者"] } }
+  static policyFor(channel) {
+    const overrides = ChannelConfig.get(channel, 'pii');
+    const policy = String(overrides.policy || process.env.PII_POLICY || 'mask').toLowerCase();
+
+    return {
+      policy: POLICIES.includes(policy) ? policy : 'mask',
+      columns: overrides.columns || [],
+      ignoreColumns: overrides.ignoreColumns || []
+    };
+  }
+
+  // ============================================
+  // 検出
+  // ============================================
+  static scan(headers, data, options = {}) {
+    const forced = new Set(options.columns || []);
+    const ignored = new Set(options.ignoreColumns || []);
+    const columns = [];
+    const inlineColumns = [];
+
+    headers.forEach(column => {
+      if (ignored.has(column)) return;
+
+      const values = [];
+      for (const row of data) {
+        if (!StatisticsEngine.isMissing(row[column])) values.push(String(row[column]).trim());
+        if (values.length >= SAMPLE_SIZE) break;
+      }
+
+      const detection = this.classifyColumn(column, values);
+      if (detection) {
+        columns.push({ column, ...detection });
+      } else if (forced.has(column)) {
+        columns.push({ column, type: 'custom', label: '指定された列', reason: 'config', matchRatio: null });
+      } else if (data.some(row => typeof row[column] === 'string' && this.findInline(row[column]).length > 0)) {
+        // 自由記述の列（備考など）に含まれる連絡先は値の一部だけをマスクする
+        inlineColumns.push(column);
+      }
+    });
+
+    return { columns, inlineColumns };
+  }
+
+  static classifyColumn(column, values) {
+    const headerType = this.matchHeader(column);
+    if (headerType) {
+      return { type: headerType, label: PII_TYPES[headerType], reason: 'header', matchRatio: null };
+    }
+    if (values.length === 0) return null;
+
+    for (const type of DETECTION_ORDER) {
+      const matched = values.filter(value => this.matchesValue(type, value)).length;
+      const ratio = matched / values.length;
+      if (ratio >= MATCH_THRESHOLD && this.isPlausible(type, values)) {
+        return { type, label: PII_TYPES[type], reason: 'values', matchRatio: ratio };
+      }
+    }
+    return null;
+  }
+
+  static matchHeader(column) {
+    const normalized = String(column).normalize('NFKC').toLowerCase().replace(/[\s_\-・]/g, '');
+    return DETECTION_ORDER.find(type => {
+      const hints = HEADER_HINTS[type];
+      return hints.exact.includes(normalized) || hints.suffix.some(suffix => normalized.endsWith(suffix));
+    }) || null;
+  }
+
+  static matchesValue(type, value) {
+    const pattern = PATTERNS[type];
+    if (!pattern.full.test(value)) return false;
+    return pattern.check ? pattern.check(value) : true;
+  }
+
+  // 氏名は値の形だけでは判定が緩いため、値の種類が多い（マスタ的なカテゴリではない）列に限る
+  static isPlausible(type, values) {
+    if (type !== 'personName') return true;
+    return new Set(values).size / values.length >= 0.5;
+  }
+
+  // 自由記述の中から個人情報の部分を探す
+  static findInline(text) {
+    const found = [];
+    ['email', 'creditCard', 'myNumber', 'phone', 'postalCode', 'address'].forEach(type => {
+      const pattern = PATTERNS[type];
+      for (const match of String(text).matchAll(pattern.partial)) {
+        if (pattern.check && !pattern.check(match[0])) continue;
+        found.push({ type, value: match[0], index: match.index });
+      }
+    });
+    return found;
+  }
+
+  // ============================================
+  // 検査数字
+  // ============================================
+  // マイナンバー: 12桁目が先頭11桁から計算した検査用数字と一致するか
+  static isValidMyNumber(value) {
+    const digits = String(value).replace(/[-\s]/g, '');
+    if (!/^\d{12}$/.test(digits)) return false;
+
+    const body = digits.slice(0, 11).split('').reverse().map(Number);
+    const sum = body.reduce((total, digit, index) => {
+      const n = index + 1;
+      return total + digit * (n <= 6 ? n + 1 : n - 5);
+    }, 0);
+    const remainder = sum % 11;
+    const check = remainder <= 1 ? 0 : 11 - remainder;
+    return check === Number(digits[11]);
+  }
+
+  // 電話番号: 国内は0から始まる10〜11桁、国際は国番号を含めて8〜15桁
+  static isPlausiblePhoneNumber(value) {
+    const text = String(value).trim();
+    const digits = text.replace(/\D/g, '');
+    if (text.startsWith('+')) {
+      return digits.length >= 8 && digits.length <= 15;
+    }
+    return digits.startsWith('0') && digits.length >= 10 && digits.length <= 11;
+  }
+
+  // クレジットカード番号: 13〜19桁でLuhnチェックを満たすか
+  static isValidCardNumber(value) {
+    const digits = String(value).replace(/[-\s]/g, '');
+    if (!/^\d{13,19}$/.test(digits) || /^(\d)\1+$/.test(digits)) return false;
+
+    let sum = 0;
+    digits.split('').reverse().forEach((char, index) => {
+      let digit = Number(char);
+      if (index % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    });
+    return sum % 10 === 0;
+  }
+
+  // ============================================
+  // マスク・除外
+  // ============================================
+  // ポリシーに従ってデータセットを加工する。refuse で個人情報が見つかった場合は refused: true を返す
+  static protect(dataset, policy = this.policyFor()) {
+    if (policy.policy === 'off') {
+      return { dataset, report: null };
+    }
+
+    const scan = this.scan(dataset.headers, dataset.data, policy);
+    const report = {
+      policy: policy.policy,
+      columns: scan.columns.map(({ column, label, reason }) => ({ column, label, reason })),
+      inlineColumns: scan.inlineColumns
+    };
+
+    if (scan.columns.length === 0 && scan.inlineColumns.length === 0) {
+      return { dataset, report: null };
+    }
+
+    if (policy.policy === 'refuse') {
+      return { dataset: null, report, refused: true };
+    }
+
+    const piiColumns = new Set(scan.columns.map(item => item.column));
+    const headers = policy.policy === 'drop'
+      ? dataset.headers.filter(column => !piiColumns.has(column))
+      : dataset.headers;
+    const tokenizers = new Map(scan.columns.map(item => [item.column, this.createTokenizer(item)]));
+
+    const data = dataset.data.map(row => {
+      const protectedRow = {};
+      headers.forEach(column => {
+        const value = row[column];
+        if (tokenizers.has(column)) {
+          protectedRow[column] = tokenizers.get(column)(value);
+        } else if (scan.inlineColumns.includes(column) && typeof value === 'string') {
+          protectedRow[column] = this.maskInline(value);
+        } else {
+          protectedRow[column] = value;
+        }
+      });
+      return protectedRow;
+    });
+
+    return {
+      dataset: {
+        ...dataset,
+        headers,
+        data,
+        statistics: StatisticsEngine.describe(headers, data),
+        privacy: report
+      },
+      report
+    };
+  }
+
+  // 同じ値には同じトークンを割り当て、件数やグループ別の集計は維持する
+  static createTokenizer(detection) {
+    const tokens = new Map();
+    const prefix = detection.type === 'custom' ? detection.column : PII_TYPES[detection.type];
+
+    return value => {
+      if (StatisticsEngine.isMissing(value)) return value;
+      const key = String(value).trim();
+      if (!tokens.has(key)) {
+        tokens.set(key, `${prefix}_${tokens.size + 1}`);
+      }
+      return tokens.get(key);
+    };
+  }
+
+  static maskInline(text) {
+    const found = this.findInline(text).sort((a, b) => a.index - b.index);
+    let result = '';
+    let cursor = 0;
+
+    found.forEach(item => {
+      // 重なる検出（住所内の郵便番号など）は先に見つかったものを優先する
+      if (item.index < cursor) return;
+      result += `${text.slice(cursor, item.index)}[${PII_TYPES[item.type]}]`;
+      cursor = item.index + item.value.length;
+    });
+
+    return result + text.slice(cursor);
+  }
+}
+
+module.exports = { PIIScanner, PII_TYPES, POLICIES };
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { ChannelConfig } = require('./ChannelConfig');
+const { StatisticsEngine } = require('./StatisticsEngine');
+const { TokenCounter } = require('./TokenCounter');
+const { PIIScanner } = require('./PIIScanner');
+
+const MODES = {
+  'standard': '標準',
+  'aggregate-only': '集計のみ'
+};
+
+// 1行のうち何セルが近い位置に現れたら「行データを含む」とみなすか
+const LEAK_CELL_THRESHOLD = 3;
+// 整形されたJSON（1項目1行）の続きの行。連続するものは1件分として扱う
+const JSON_CONTINUATION = /^\s*("[^"]*"\s*:|[{}[\]],?\s*$)/;
+// 列内での出現回数がこれ以下の文字列は、その行を特定できる値とみなす
+const DISTINCTIVE_MAX_OCCURRENCES = 2;
+// 行を特定できる値のうち、この文字数以上の文章（備考・問い合わせ内容など）は1セルだけでも行データとみなす
+const FREE_TEXT_MIN_LENGTH = 12;
+// 集計のみモードでAIに渡す集計表のグループの最小行数（これ未満のグループは集計値から個々の行が分かる）
+const MIN_AGGREGATE_GROUP_SIZE = 3;
+
+// LLMへ送るリクエストを記録し、集計のみモードでは行データが含まれていないことを検査する
+// 記録は AUDIT_LOG_FILE（JSON Lines）に追記し、未設定の場合は標準出力に出す
+//
+// 集計のみモードでは、データセットの各行について「その行のセル値が3つ以上、同じ行（またはJSONの1件分）に
+// まとまって出現するか」をプロンプト全体から調べる。統計値や集計表に個々の値が単独で現れることはあるが、
+// 1行分の値の組み合わせが現れるのはサンプル行や行単位の結果を送った場合に限られる
+// ただし、1〜2行にしかない長い文章のセルは、それだけで特定の行の内容のため、そのまま現れた時点で行データとみなす
+class PrivacyAudit {
+  constructor(options = {}) {
+    this.logFile = options.logFile !== undefined ? options.logFile : process.env.AUDIT_LOG_FILE;
+    this.indexes = new WeakMap();
+  }
+
+  // ChannelConfig の "privacy" セクション（{ "mode": "aggregate-only" }）、なければ PRIVACY_MODE
+  static modeFor(channel) {
+    const config = ChannelConfig.get(channel, 'privacy');
+    const mode = String(config.mode || process.env.PRIVACY_MODE || 'standard').toLowerCase();
+
+    if (!MODES[mode]) {
+      // 設定の誤りで行データを送ってしまわないよう、不明な値は厳しい側に倒す
+      console.error(`Unknown privacy mode "${mode}", falling back to aggregate-only`);
+      return 'aggregate-only';
+    }
+    return mode;
+  }
+
+  static isAggregateOnly(provider) {
+    return provider.privacyMode === 'aggregate-only';
+  }
+
+  // 集計のみモードでAIに渡してよいカテゴリの値。1〜2行にしかない値（自由記述など）は行を特定でき、
+  // 連絡先を含む値はそれ自体が個人のデータのため渡さない
+  static isShareableValue(value, count) {
+    return count >= MIN_AGGREGATE_GROUP_SIZE && PIIScanner.findInline(String(value)).length === 0;
+  }
+
+  // 記述統計（StatisticsEngine.describe）の上位の値を isShareableValue のものに絞る。件数・ユニーク数などはそのまま
+  static aggregateStatistics(description) {
+    const columns = Object.fromEntries(Object.entries(description.columns).map(([column, profile]) => [
+      column,
+      profile && profile.topValues
+        ? { ...profile, topValues: profile.topValues.filter(item => this.isShareableValue(item.value, item.count)) }
+        : profile
+    ]));
+    return { ...description, columns };
+  }
+
+  // provider の complete() を監査付きに差し替えたオブジェクトを返す（他のメソッド・設定値はそのまま使える）
+  wrap(provider, context) {
+    const audit = this;
+    const audited = Object.create(provider);
+    audited.privacyMode = context.mode;
+    audited.auditRecords = [];
+
+    audited.complete = async function (request) {
+      const record = audit.inspect(provider, request, context);
+      audited.auditRecords.push(record);
+      audit.write(record);
+
+      if (record.blocked) {
+        const error = new Error(`集計のみモードのため、行データ（${record.rowLevelMatches}行分）を含むリクエストの送信を中止しました（監査ID: ${record.id}）`);
+        error.code = 'privacy_blocked';
+        throw error;
+      }
+      return provider.complete(request);
+    };
+
+    return audited;
+  }
+
+  inspect(provider, request, context) {
+    const messages = request.messages || [];
+    const text = messages.map(message => message.content || '').join('\n');
+    const aggregateOnly = context.mode === 'aggregate-only';
+    const matches = aggregateOnly && context.data ? this.findRowsInText(text, context) : [];
+
+    return {
+      id: crypto.randomBytes(6).toString('hex'),
+      timestamp: new Date().toISOString(),
+      channel: context.channel || null,
+      mode: context.mode,
+      provider: provider.label,
+      model: provider.model,
+      messageCount: messages.length,
+      promptTokens: TokenCounter.countMessages(messages, provider.model),
+      promptSha256: crypto.createHash('sha256').update(text).digest('hex'),
+      // 標準モードではサンプル行を意図的に送るため、行データの検査は行わない
+      rowsInspected: aggregateOnly && context.data ? context.data.length : 0,
+      rowLevelMatches: matches.length,
+      matchedRows: matches.slice(0, 5),
+      blocked: aggregateOnly && matches.length > 0
+    };
+  }
+
+  write(record) {
+    const line = JSON.stringify(record);
+    if (!this.logFile) {
+      console.log(`[audit] ${line}`);
+      return;
+    }
+
+    try {
+      fs.appendFileSync(this.logFile, `${line}\n`);
+    } catch (error) {
+      // 記録に失敗しても、記録内容は標準出力に残す
+      console.error('Failed to write audit log:', error.message);
+      console.log(`[audit] ${line}`);
+    }
+  }
+
+  // 結果メッセージに添える監査の要約
+  static summarize(provider) {
+    const records = provider.auditRecords || [];
+    return {
+      mode: provider.privacyMode || 'standard',
+      label: MODES[provider.privacyMode] || MODES.standard,
+      requestCount: records.length,
+      rowsInspected: records.reduce((max, record) => Math.max(max, record.rowsInspected), 0),
+      rowLevelMatches: records.reduce((total, record) => total + record.rowLevelMatches, 0),
+      auditIds: records.map(record => record.id)
+    };
+  }
+
+  // ============================================================================
+  // 行データの検出
+  // ============================================================================
+
+  // 行番号（0始まり）の一覧を返す
+  findRowsInText(text, context) {
+    const index = this.rowIndex(context.headers, context.data);
+    const tokenSegments = this.tokenSegments(text);
+    const threshold = Math.max(2, Math.min(LEAK_CELL_THRESHOLD, context.headers.length));
+    const found = [];
+    let normalizedText = null;
+
+    index.forEach((cells, rowNumber) => {
+      // 区間ごとに、出現したセル数と行を特定できる値の有無を数える
+      const segments = new Map();
+      cells.forEach(cell => {
+        const segmentSets = cell.tokens.map(token => tokenSegments.get(token));
+        if (segmentSets.some(set => !set)) return;
+        const [first, ...rest] = segmentSets;
+        first.forEach(segment => {
+          if (!rest.every(set => set.has(segment))) return;
+          const hit = segments.get(segment) || { cells: 0, distinctive: false };
+          hit.cells++;
+          hit.distinctive = hit.distinctive || cell.distinctive;
+          segments.set(segment, hit);
+        });
+      });
+
+      const combined = [...segments.values()].some(hit => hit.cells >= threshold && hit.distinctive);
+      // 文章のセルは、トークンがすべて現れる場合のみ本文と照合する
+      const freeText = cells.some(cell => cell.freeText &&
+        cell.tokens.every(token => tokenSegments.has(token)) &&
+        (normalizedText || (normalizedText = PrivacyAudit.normalizeText(text))).includes(cell.freeText));
+      if (combined || freeText) {
+        found.push(rowNumber);
+      }
+    });
+
+    return found;
+  }
+
+  // トークン → 出現する区間の番号。区間は1行、または整形されたJSONのように複数行にまたがる1件分
+  tokenSegments(text) {
+    const map = new Map();
+    let segment = -1;
+    let inJson = false;
+
+    String(text).split('\n').forEach(line => {
+      const jsonLine = JSON_CONTINUATION.test(line);
+      // 配列内のオブジェクトは "{" の行から1件ずつ区切る
+      if (!(jsonLine && inJson) || /^\s*\{\s*$/.test(line)) segment++;
+      inJson = jsonLine;
+
+      PrivacyAudit.tokenize(line).forEach(token => {
+        if (!map.has(token)) map.set(token, new Set());
+        map.get(token).add(segment);
+      });
+    });
+    return map;
+  }
+
+  // 各行のセルを照合用のトークンに分解しておく（同じデータセットへの複数回のリクエストで使い回す）
+  rowIndex(headers, data) {
+    if (this.indexes.has(data)) return this.indexes.get(data);
+
+    const frequencies = Object.fromEntries(headers.map(column => {
+      const counts = new Map();
+      data.forEach(row => {
+        const key = String(row[column]);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+      return [column, counts];
+    }));
+
+    const index = data.map(row => headers
+      .filter(column => !StatisticsEngine.isMissing(row[column]))
+      .map(column => {
+        const value = row[column];
+        const tokens = PrivacyAudit.tokenize(String(value)).filter(token => token.length > 1);
+        const distinctive = typeof value === 'number'
+          ? String(Math.abs(Math.trunc(value))).length >= 3
+          : frequencies[column].get(String(value)) <= DISTINCTIVE_MAX_OCCURRENCES;
+        const text = typeof value === 'string' ? PrivacyAudit.normalizeText(value) : '';
+        const freeText = distinctive && text.length >= FREE_TEXT_MIN_LENGTH ? text : null;
+        return { tokens, distinctive, freeText };
+      })
+      .filter(cell => cell.tokens.length > 0));
+
+    this.indexes.set(data, index);
+    return index;
+  }
+
+  // 全角・半角と連続する空白の違いを除いて照合する
+  static normalizeText(text) {
+    return String(text).normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  // 桁区切りのカンマを除き、空白・記号で区切る（"1,200" と 1200、JSONの "値" と 値 を同一視する）
+  static tokenize(text) {
+    return String(text)
+      .normalize('NFKC')
+      .replace(/(\d),(?=\d{3}(?!\d))/g, '$1')
+      .toLowerCase()
+      .split(/[\s,、。:;|()[\]{}"'=<>`*「」【】/]+/)
+      .filter(Boolean);
+  }
+}
+
+module.exports = { PrivacyAudit, PRIVACY_MODES: MODES, MIN_AGGREGATE_GROUP_SIZE };
@@ -0,0 +1,186 @@
+const { StatisticsEngine } = require('./StatisticsEngine');
+const { TokenCounter } = require('./TokenCounter');
+
+// 列名一覧をすべて列挙する上限（超える分は件数のみ示す）
+const WIDE_SCHEMA_COLUMNS = 40;
+// 削減時にサンプルデータへ含める列数・行数
+const REDUCED_SAMPLE_COLUMNS = 12;
+const REDUCED_SAMPLE_ROWS = 3;
+// 詳細を省略した列の一覧に使うトークン数の上限
+const SCHEMA_SUMMARY_TOKENS = 600;
+
+// プロンプトをトークン予算に収めるための列の優先順位付けと段階的な削減
+class PromptBudget {
+  // 質問での言及 > ローカル分析での使用 > 数値列 > 欠損の少なさ の順に並べる（同点は元の列順）
+  static rankColumns(headers, statistics, localAnalysis = {}, userQuery = '') {
+    const query = String(userQuery || '').toLowerCase();
+    const used = this.columnsUsedBy(localAnalysis);
+
+    const score = column => {
+      const profile = statistics.columns[column];
+      let value = 0;
+      if (query && query.includes(String(column).toLowerCase())) value += 100;
+      if (used.has(column)) value += 50;
+      if (profile.type === 'numeric') value += 10;
+      value += (1 - profile.nullRatio) * 5;
+      // ほぼ全行が異なるカテゴリ列（IDや自由記述）は集計上の情報が少ない
+      if (profile.type !== 'numeric' && profile.count > 0 && profile.distinctCount / profile.count > 0.9) value -= 5;
+      return value;
+    };
+
+    return headers
+      .map((column, index) => ({ column, index, score: score(column) }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(item => item.column);
+  }
+
+  static columnsUsedBy(localAnalysis = {}) {
+    const columns = new Set();
+    const { timeSeries, correlation, outliers, comparison, quality } = localAnalysis;
+
+    if (timeSeries && timeSeries.dateColumn) {
+      columns.add(timeSeries.dateColumn);
+    }
+    if (correlation) {
+      [...correlation.topPositive, ...correlation.topNegative].forEach(pair => {
+        columns.add(pair.columnA);
+        columns.add(pair.columnB);
+      });
+    }
+    if (outliers) {
+      outliers.flagged.forEach(finding => columns.add(finding.column));
+      if (outliers.groupBy) columns.add(outliers.groupBy);
+    }
+    if (comparison) {
+      comparison.groupColumns.forEach(column => columns.add(column));
+    }
+    if (quality) {
+      const { duplicateKeys, mixedTypes, dateFormats, notation, sentinels } = quality.checks;
+      [...duplicateKeys, ...mixedTypes, ...dateFormats, ...notation, ...sentinels].forEach(item => columns.add(item.column));
+    }
+
+    return columns;
+  }
+
+  static pickStatistics(statistics, columns) {
+    return {
+      ...statistics,
+      columns: Object.fromEntries(columns.map(column => [column, statistics.columns[column]]))
+    };
+  }
+
+  static pickFields(row, columns) {
+    return Object.fromEntries(columns.map(column => [column, row[column]]));
+  }
+
+  static listColumns(headers, limit = WIDE_SCHEMA_COLUMNS) {
+    if (headers.length <= limit) {
+      return headers.join(', ');
+    }
+    return `${headers.slice(0, limit).join(', ')} …ほか${headers.length - limit}列`;
+  }
+
+  // 詳細を省略した列は、型ごとに列名だけを並べる
+  static summarizeSchema(statistics, columns, model) {
+    const numeric = columns.filter(column => statistics.columns[column].type === 'numeric');
+    const categorical = columns.filter(column => statistics.columns[column].type !== 'numeric');
+
+    let text = `詳細を省略した列（${columns.length}列、列名と型のみ）:\n`;
+    if (numeric.length > 0) text += `- 数値: ${numeric.join(', ')}\n`;
+    if (categorical.length > 0) text += `- カテゴリ: ${categorical.join(', ')}\n`;
+
+    return TokenCounter.truncate(text, SCHEMA_SUMMARY_TOKENS, model);
+  }
+
+  // build(layout) が返すプロンプトが予算に収まるまで段階的に削る
+  //   1. そのまま
+  //   2. サンプルデータの行数・列数を減らす
+  //   3. 関連度の低い列から詳細情報を省略する（列名と型のみ残す）
+  //   4. 1列も詳細を載せられなければ、サンプルデータをなくし分析セクションを残りの半分までに切り詰めて3を再実行
+  //   5. それでも収まらなければ、列の詳細なしで分析セクションを残りすべてまで切り詰める
+  static fit(build, { rankedColumns, budget, model }) {
+    const measure = layout => {
+      const prompt = build(layout);
+      return { prompt, tokens: TokenCounter.count(prompt, model), layout };
+    };
+    const finish = (result, omittedColumns = []) => ({ ...result, omittedColumns, fits: result.tokens <= budget });
+
+    let result = measure({});
+    if (result.tokens <= budget) return finish(result);
+
+    const reduced = {
+      sampleRows: REDUCED_SAMPLE_ROWS,
+      sampleColumns: rankedColumns.slice(0, REDUCED_SAMPLE_COLUMNS)
+    };
+    result = measure(reduced);
+    if (result.tokens <= budget) return finish(result);
+
+    // 詳細を載せられる列数を二分探索する（1列以上載せられた場合のみ採用）
+    const searchColumns = layout => {
+      let low = 1;
+      let high = rankedColumns.length - 1;
+      let best = null;
+      while (low <= high) {
+        const count = Math.floor((low + high) / 2);
+        const candidate = measure({ ...layout, detailColumns: rankedColumns.slice(0, count) });
+        if (candidate.tokens <= budget) {
+          best = candidate;
+          low = count + 1;
+        } else {
+          high = count - 1;
+        }
+      }
+      return best && finish(best, rankedColumns.slice(best.layout.detailColumns.length));
+    };
+
+    const withFewerColumns = searchColumns(reduced);
+    if (withFewerColumns) return withFewerColumns;
+
+    const minimal = { sampleRows: 0, detailColumns: [] };
+    const base = measure({ ...minimal, maxSectionTokens: 0 });
+    const remaining = Math.max(budget - base.tokens, 0);
+
+    const withShorterSections = searchColumns({ sampleRows: 0, maxSectionTokens: Math.floor(remaining / 2) });
+    if (withShorterSections) return withShorterSections;
+
+    result = measure({ ...minimal, maxSectionTokens: remaining });
+    if (result.tokens > budget) {
+      // 固定部分だけで予算を超える場合も、拒否せず末尾を切り詰めて送る
+      const prompt = TokenCounter.truncate(result.prompt, budget, model);
+      result = { ...result, prompt, tokens: TokenCounter.count(prompt, model) };
+    }
+    return finish(result, rankedColumns);
+  }
+
+  // 列の詳細情報が groupBudget に収まるようにグループ分けする（列の並びは保つ）
+  static groupColumns(statistics, columns, groupBudget, model) {
+    const groups = [];
+    let current = [];
+    let used = 0;
+
+    columns.forEach(column => {
+      const tokens = TokenCounter.count(StatisticsEngine.formatForPrompt(this.pickStatistics(statistics, [column])), model) + 1;
+      if (current.length > 0 && used + tokens > groupBudget) {
+        groups.push(current);
+        current = [];
+        used = 0;
+      }
+      current.push(column);
+      used += tokens;
+    });
+    if (current.length > 0) groups.push(current);
+
+    return groups;
+  }
+
+  // 会話履歴は古いやり取りから削り、maxTokens に収める
+  static trimHistory(history, maxTokens, model) {
+    const trimmed = [...history];
+    while (trimmed.length > 0 && TokenCounter.countMessages(trimmed, model) > maxTokens) {
+      trimmed.splice(0, 2);
+    }
+    return trimmed;
+  }
+}
+
+module.exports = { PromptBudget };
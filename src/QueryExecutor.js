@@ -0,0 +1,131 @@
+const { DataFilter } = require('./DataFilter');
+const { StatisticsEngine } = require('./StatisticsEngine');
+
+const AGGREGATION_LABELS = {
+  sum: '合計',
+  mean: '平均',
+  count: '件数',
+  min: '最小',
+  max: '最大',
+  median: '中央値',
+  distinct_count: 'ユニーク数'
+};
+
+class QueryExecutor {
+  static execute(plan, data, options = {}) {
+    const defaultLimit = options.defaultLimit || 20;
+    const filtered = DataFilter.apply(data, plan.filters);
+    const groupBy = plan.groupBy || [];
+    const aggregations = plan.aggregations || [];
+
+    let columns;
+    let rows;
+    // 集計結果のうち最も少ないグループの元の行数（集計なしの場合は null、該当0行のみの場合は Infinity）
+    let minGroupRows = null;
+
+    if (groupBy.length === 0 && aggregations.length === 0) {
+      // 集計なし: 条件に合う行をそのまま返す
+      columns = plan.select && plan.select.length > 0 ? plan.select : Object.keys(data[0] || {});
+      rows = filtered.map(row => columns.map(column => row[column]));
+    } else {
+      const effectiveAggregations = aggregations.length > 0 ? aggregations : [{ function: 'count', column: null }];
+      columns = [...groupBy, ...effectiveAggregations.map(aggregation => this.outputName(aggregation))];
+
+      const groups = new Map();
+      filtered.forEach(row => {
+        const key = groupBy.map(column => row[column]);
+        const id = JSON.stringify(key);
+        if (!groups.has(id)) groups.set(id, { key, rows: [] });
+        groups.get(id).rows.push(row);
+      });
+
+      // グループ化なしで該当0行の場合も、件数0・合計0の1行を返す
+      if (groupBy.length === 0 && groups.size === 0) {
+        groups.set('[]', { key: [], rows: [] });
+      }
+
+      minGroupRows = Math.min(...[...groups.values()].map(group => group.rows.length).filter(count => count > 0));
+      rows = [...groups.values()].map(group => [
+        ...group.key,
+        ...effectiveAggregations.map(aggregation => this.aggregate(aggregation, group.rows))
+      ]);
+    }
+
+    (plan.sort || []).slice().reverse().forEach(sort => {
+      const index = columns.indexOf(sort.column);
+      if (index === -1) return;
+      const direction = sort.direction === 'asc' ? 1 : -1;
+      rows.sort((a, b) => direction * this.compareCells(a[index], b[index]));
+    });
+
+    const limit = plan.limit || defaultLimit;
+    return {
+      columns,
+      rows: rows.slice(0, limit),
+      totalResultRows: rows.length,
+      truncated: rows.length > limit,
+      matchedRowCount: filtered.length,
+      totalRowCount: data.length,
+      minGroupRows
+    };
+  }
+
+  static outputName(aggregation) {
+    const label = AGGREGATION_LABELS[aggregation.function] || aggregation.function;
+    return aggregation.column ? `${label}(${aggregation.column})` : label;
+  }
+
+  static aggregate(aggregation, rows) {
+    if (aggregation.function === 'count') {
+      return aggregation.column
+        ? rows.filter(row => !StatisticsEngine.isMissing(row[aggregation.column])).length
+        : rows.length;
+    }
+
+    const values = rows.map(row => row[aggregation.column]).filter(value => !StatisticsEngine.isMissing(value));
+    if (aggregation.function === 'distinct_count') {
+      return new Set(values.map(String)).size;
+    }
+
+    const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+    if (aggregation.function === 'sum') {
+      return numbers.reduce((a, b) => a + b, 0);
+    }
+    if (numbers.length === 0) return null;
+
+    switch (aggregation.function) {
+      case 'mean':
+        return numbers.reduce((a, b) => a + b, 0) / numbers.length;
+      case 'min':
+        return Math.min(...numbers);
+      case 'max':
+        return Math.max(...numbers);
+      case 'median':
+        return StatisticsEngine.quantile([...numbers].sort((a, b) => a - b), 0.5);
+      default:
+        throw new Error(`未対応の集計関数です: ${aggregation.function}`);
+    }
+  }
+
+  static compareCells(a, b) {
+    if (StatisticsEngine.isMissing(a)) return StatisticsEngine.isMissing(b) ? 0 : 1;
+    if (StatisticsEngine.isMissing(b)) return -1;
+    return DataFilter.compare(a, b);
+  }
+
+  static formatTable(result, maxRows = 20) {
+    const fmt = value => {
+      if (StatisticsEngine.isMissing(value)) return '-';
+      return typeof value === 'number' ? StatisticsEngine.formatNumber(value) : String(value);
+    };
+
+    const lines = [result.columns.join(' | ')];
+    result.rows.slice(0, maxRows).forEach(row => lines.push(row.map(fmt).join(' | ')));
+    if (result.totalResultRows > Math.min(maxRows, result.rows.length)) {
+      lines.push(`…（全${result.totalResultRows}行中${Math.min(maxRows, result.rows.length)}行を表示）`);
+    }
+    return lines.join('\n');
+  }
+}
+
+module.exports = { QueryExecutor, AGGREGATION_LABELS };
@@ -0,0 +1,426 @@
+const { DataFilter, OPERATORS } = require('./DataFilter');
+const { QueryExecutor, AGGREGATION_LABELS } = require('./QueryExecutor');
+const { StatisticsEngine } = require('./StatisticsEngine');
+const { TimeSeriesAnalyzer } = require('./TimeSeriesAnalyzer');
+const { TokenCounter } = require('./TokenCounter');
+const { PIIScanner } = require('./PIIScanner');
+const { PrivacyAudit, MIN_AGGREGATE_GROUP_SIZE } = require('./PrivacyAudit');
+
+const QUESTION_KEYWORDS = [
+  '合計', '平均', '件数', '何件', '最大', '最小', '最高', '最低', '中央値', 'いくら', 'いくつ', '何個',
+  '上位', '下位', 'ランキング', 'トップ', '一番', '多い', '少ない', 'どれ', 'どこ', 'だれ', '誰',
+  'total', 'sum', 'average', 'count', 'how many', 'how much', 'top', 'which'
+];
+
+class QueryPlanner {
+  // aggregateOnly: 集計のみモード（行単位の結果をAIに送らない）
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.aggregateOnly = options.aggregateOnly || false;
+  }
+
+  // 個別の値を問う質問かどうか（全体分析の依頼とは区別する）
+  static isQuestion(text) {
+    if (!text) return false;
+    const lower = text.toLowerCase();
+    return QUESTION_KEYWORDS.some(keyword => lower.includes(keyword));
+  }
+
+  // トレンド・相関・異常検知・データ品質の依頼は通常の分析で扱う
+  static shouldPlan(question, intents) {
+    return this.isQuestion(question) && !intents.some(intent => ['trend', 'correlation', 'anomaly', 'quality'].includes(intent));
+  }
+
+  async answer(question, dataset) {
+    const planning = await this.createPlan(question, dataset);
+    const validation = QueryPlanner.validatePlan(planning.plan, dataset.headers);
+
+    if (!validation.isValid) {
+      throw new Error(`質問を集計条件に変換できませんでした:\n${validation.errors.map(error => `• ${error}`).join('\n')}`);
+    }
+
+    const result = QueryExecutor.execute(validation.plan, dataset.data);
+    const table = QueryExecutor.formatTable(result);
+    const explanation = await this.explainWithinPolicy(question, validation.plan, result, table);
+
+    return {
+      plan: validation.plan,
+      result,
+      table,
+      explanation: explanation.text,
+      // 表をAIに送らなかった（集計のみモードで行単位の結果だった）か
+      withheld: Boolean(explanation.withheld),
+      usage: QueryPlanner.mergeUsage(planning.usage, explanation.usage)
+    };
+  }
+
+  // ============================================
+  // 質問 → クエリプラン（Function Calling）
+  // ============================================
+  async createPlan(question, dataset) {
+    const systemMessage = {
+      role: 'system',
+      content: 'あなたはCSVデータの集計クエリを組み立てるアシスタントです。ユーザーの質問に答えるために必要な絞り込み・グループ化・集計・並び順・件数を run_query で指定してください。' +
+        '列名は必ずスキーマにあるものをそのまま使い、カテゴリ値はスキーマの値の表記に合わせてください。' +
+        '日付の範囲は between と YYYY-MM-DD 形式の [開始日, 終了日] で指定してください。'
+    };
+    const fixedBudget = this.provider.promptBudget([systemMessage, { role: 'user', content: question }]);
+
+    // 列名のenumはツール定義内で4回繰り返されるため、列数が多く予算の1/4を超える場合は外す
+    // （列名は validatePlan で照合するため、enumがなくても誤った列名は弾ける）
+    let tool = QueryPlanner.buildTool(dataset.headers);
+    if (this.provider.countTokens(JSON.stringify(tool)) > fixedBudget / 4) {
+      tool = QueryPlanner.buildTool(dataset.headers, { columnEnum: false });
+    }
+
+    // 列数の多いファイルでは、スキーマ説明をコンテキストに収まる行数までに切り詰める
+    const budget = fixedBudget - this.provider.countTokens(JSON.stringify(tool));
+    const schema = TokenCounter.truncateLines(QueryPlanner.describeSchema(dataset, { aggregateOnly: this.aggregateOnly }), Math.max(budget, 0), this.provider.model);
+
+    const response = await this.provider.complete({
+      messages: [
+        systemMessage,
+        {
+          role: 'user',
+          content: `【データのスキーマ】\n${schema}\n\n【質問】\n${question}`
+        }
+      ],
+      tools: [tool],
+      tool_choice: { type: 'function', function: { name: 'run_query' } },
+      temperature: 0
+    });
+
+    const toolCall = response.choices[0].message.tool_calls && response.choices[0].message.tool_calls[0];
+    if (!toolCall) {
+      throw new Error('質問から集計条件を生成できませんでした。');
+    }
+
+    let plan;
+    try {
+      plan = JSON.parse(toolCall.function.arguments);
+    } catch (error) {
+      throw new Error('集計条件の形式が不正です。質問を言い換えてお試しください。');
+    }
+
+    return { plan, usage: response.usage };
+  }
+
+  static buildTool(headers, options = {}) {
+    const columnEnum = options.columnEnum !== false;
+    const columnProperty = () => (columnEnum
+      ? { type: 'string', enum: headers }
+      : { type: 'string', description: 'スキーマに記載された列名' });
+
+    return {
+      type: 'function',
+      function: {
+        name: 'run_query',
+        description: 'CSVデータ全行に対して実行する集計クエリを指定します',
+        parameters: {
+          type: 'object',
+          properties: {
+            filters: {
+              type: 'array',
+              description: '絞り込み条件（すべてAND）',
+              items: {
+                type: 'object',
+                properties: {
+                  column: columnProperty(),
+                  operator: { type: 'string', enum: OPERATORS },
+                  value: {
+                    description: 'in/not_in は配列、between は [下限, 上限]、is_null/not_null は不要',
+                    anyOf: [
+                      { type: 'string' },
+                      { type: 'number' },
+                      { type: 'array', items: { anyOf: [{ type: 'string' }, { type: 'number' }] } }
+                    ]
+                  }
+                },
+                required: ['column', 'operator']
+              }
+            },
+            groupBy: {
+              type: 'array',
+              description: 'グループ化する列',
+              items: columnProperty()
+            },
+            aggregations: {
+              type: 'array',
+              description: '集計（count以外は列の指定が必要）',
+              items: {
+                type: 'object',
+                properties: {
+                  function: { type: 'string', enum: Object.keys(AGGREGATION_LABELS) },
+                  column: columnProperty()
+                },
+                required: ['function']
+              }
+            },
+            sort: {
+              type: 'array',
+              description: '並び順。列名にはグループ列名、または集計対象の列名を指定',
+              items: {
+                type: 'object',
+                properties: {
+                  column: { type: 'string' },
+                  direction: { type: 'string', enum: ['asc', 'desc'] }
+                },
+                required: ['column']
+              }
+            },
+            limit: { type: 'integer', minimum: 1, maximum: 100 },
+            select: {
+              type: 'array',
+              description: '集計しない場合に表示する列',
+              items: columnProperty()
+            }
+          },
+          required: ['filters', 'groupBy', 'aggregations']
+        }
+      }
+    };
+  }
+
+  // aggregateOnly（集計のみモード）では、カテゴリの値は複数の行に共通する値のみを渡す
+  static describeSchema(dataset, options = {}) {
+    const { headers, data, statistics } = dataset;
+    const fmt = value => StatisticsEngine.formatNumber(value);
+    const dateColumns = new Set(TimeSeriesAnalyzer.detectDateColumns(headers, data).map(candidate => candidate.column));
+
+    return headers.map(column => {
+      const profile = statistics.columns[column];
+      if (dateColumns.has(column)) {
+        const dates = data.map(row => TimeSeriesAnalyzer.parseDate(row[column])).filter(date => date).sort((a, b) => a - b);
+        return `- ${column}: 日付 (${TimeSeriesAnalyzer.formatDate(dates[0])} 〜 ${TimeSeriesAnalyzer.formatDate(dates[dates.length - 1])})`;
+      }
+      if (profile.type === 'numeric') {
+        return `- ${column}: 数値 (最小 ${fmt(profile.statistics.min)}, 最大 ${fmt(profile.statistics.max)})`;
+      }
+      if (options.aggregateOnly) {
+        const values = QueryPlanner.sharedValues(dataset, column);
+        return `- ${column}: カテゴリ (${profile.distinctCount}種類${values.length > 0 ? `, ${MIN_AGGREGATE_GROUP_SIZE}行以上にある値: ${values.join(', ')}` : ''})`;
+      }
+      // 種類が少なければ全値を渡し、質問中の表記と対応付けやすくする
+      const values = profile.distinctCount <= 30
+        ? [...new Set(data.map(row => row[column]).filter(value => !StatisticsEngine.isMissing(value)).map(String))]
+        : profile.topValues.map(item => item.value);
+      return `- ${column}: カテゴリ (${profile.distinctCount}種類, ${profile.distinctCount <= 30 ? '値' : '例'}: ${values.join(', ')})`;
+    }).join('\n');
+  }
+
+  // MIN_AGGREGATE_GROUP_SIZE 行以上に現れる値（多い順に30件まで）。1〜2行にしかない値は行を特定でき、
+  // 個人情報の列（マスク後のトークンを含む）や連絡先を含む値はそれ自体が個人のデータのため、いずれも渡さない
+  static sharedValues(dataset, column, limit = 30) {
+    const piiColumns = ((dataset.privacy && dataset.privacy.columns) || []).map(item => item.column);
+    const counts = new Map();
+    dataset.data.forEach(row => {
+      if (StatisticsEngine.isMissing(row[column])) return;
+      const value = String(row[column]).trim();
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    if (piiColumns.includes(column) || PIIScanner.classifyColumn(column, [...counts.keys()].slice(0, 100))) {
+      return [];
+    }
+
+    return [...counts.entries()]
+      .filter(([value, count]) => PrivacyAudit.isShareableValue(value, count))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([value]) => value);
+  }
+
+  // ============================================
+  // プランの検証・正規化
+  // ============================================
+  static validatePlan(rawPlan, headers) {
+    const errors = [];
+    const resolveColumn = name => {
+      if (headers.includes(name)) return name;
+      const normalized = String(name || '').trim().toLowerCase();
+      return headers.find(header => header.toLowerCase() === normalized) || null;
+    };
+
+    const plan = {
+      filters: [],
+      groupBy: [],
+      aggregations: [],
+      sort: [],
+      limit: null,
+      select: []
+    };
+
+    (rawPlan.filters || []).forEach(filter => {
+      const column = resolveColumn(filter.column);
+      if (!column) {
+        errors.push(`存在しない列が条件に指定されました: ${filter.column}`);
+        return;
+      }
+      if (!OPERATORS.includes(filter.operator)) {
+        errors.push(`未対応の絞り込み条件です: ${filter.operator}`);
+        return;
+      }
+
+      let value = filter.value;
+      if (['in', 'not_in'].includes(filter.operator) && !Array.isArray(value)) {
+        value = [value];
+      }
+      if (filter.operator === 'between' && (!Array.isArray(value) || value.length !== 2)) {
+        errors.push(`${column} の範囲指定は [下限, 上限] の形式が必要です`);
+        return;
+      }
+      if (!['is_null', 'not_null'].includes(filter.operator) && (value === undefined || value === null)) {
+        errors.push(`${column} の条件に値がありません`);
+        return;
+      }
+
+      plan.filters.push({ column, operator: filter.operator, value });
+    });
+
+    (rawPlan.groupBy || []).forEach(name => {
+      const column = resolveColumn(name);
+      if (column) {
+        plan.groupBy.push(column);
+      } else {
+        errors.push(`存在しない列がグループ化に指定されました: ${name}`);
+      }
+    });
+
+    (rawPlan.aggregations || []).forEach(aggregation => {
+      if (!AGGREGATION_LABELS[aggregation.function]) {
+        errors.push(`未対応の集計関数です: ${aggregation.function}`);
+        return;
+      }
+      const column = aggregation.column ? resolveColumn(aggregation.column) : null;
+      if (aggregation.column && !column) {
+        errors.push(`存在しない列が集計に指定されました: ${aggregation.column}`);
+        return;
+      }
+      if (!column && aggregation.function !== 'count') {
+        errors.push(`${AGGREGATION_LABELS[aggregation.function]}には集計する列の指定が必要です`);
+        return;
+      }
+      plan.aggregations.push({ function: aggregation.function, column });
+    });
+
+    (rawPlan.select || []).forEach(name => {
+      const column = resolveColumn(name);
+      if (column) plan.select.push(column);
+    });
+
+    // 並び順の列名は、集計結果の列名に解決する
+    const aggregated = plan.groupBy.length > 0 || plan.aggregations.length > 0;
+    const effectiveAggregations = plan.aggregations.length > 0 ? plan.aggregations : [{ function: 'count', column: null }];
+    const outputColumns = aggregated
+      ? [...plan.groupBy, ...effectiveAggregations.map(aggregation => QueryExecutor.outputName(aggregation))]
+      : (plan.select.length > 0 ? plan.select : headers);
+
+    (rawPlan.sort || []).forEach(sort => {
+      let column = outputColumns.includes(sort.column) ? sort.column : null;
+      if (!column && aggregated) {
+        const source = resolveColumn(sort.column);
+        const match = effectiveAggregations.find(aggregation => aggregation.column === source) ||
+          (['件数', 'count'].includes(sort.column) ? effectiveAggregations.find(aggregation => aggregation.function === 'count') : null);
+        column = match ? QueryExecutor.outputName(match) : null;
+      } else if (!column) {
+        column = resolveColumn(sort.column);
+      }
+
+      if (column && outputColumns.includes(column)) {
+        plan.sort.push({ column, direction: sort.direction === 'asc' ? 'asc' : 'desc' });
+      } else {
+        errors.push(`並び順に指定された列が結果にありません: ${sort.column}`);
+      }
+    });
+
+    if (rawPlan.limit !== undefined && rawPlan.limit !== null) {
+      const limit = parseInt(rawPlan.limit, 10);
+      plan.limit = isNaN(limit) ? null : Math.min(100, Math.max(1, limit));
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      plan
+    };
+  }
+
+  static describePlan(plan) {
+    const parts = [];
+    parts.push(`絞り込み: ${plan.filters.length > 0 ? DataFilter.describe(plan.filters) : 'なし'}`);
+    if (plan.groupBy.length > 0) {
+      parts.push(`グループ: ${plan.groupBy.join(', ')}`);
+    }
+    if (plan.aggregations.length > 0) {
+      parts.push(`集計: ${plan.aggregations.map(aggregation => QueryExecutor.outputName(aggregation)).join(', ')}`);
+    }
+    if (plan.sort.length > 0) {
+      parts.push(`並び順: ${plan.sort.map(sort => `${sort.column} ${sort.direction === 'asc' ? '昇順' : '降順'}`).join(', ')}`);
+    }
+    if (plan.limit) {
+      parts.push(`上限: ${plan.limit}件`);
+    }
+    return parts.join(' / ');
+  }
+
+  // ============================================
+  // 結果の説明
+  // ============================================
+  // 集計のみモードでは、行をそのまま返す結果（グループ化・集計なし）や、行数の少ないグループを含む集計結果は
+  // AIに送らず、表のみを表示する。それ以外でも監査で行データとの一致が見つかり送信が止められた場合は同様に扱う
+  async explainWithinPolicy(question, plan, result, table) {
+    const notice = '🛡️ 集計のみモードのため、行単位の結果はAIに送信していません。上の表をご確認ください。';
+
+    if (this.aggregateOnly && (result.minGroupRows === null || result.minGroupRows < MIN_AGGREGATE_GROUP_SIZE)) {
+      return { text: notice, usage: null, withheld: true };
+    }
+
+    try {
+      return await this.explain(question, plan, result, table);
+    } catch (error) {
+      if (error.code !== 'privacy_blocked') throw error;
+      return { text: notice, usage: null, withheld: true };
+    }
+  }
+
+  async explain(question, plan, result, table) {
+    const prompt = `【質問】\n${question}\n\n` +
+      `【実行した集計】\n${QueryPlanner.describePlan(plan)}\n` +
+      `該当行数: ${result.matchedRowCount}行 / 全${result.totalRowCount}行\n\n` +
+      `【結果（全行からローカルで正確に計算）】\n${table}\n\n` +
+      '上記の結果のみを根拠に、質問への回答を日本語で簡潔に説明してください。結果表にない数値を新たに計算・推測しないでください。' +
+      '該当行が0件の場合は、条件に合うデータがないことを伝えてください。';
+
+    const response = await this.provider.complete({
+      messages: [
+        {
+          role: 'system',
+          content: 'あなたは優秀なデータアナリストです。与えられた集計結果を、ビジネスパーソンに分かりやすく説明してください。'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      max_tokens: 800
+    });
+
+    return { text: response.choices[0].message.content, usage: response.usage };
+  }
+
+  static mergeUsage(...usages) {
+    return usages.filter(Boolean).reduce((total, usage) => ({
+      prompt_tokens: total.prompt_tokens + (usage.prompt_tokens || 0),
+      completion_tokens: total.completion_tokens + (usage.completion_tokens || 0),
+      total_tokens: total.total_tokens + (usage.total_tokens || 0)
+    }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+  }
+
+  static formatForSlack(answer) {
+    let text = `*🧮 集計結果*（全行からローカル計算）\n_${QueryPlanner.describePlan(answer.plan)}_\n`;
+    text += `該当: ${answer.result.matchedRowCount}行 / 全${answer.result.totalRowCount}行\n`;
+    text += `\`\`\`\n${answer.table}\n\`\`\``;
+    return text;
+  }
+}
+
+module.exports = { QueryPlanner };
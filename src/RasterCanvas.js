@@ -0,0 +1,205 @@
+const zlib = require('zlib');
+
+// 5x7ビットマップフォント（各行の下位5bitが左→右のピクセル）
+// 日本語は描画できないため、グラフ内のラベルは英数字と記号のみ
+const FONT = {
+  '0': [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+  '1': [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+  '2': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+  '3': [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+  '4': [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+  '5': [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+  '6': [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+  '7': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  '8': [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+  '9': [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+  'A': [0x0E, 0x11, 0x11, 0x11, 0x1F, 0x11, 0x11],
+  'B': [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+  'C': [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+  'D': [0x1C, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1C],
+  'E': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+  'F': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+  'G': [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+  'H': [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+  'I': [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+  'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+  'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+  'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+  'M': [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+  'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  'O': [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+  'P': [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+  'Q': [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+  'R': [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+  'S': [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+  'T': [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+  'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+  'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+  'X': [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+  'Y': [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04],
+  'Z': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+  '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C],
+  ',': [0x00, 0x00, 0x00, 0x00, 0x0C, 0x04, 0x08],
+  '-': [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+  '+': [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00],
+  '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+  ':': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00],
+  '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+  '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+  ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+  '#': [0x0A, 0x0A, 0x1F, 0x0A, 0x1F, 0x0A, 0x0A],
+  '_': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x1F],
+  ' ': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]
+};
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+const GLYPH_SPACING = 1;
+
+let crcTable = null;
+
+class RasterCanvas {
+  constructor(width, height, background = [255, 255, 255]) {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 3);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  setPixel(x, y, color) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+    const offset = (y * this.width + x) * 3;
+    this.pixels[offset] = color[0];
+    this.pixels[offset + 1] = color[1];
+    this.pixels[offset + 2] = color[2];
+  }
+
+  fillRect(x, y, width, height, color) {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(this.width, Math.round(x + width));
+    const y1 = Math.min(this.height, Math.round(y + height));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        this.setPixel(px, py, color);
+      }
+    }
+  }
+
+  // Bresenham法（太さは正方形のブラシで表現）
+  drawLine(x0, y0, x1, y1, color, thickness = 1) {
+    x0 = Math.round(x0);
+    y0 = Math.round(y0);
+    x1 = Math.round(x1);
+    y1 = Math.round(y1);
+
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    const offset = Math.floor(thickness / 2);
+    let error = dx + dy;
+
+    while (true) {
+      this.fillRect(x0 - offset, y0 - offset, thickness, thickness, color);
+      if (x0 === x1 && y0 === y1) break;
+      const e2 = 2 * error;
+      if (e2 >= dy) { error += dy; x0 += sx; }
+      if (e2 <= dx) { error += dx; y0 += sy; }
+    }
+  }
+
+  static canRender(text) {
+    return [...String(text).toUpperCase()].every(char => FONT[char] !== undefined);
+  }
+
+  static measureText(text, scale = 1) {
+    const length = [...String(text)].length;
+    if (length === 0) return 0;
+    return (length * (GLYPH_WIDTH + GLYPH_SPACING) - GLYPH_SPACING) * scale;
+  }
+
+  static textHeight(scale = 1) {
+    return GLYPH_HEIGHT * scale;
+  }
+
+  drawText(text, x, y, color, options = {}) {
+    const scale = options.scale || 1;
+    const align = options.align || 'left';
+    const width = RasterCanvas.measureText(text, scale);
+
+    let cursor = Math.round(align === 'center' ? x - width / 2 : align === 'right' ? x - width : x);
+    [...String(text).toUpperCase()].forEach(char => {
+      const glyph = FONT[char] || FONT[' '];
+      glyph.forEach((bits, row) => {
+        for (let col = 0; col < GLYPH_WIDTH; col++) {
+          if (bits & (1 << (GLYPH_WIDTH - 1 - col))) {
+            this.fillRect(cursor + col * scale, y + row * scale, scale, scale, color);
+          }
+        }
+      });
+      cursor += (GLYPH_WIDTH + GLYPH_SPACING) * scale;
+    });
+  }
+
+  // ============================================
+  // PNGエンコード（RGB 8bit, フィルタなし）
+  // ============================================
+  toPNG() {
+    const rowLength = this.width * 3;
+    const raw = Buffer.alloc((rowLength + 1) * this.height);
+    for (let y = 0; y < this.height; y++) {
+      raw[y * (rowLength + 1)] = 0;
+      this.pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8;  // ビット深度
+    header[9] = 2;  // カラータイプ: RGB
+    header[10] = 0; // 圧縮方式
+    header[11] = 0; // フィルタ方式
+    header[12] = 0; // インターレースなし
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+      RasterCanvas.chunk('IHDR', header),
+      RasterCanvas.chunk('IDAT', zlib.deflateSync(raw)),
+      RasterCanvas.chunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  static chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(RasterCanvas.crc32(body), 0);
+    return Buffer.concat([length, body, crc]);
+  }
+
+  static crc32(buffer) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+      crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+}
+
+module.exports = { RasterCanvas };
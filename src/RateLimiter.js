@@ -0,0 +1,174 @@
+// 分析リクエストのレート制限と同時実行数の制御
+// ユーザーごと・全体のトークンバケットで受付の頻度を制限し、受け付けた分析は同時実行数の上限まで順に実行する
+// （上限を超えた分は待ち行列に入れ、待ち行列も満杯なら受け付けない）
+
+class RateLimitError extends Error {
+  // reason: 'user'（ユーザーごとの頻度） / 'global'（全体の頻度） / 'queue'（待ち行列が満杯）
+  constructor(reason, retryAfter) {
+    super(`分析リクエストの上限に達しました（${retryAfter}秒後に再試行できます）`);
+    this.name = 'RateLimitError';
+    this.reason = reason;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// capacity まで貯められ、1秒あたり refillPerSecond ずつ回復する
+class TokenBucket {
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now = Date.now()) {
+    const elapsed = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  // 1回分を使えるまでの秒数（0なら今すぐ使える）
+  waitSeconds(now = Date.now()) {
+    this.refill(now);
+    if (this.tokens >= 1) return 0;
+    return Math.ceil((1 - this.tokens) / this.refillPerSecond);
+  }
+
+  take(now = Date.now()) {
+    this.refill(now);
+    this.tokens -= 1;
+  }
+
+  isFull(now = Date.now()) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+}
+
+class RateLimiter {
+  constructor(options = {}) {
+    const env = process.env;
+    const number = (value, fallback) => {
+      const parsed = Number(value);
+      return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+    };
+
+    this.userBurst = number(options.userBurst ?? env.RATE_LIMIT_USER_BURST, 3);
+    this.userPerMinute = number(options.userPerMinute ?? env.RATE_LIMIT_USER_PER_MINUTE, 2);
+    this.globalBurst = number(options.globalBurst ?? env.RATE_LIMIT_GLOBAL_BURST, 10);
+    this.globalPerMinute = number(options.globalPerMinute ?? env.RATE_LIMIT_GLOBAL_PER_MINUTE, 20);
+    this.concurrency = number(options.concurrency ?? env.ANALYSIS_CONCURRENCY, 2);
+    this.maxQueue = number(options.maxQueue ?? env.ANALYSIS_QUEUE_SIZE, 10);
+
+    this.userBuckets = new Map();
+    this.globalBucket = new TokenBucket(this.globalBurst, this.globalPerMinute / 60);
+    this.running = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.resumeTimer = null;
+    // 待ち時間の見積もりに使う、1件あたりの平均処理時間（ミリ秒）
+    this.averageDurationMs = 30000;
+  }
+
+  userBucket(user) {
+    const key = user || '(unknown)';
+    if (!this.userBuckets.has(key)) {
+      this.userBuckets.set(key, new TokenBucket(this.userBurst, this.userPerMinute / 60));
+    }
+    return this.userBuckets.get(key);
+  }
+
+  // task を制限内で実行し、その結果を返す。待ち行列に入った場合は onQueued(順番) を呼ぶ
+  // 受け付けられない場合は RateLimitError を投げる（task は実行しない）
+  async run(user, task, options = {}) {
+    const now = Date.now();
+    const userBucket = this.userBucket(user);
+
+    const userWait = userBucket.waitSeconds(now);
+    if (userWait > 0) throw new RateLimitError('user', userWait);
+
+    const globalWait = this.globalBucket.waitSeconds(now);
+    if (globalWait > 0) throw new RateLimitError('global', globalWait);
+
+    const mustWait = this.running >= this.concurrency || this.isPaused(now);
+    if (mustWait && this.queue.length >= this.maxQueue) {
+      throw new RateLimitError('queue', this.estimateWaitSeconds(this.queue.length + 1));
+    }
+
+    // 受け付けた時点で両方のバケットから消費する
+    userBucket.take(now);
+    this.globalBucket.take(now);
+    this.purgeIdleBuckets(now);
+
+    if (mustWait) {
+      const turn = new Promise(resolve => this.queue.push(resolve));
+      if (options.onQueued) {
+        await Promise.resolve(options.onQueued(this.queue.length, this.estimateWaitSeconds(this.queue.length)))
+          .catch(error => console.error('Error sending queue notice:', error));
+      }
+      await turn;
+    } else {
+      this.running++;
+    }
+
+    const startedAt = Date.now();
+    try {
+      return await task();
+    } finally {
+      this.averageDurationMs = this.averageDurationMs * 0.8 + (Date.now() - startedAt) * 0.2;
+      this.running--;
+      this.next();
+    }
+  }
+
+  // 待ち行列の先頭から、同時実行数の空きの分だけ開始する
+  next() {
+    if (this.isPaused()) {
+      this.scheduleResume();
+      return;
+    }
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      this.running++;
+      this.queue.shift()();
+    }
+  }
+
+  // SlackやLLM APIから Retry-After 付きで制限された場合、その間は新しい分析を開始しない
+  pause(seconds) {
+    const until = Date.now() + seconds * 1000;
+    if (until <= this.pausedUntil) return;
+
+    console.warn(`Rate limited upstream; pausing new analyses for ${seconds}s`);
+    this.pausedUntil = until;
+    this.scheduleResume();
+  }
+
+  isPaused(now = Date.now()) {
+    return now < this.pausedUntil;
+  }
+
+  scheduleResume() {
+    clearTimeout(this.resumeTimer);
+    this.resumeTimer = setTimeout(() => {
+      this.resumeTimer = null;
+      this.next();
+    }, Math.max(this.pausedUntil - Date.now(), 0));
+  }
+
+  // position 番目の待ちが始まるまでのおおよその秒数
+  estimateWaitSeconds(position) {
+    const pause = Math.max(this.pausedUntil - Date.now(), 0);
+    const rounds = Math.ceil(position / this.concurrency);
+    return Math.max(Math.ceil((pause + rounds * this.averageDurationMs) / 1000), 1);
+  }
+
+  // 満タンまで回復したユーザーのバケットは初期状態と同じため破棄する
+  purgeIdleBuckets(now) {
+    if (this.userBuckets.size < 1000) return;
+    for (const [user, bucket] of this.userBuckets) {
+      if (bucket.isFull(now)) this.userBuckets.delete(user);
+    }
+  }
+}
+
+module.exports = { RateLimiter, TokenBucket, RateLimitError };
@@ -0,0 +1,415 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CronExpression } = require('./CronExpression');
+
+const DEFAULT_STORE_FILE = 'data/schedules.json';
+const DEFAULT_TIMEZONE = 'Asia/Tokyo';
+// 毎分0秒に期限の来たジョブを確認する
+const TICK_MS = 60 * 1000;
+
+const INTENTS = ['summary', 'trend', 'correlation', 'anomaly', 'comparison', 'quality'];
+
+class MemoryScheduleStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async list() {
+    return [...this.jobs.values()];
+  }
+
+  async add(job) {
+    this.jobs.set(job.id, job);
+  }
+
+  async update(job) {
+    this.jobs.set(job.id, job);
+  }
+
+  async remove(id) {
+    this.jobs.delete(id);
+  }
+}
+
+// 全ジョブを1つのJSONファイルに保存する。ボットを再起動しても登録したジョブを引き継げる
+// ファイル全体を読み込んで書き戻すため、操作は1つずつ順に行う（同時に届いた追加と実行中の更新で、一方の変更を失わないため）
+class FileScheduleStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.queue = Promise.resolve();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  // 前の操作の完了を待ってから operation を実行する（前の操作が失敗しても続ける）
+  serialize(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async list() {
+    return this.serialize(() => this.read());
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // 一時ファイルは書き込みごとに別の名前にする（同じファイルを使う他のプロセスと書き込みが混ざらないため）
+  async write(jobs) {
+    const tempPath = `${this.filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify(jobs, null, 2));
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  async add(job) {
+    return this.serialize(async () => this.write([...(await this.read()), job]));
+  }
+
+  async update(job) {
+    return this.serialize(async () => this.write((await this.read()).map(existing => existing.id === job.id ? job : existing)));
+  }
+
+  async remove(id) {
+    return this.serialize(async () => this.write((await this.read()).filter(job => job.id !== id)));
+  }
+}
+
+// 定期レポート。cron式の日時に、データソース（ローカルのファイル・SlackのファイルID・URL）を読み込んで分析し、チャンネルに投稿する
+// 実行は start() に渡した関数（AnalysisPipeline.runScheduledReport）が行う
+class ReportScheduler {
+  constructor(options = {}) {
+    this.store = options.store || new FileScheduleStore(options.file || process.env.SCHEDULE_STORE_FILE || DEFAULT_STORE_FILE);
+    this.timeZone = options.timeZone || process.env.SCHEDULE_TIMEZONE || process.env.USAGE_TIMEZONE || DEFAULT_TIMEZONE;
+    // ローカルのファイルは SCHEDULE_LOCAL_DIR 以下、URLは SCHEDULE_ALLOWED_URLS のいずれかのオリジン・パス以下のもののみ読み込む（未設定なら使えない）
+    this.localDir = options.localDir !== undefined ? options.localDir : process.env.SCHEDULE_LOCAL_DIR || null;
+    this.allowedURLs = options.allowedURLs || (process.env.SCHEDULE_ALLOWED_URLS || '')
+      .split(',')
+      .map(prefix => prefix.trim())
+      .filter(Boolean);
+    // 他のユーザーが登録したレポートも削除できるユーザー（利用状況の管理者と同じ）
+    this.admins = options.admins || (process.env.USAGE_ADMIN_USERS || '')
+      .split(',')
+      .map(user => user.trim())
+      .filter(Boolean);
+    this.runner = null;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  // 「schedule」「スケジュール」で始まるメンションを定期レポートの操作として扱う
+  static isScheduleCommand(text) {
+    return /^(schedule|スケジュール|定期レポート)(\s|$)/i.test(String(text || '').trim());
+  }
+
+  // { action: 'add' | 'list' | 'remove' | 'help', args }
+  static parseCommand(text) {
+    const [, action = '', args = ''] = String(text || '').trim()
+      .replace(/^(schedule|スケジュール|定期レポート)\s*/i, '')
+      .match(/^(\S*)\s*([\s\S]*)$/);
+
+    const actions = {
+      add: 'add', '追加': 'add', '登録': 'add',
+      list: 'list', ls: 'list', '一覧': 'list',
+      remove: 'remove', rm: 'remove', delete: 'remove', '削除': 'remove'
+    };
+    return { action: actions[action.toLowerCase()] || 'help', args: args.trim() };
+  }
+
+  // 「<cron式> <ソース> [#チャンネル] [intents=trend,summary] [分析指示]」を読み取る
+  // cron式は5項目、または @daily などの略記。引用符で囲んでもよい
+  parseAddArgs(text, requester) {
+    let rest = String(text || '').trim();
+    let cron;
+
+    const quoted = rest.match(/^["“”'`]([^"“”'`]+)["“”'`]\s*/);
+    if (quoted) {
+      cron = quoted[1].trim();
+      rest = rest.slice(quoted[0].length);
+    } else {
+      const tokens = rest.split(/\s+/);
+      const count = tokens[0] && tokens[0].startsWith('@') ? 1 : 5;
+      cron = tokens.slice(0, count).join(' ');
+      rest = tokens.slice(count).join(' ');
+    }
+    new CronExpression(cron, this.timeZone);
+
+    const [sourceText, ...others] = rest.split(/\s+/).filter(Boolean);
+    if (!sourceText) {
+      throw new Error('データソース（ファイルのパス・SlackのファイルID・URL）を指定してください');
+    }
+    const source = ReportScheduler.parseSource(sourceText);
+    // ローカルのファイルは許可したディレクトリを基準にした絶対パスで保存する
+    source.value = this.checkSource(source);
+
+    let channel = requester.channel;
+    let intents = [];
+    const prompt = [];
+    others.forEach(token => {
+      const mention = token.match(/^<#([A-Z0-9]+)(?:\|[^>]*)?>$/);
+      const intentOption = token.match(/^intents?=(.+)$/i);
+      if (mention) {
+        channel = mention[1];
+      } else if (intentOption) {
+        intents = intentOption[1].split(',').map(intent => intent.trim().toLowerCase()).filter(Boolean);
+        const unknown = intents.filter(intent => !INTENTS.includes(intent));
+        if (unknown.length > 0) {
+          throw new Error(`分析タイプ ${unknown.join(', ')} は指定できません（指定できるもの: ${INTENTS.join(', ')}）`);
+        }
+      } else {
+        prompt.push(token);
+      }
+    });
+
+    return { cron, source, channel, intents, prompt: prompt.join(' ') };
+  }
+
+  // Slackはリンクを <URL|表示名> の形に変換するため、元のURLに戻してから判定する
+  static parseSource(text) {
+    const value = String(text).replace(/^<([^|>]+)(?:\|[^>]*)?>$/, '$1');
+
+    if (/^F[A-Z0-9]{6,}$/.test(value)) {
+      return { type: 'slack', value };
+    }
+    if (/^https?:\/\//i.test(value)) {
+      // Slackのファイルのリンク（/files/ユーザーID/ファイルID/...）はファイルIDとして扱う
+      const slackFile = value.match(/^https:\/\/[^/]+\.slack\.com\/files\/[^/]+\/(F[A-Z0-9]+)/);
+      if (slackFile) return { type: 'slack', value: slackFile[1] };
+      return { type: 'url', value };
+    }
+    return { type: 'local', value };
+  }
+
+  // 登録時と実行のたびに確認する（設定の変更後に、許可されなくなったソースを読み込まないため）
+  checkSource(source) {
+    if (source.type === 'url') {
+      if (!ReportScheduler.isAllowedURL(source.value, this.allowedURLs)) {
+        throw new Error(this.allowedURLs.length > 0
+          ? `このURLは読み込みを許可されていません（許可されているURL: ${this.allowedURLs.join(', ')}）`
+          : 'URLからの読み込みは許可されていません（SCHEDULE_ALLOWED_URLS を設定してください）');
+      }
+    }
+
+    if (source.type === 'local') {
+      if (!this.localDir) {
+        throw new Error('ローカルのファイルの読み込みは許可されていません（SCHEDULE_LOCAL_DIR を設定してください）');
+      }
+      // シンボリックリンクで許可したディレクトリの外を指していないかも確認する
+      const real = target => fs.existsSync(target) ? fs.realpathSync(target) : path.resolve(target);
+      const root = real(this.localDir);
+      const target = real(path.resolve(root, source.value));
+      if (target !== root && !target.startsWith(`${root}${path.sep}`)) {
+        throw new Error(`${this.localDir} 以下のファイルのみ指定できます`);
+      }
+      return target;
+    }
+
+    return source.value;
+  }
+
+  // ============================================================================
+  // 権限の確認
+  // ============================================================================
+
+  // 依頼者が投稿先のチャンネルに参加していること、Slackのファイルが投稿先のチャンネルで共有されていることを確認する
+  // 読み込みと投稿はボットのトークンで行うため、確認しないと非公開チャンネルのデータを別のチャンネルへ持ち出せてしまう
+  // 登録時と実行のたびに確認する（チャンネルから抜けた後やファイルの共有をやめた後に投稿しないため）
+  // options.registering: 登録時の確認。コマンドを実行したチャンネルには依頼者が参加しているため、参加の確認を省く
+  async checkAccess(job, client, options = {}) {
+    const skipMembership = options.registering && job.channel === job.requestedIn;
+    if (!skipMembership && !(await ReportScheduler.isChannelMember(client, job.channel, job.createdBy))) {
+      throw new Error(`<#${job.channel}> に参加していないため、投稿先に指定できません`);
+    }
+
+    if (job.source.type === 'slack') {
+      const { file } = await client.files.info({ file: job.source.value });
+      const shared = [...(file.channels || []), ...(file.groups || []), ...(file.ims || [])];
+      if (!shared.includes(job.channel)) {
+        throw new Error(`ファイル ${job.source.value} は <#${job.channel}> で共有されていません（投稿先のチャンネルにアップロードしたファイルを指定してください）`);
+      }
+    }
+  }
+
+  static async isChannelMember(client, channel, user) {
+    if (!user) return false;
+
+    let cursor;
+    do {
+      const response = await client.conversations.members({ channel, cursor, limit: 1000 });
+      if ((response.members || []).includes(user)) return true;
+      cursor = response.response_metadata && response.response_metadata.next_cursor;
+    } while (cursor);
+    return false;
+  }
+
+  // 許可したURLとオリジン（スキーム・ホスト・ポート）が一致し、パスがその位置のセグメントから始まるもの
+  // 例: https://reports.internal/daily は /daily と /daily/... のみ（/daily2 や reports.internal.example.com は不可）
+  static isAllowedURL(value, prefixes) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return false;
+    }
+    if (url.username || url.password) return false;
+
+    return prefixes.some(prefix => {
+      let allowed;
+      try {
+        allowed = new URL(prefix);
+      } catch (error) {
+        return false;
+      }
+      if (url.origin !== allowed.origin) return false;
+      const base = allowed.pathname.replace(/\/+$/, '');
+      return url.pathname === base || url.pathname.startsWith(`${base}/`);
+    });
+  }
+
+  async add(text, requester, client) {
+    const draft = this.parseAddArgs(text, requester);
+    const job = {
+      id: crypto.randomBytes(3).toString('hex'),
+      ...draft,
+      timeZone: this.timeZone,
+      team: requester.team || null,
+      createdBy: requester.user || null,
+      requestedIn: requester.channel || null,
+      createdAt: Date.now(),
+      nextRunAt: new CronExpression(draft.cron, this.timeZone).next().getTime(),
+      lastRunAt: null,
+      lastError: null
+    };
+
+    await this.checkAccess(job, client, { registering: true });
+    await this.store.add(job);
+    console.log(`Scheduled report ${job.id} added: "${job.cron}" ${job.source.type}:${job.source.value} → ${job.channel}`);
+    return job;
+  }
+
+  // 依頼者が見られるジョブのみ（本人が登録したもの・依頼者が参加しているチャンネルに投稿するもの。管理者はすべて）
+  // 非公開チャンネルに投稿するレポートのデータソースや分析指示を、参加していないユーザーに見せないため
+  async list(requester, client) {
+    const jobs = await this.teamJobs(requester.team);
+    if (this.isAdmin(requester.user)) return jobs;
+
+    const membership = new Map();
+    const visible = [];
+    for (const job of jobs) {
+      // コマンドを実行したチャンネルには依頼者が参加している
+      if ((requester.user && job.createdBy === requester.user) || job.channel === requester.channel) {
+        visible.push(job);
+        continue;
+      }
+      if (!client || !requester.user) continue;
+      if (!membership.has(job.channel)) {
+        membership.set(job.channel, await ReportScheduler.isChannelMember(client, job.channel, requester.user).catch(() => false));
+      }
+      if (membership.get(job.channel)) visible.push(job);
+    }
+    return visible;
+  }
+
+  // ワークスペースの分のみ（ワークスペースが不明なジョブは、同じく不明な依頼者にだけ表示する）
+  async teamJobs(team) {
+    const jobs = await this.store.list();
+    return jobs
+      .filter(job => (job.team || null) === (team || null))
+      .sort((a, b) => a.nextRunAt - b.nextRunAt);
+  }
+
+  isAdmin(user) {
+    return Boolean(user) && this.admins.includes(user);
+  }
+
+  canRemove(job, user) {
+    return Boolean(user) && (job.createdBy === user || this.isAdmin(user));
+  }
+
+  // 削除したジョブを返す（見つからなければ null）。削除できるのは登録した本人と管理者のみ
+  async remove(id, requester) {
+    const job = (await this.teamJobs(requester.team)).find(candidate => candidate.id === id);
+    if (!job) return null;
+    if (!this.canRemove(job, requester.user)) {
+      throw new Error(`定期レポート \`${id}\` は登録した本人（<@${job.createdBy}>）か管理者のみ削除できます`);
+    }
+
+    await this.store.remove(id);
+    console.log(`Scheduled report ${id} removed`);
+    return job;
+  }
+
+  // ============================================================================
+  // 実行
+  // ============================================================================
+
+  // runner(job) は1件のレポートを実行する関数。停止中に実行時刻を過ぎたジョブは起動直後に1回だけ実行する
+  async start(runner) {
+    this.runner = runner;
+    const jobs = await this.store.list();
+    console.log(`📅 Report scheduler started (${jobs.length} jobs, ${this.timeZone})`);
+    await this.tick();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.runner = null;
+  }
+
+  async tick() {
+    // 前回の実行が長引いている間は重ねて実行しない（期限の来たジョブは次の確認で拾う）
+    if (!this.ticking) {
+      this.ticking = true;
+      try {
+        await this.runDueJobs(Date.now());
+      } catch (error) {
+        console.error('Error running scheduled reports:', error);
+      } finally {
+        this.ticking = false;
+      }
+    }
+
+    if (this.runner) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.tick(), TICK_MS - (Date.now() % TICK_MS));
+    }
+  }
+
+  async runDueJobs(now) {
+    const due = (await this.store.list()).filter(job => job.nextRunAt <= now);
+
+    for (const job of due) {
+      // 実行に失敗しても同じ回を繰り返さないよう、先に次回の時刻を記録する
+      job.nextRunAt = new CronExpression(job.cron, job.timeZone || this.timeZone).next(new Date(now)).getTime();
+      job.lastRunAt = now;
+      await this.store.update(job);
+
+      try {
+        this.checkSource(job.source);
+        await this.runner(job);
+        job.lastError = null;
+      } catch (error) {
+        console.error(`Scheduled report ${job.id} failed:`, error);
+        job.lastError = error.message;
+      }
+      // 実行中に削除されたジョブは書き戻さない
+      if ((await this.store.list()).some(existing => existing.id === job.id)) {
+        await this.store.update(job);
+      }
+    }
+  }
+}
+
+module.exports = { ReportScheduler, MemoryScheduleStore, FileScheduleStore };
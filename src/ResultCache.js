@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 再分析を指示するキーワード（Slackの自動変換で "--" が "—" になる場合も受け付ける）
+const FRESH_PATTERN = /(?:^|\s)(?:--|—|–)fresh\b|再分析/gi;
+
+class MemoryResultStore {
+  constructor(maxEntries = 200) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    // 上限を超えたら最も古いものから破棄
+    while (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, entry);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async purge(now) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+// 1件1ファイルで保存する。プロセスが再起動しても、同じファイルの再アップロードに結果を使い回せる
+class FileResultStore {
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  filePath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  async set(key, entry) {
+    const tempPath = `${this.filePath(key)}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(entry));
+    await fs.promises.rename(tempPath, this.filePath(key));
+  }
+
+  async delete(key) {
+    await fs.promises.unlink(this.filePath(key)).catch(() => {});
+  }
+
+  async purge(now) {
+    const files = (await fs.promises.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    await Promise.all(files.map(async file => {
+      const entry = await this.get(file.slice(0, -'.json'.length));
+      if (!entry || entry.expiresAt <= now) {
+        await fs.promises.unlink(path.join(this.directory, file)).catch(() => {});
+      }
+    }));
+  }
+}
+
+// 分析結果のキャッシュ。ファイル内容（デコード後）のハッシュ・分析要求・モデル・プロンプトの版などから作ったキーで引く
+class ResultCache {
+  constructor(options = {}) {
+    const ttlMinutes = process.env.RESULT_CACHE_TTL_MINUTES !== undefined && process.env.RESULT_CACHE_TTL_MINUTES !== ''
+      ? parseInt(process.env.RESULT_CACHE_TTL_MINUTES, 10)
+      : 24 * 60;
+    this.ttlMs = options.ttlMs !== undefined ? options.ttlMs : ttlMinutes * 60 * 1000;
+    this.store = options.store || ResultCache.createStore(options.directory || process.env.RESULT_CACHE_DIR);
+  }
+
+  static createStore(directory) {
+    return directory ? new FileResultStore(directory) : new MemoryResultStore();
+  }
+
+  // TTLに0を指定するとキャッシュしない
+  get enabled() {
+    return this.ttlMs > 0;
+  }
+
+  static hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  // キーの要素はオブジェクトで受け取り、項目の順序によらず同じキーになるようにする
+  static key(parts) {
+    const sorted = Object.fromEntries(Object.keys(parts).sort().map(name => [name, parts[name]]));
+    return this.hash(JSON.stringify(sorted));
+  }
+
+  // 表記ゆれ（全角・半角、大文字・小文字、空白）で別のキーにならないよう正規化する
+  static normalizeQuestion(text) {
+    return String(text || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/[。．.！!？?]+$/, '')
+      .trim();
+  }
+
+  static isFreshRequested(text) {
+    FRESH_PATTERN.lastIndex = 0;
+    return FRESH_PATTERN.test(String(text || ''));
+  }
+
+  static stripFreshKeyword(text) {
+    return String(text || '').replace(FRESH_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  async get(key) {
+    if (!this.enabled) return null;
+
+    try {
+      const entry = await this.store.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        await this.store.delete(key);
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      // キャッシュが読めなくても分析は続けられる
+      console.error('Failed to read result cache:', error);
+      return null;
+    }
+  }
+
+  async set(key, value) {
+    if (!this.enabled) return;
+
+    try {
+      await this.store.purge(Date.now());
+      await this.store.set(key, { value, storedAt: Date.now(), expiresAt: Date.now() + this.ttlMs });
+    } catch (error) {
+      console.error('Failed to write result cache:', error);
+    }
+  }
+}
+
+module.exports = { ResultCache, MemoryResultStore, FileResultStore };
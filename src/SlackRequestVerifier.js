@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+// Slackの署名は受信したままのリクエストボディで計算されるため、
+// パース済みのオブジェクトを再シリアライズせず生のボディで検証する
+class SlackRequestVerifier {
+  constructor(options = {}) {
+    const dedupeMinutes = parseInt(process.env.SLACK_EVENT_DEDUPE_MINUTES, 10) || 10;
+    this.signingSecret = options.signingSecret !== undefined ? options.signingSecret : process.env.SLACK_SIGNING_SECRET;
+    this.toleranceSeconds = options.toleranceSeconds || 60 * 5;
+    this.seenTtlMs = options.seenTtlMs || dedupeMinutes * 60 * 1000;
+    this.maxSeenEntries = options.maxSeenEntries || 1000;
+    this.seenEvents = new Map();
+  }
+
+  static async readRawBody(req) {
+    // 未読のストリームがあれば最優先で読む（Vercelでは req.body を参照するとパースされてしまう）
+    if (req.readable && !req.readableEnded) {
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      }
+      return Buffer.concat(chunks);
+    }
+
+    if (Buffer.isBuffer(req.rawBody)) return req.rawBody;
+    if (typeof req.rawBody === 'string') return Buffer.from(req.rawBody);
+    if (Buffer.isBuffer(req.body)) return req.body;
+    if (typeof req.body === 'string') return Buffer.from(req.body);
+
+    // 既にオブジェクトとしてパースされている場合は署名を検証できない
+    return null;
+  }
+
+  verify(headers, rawBody, now = Date.now()) {
+    if (!this.signingSecret) {
+      return { valid: false, reason: 'SLACK_SIGNING_SECRET が設定されていません' };
+    }
+    if (!rawBody) {
+      return { valid: false, reason: 'リクエストボディを取得できません' };
+    }
+
+    const timestamp = headers['x-slack-request-timestamp'];
+    const signature = headers['x-slack-signature'];
+    if (!timestamp || !signature) {
+      return { valid: false, reason: '署名ヘッダーがありません' };
+    }
+
+    // リプレイ攻撃対策: 許容範囲外の古い（または未来の）タイムスタンプは拒否する
+    const timestampSeconds = Number(timestamp);
+    if (!Number.isFinite(timestampSeconds) || Math.abs(now / 1000 - timestampSeconds) > this.toleranceSeconds) {
+      return { valid: false, reason: 'タイムスタンプが古すぎます' };
+    }
+
+    const hmac = crypto.createHmac('sha256', this.signingSecret);
+    hmac.update(`v0:${timestamp}:`);
+    hmac.update(rawBody);
+    const expected = Buffer.from(`v0=${hmac.digest('hex')}`);
+    const actual = Buffer.from(String(signature));
+
+    // 長さが異なると timingSafeEqual は例外を投げるため先に比較する
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, reason: '署名が一致しません' };
+    }
+
+    return { valid: true };
+  }
+
+  // JSON（Events API）とフォーム形式（スラッシュコマンド・インタラクティブ操作）の両方を扱う
+  static parseBody(rawBody, contentType = '') {
+    const text = rawBody ? rawBody.toString('utf8') : '';
+    if (!text) return {};
+
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+      const body = Object.fromEntries(new URLSearchParams(text));
+      // インタラクティブ操作は payload パラメータにJSONが入っている
+      if (body.payload) {
+        body.payload = JSON.parse(body.payload);
+      }
+      return body;
+    }
+
+    return JSON.parse(text);
+  }
+
+  // 一度受け付けたevent_idを一定時間記録し、同じイベントの再送・リプレイを検出する
+  isReplay(eventId, now = Date.now()) {
+    if (!eventId) return false;
+
+    for (const [id, expiresAt] of this.seenEvents) {
+      if (expiresAt > now) break;
+      this.seenEvents.delete(id);
+    }
+
+    if (this.seenEvents.has(eventId)) {
+      return true;
+    }
+
+    while (this.seenEvents.size >= this.maxSeenEntries) {
+      this.seenEvents.delete(this.seenEvents.keys().next().value);
+    }
+    this.seenEvents.set(eventId, now + this.seenTtlMs);
+    return false;
+  }
+
+  // 受け付けた記録を取り消す（処理を登録できなかったイベントを、Slackの再送で受け付け直すため）
+  forget(eventId) {
+    this.seenEvents.delete(eventId);
+  }
+}
+
+module.exports = { SlackRequestVerifier };
@@ -0,0 +1,140 @@
+class StatisticsEngine {
+  static describe(headers, data, options = {}) {
+    const topN = options.topN || 5;
+    const numericThreshold = options.numericThreshold || 0.7;
+
+    const columns = {};
+    headers.forEach(column => {
+      const values = data.map(row => row[column]);
+      columns[column] = this.profileColumn(values, { topN, numericThreshold });
+    });
+
+    return {
+      rowCount: data.length,
+      columnCount: headers.length,
+      columns
+    };
+  }
+
+  static profileColumn(values, options = {}) {
+    const topN = options.topN || 5;
+    const numericThreshold = options.numericThreshold || 0.7;
+
+    const present = values.filter(value => !this.isMissing(value));
+    const numericValues = present.filter(value => typeof value === 'number' && !isNaN(value));
+    const isNumeric = present.length > 0 && numericValues.length > present.length * numericThreshold;
+
+    const profile = {
+      type: isNumeric ? 'numeric' : 'categorical',
+      count: present.length,
+      nullCount: values.length - present.length,
+      nullRatio: values.length > 0 ? (values.length - present.length) / values.length : 0,
+      distinctCount: new Set(present).size
+    };
+
+    if (isNumeric) {
+      profile.statistics = this.numericSummary(numericValues);
+    } else {
+      profile.topValues = this.frequencies(present, topN);
+    }
+
+    return profile;
+  }
+
+  static numericSummary(numericValues) {
+    const sorted = [...numericValues].sort((a, b) => a - b);
+    const count = sorted.length;
+    const sum = sorted.reduce((a, b) => a + b, 0);
+    const mean = sum / count;
+    const q1 = this.quantile(sorted, 0.25);
+    const q3 = this.quantile(sorted, 0.75);
+
+    return {
+      count,
+      sum,
+      mean,
+      min: sorted[0],
+      max: sorted[count - 1],
+      median: this.quantile(sorted, 0.5),
+      q1,
+      q3,
+      iqr: q3 - q1,
+      stdDev: this.standardDeviation(sorted, mean)
+    };
+  }
+
+  // 線形補間による分位点（sortedは昇順ソート済みであること）
+  static quantile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    if (lower === upper) return sorted[lower];
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  // 標本標準偏差（n-1）
+  static standardDeviation(values, mean) {
+    if (values.length < 2) return 0;
+    const avg = mean !== undefined ? mean : values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = values.reduce((acc, value) => acc + (value - avg) ** 2, 0) / (values.length - 1);
+    return Math.sqrt(variance);
+  }
+
+  static frequencies(values, topN = 5) {
+    const counts = new Map();
+    values.forEach(value => {
+      const key = String(value);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topN)
+      .map(([value, count]) => ({
+        value,
+        count,
+        share: values.length > 0 ? count / values.length : 0
+      }));
+  }
+
+  static isMissing(value) {
+    return value === null || value === undefined || value === '';
+  }
+
+  static formatNumber(value) {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    if (Number.isInteger(value)) return value.toLocaleString('ja-JP');
+    return value.toLocaleString('ja-JP', { maximumFractionDigits: 2 });
+  }
+
+  static formatPercent(ratio) {
+    return `${(ratio * 100).toFixed(1)}%`;
+  }
+
+  static formatForPrompt(description) {
+    const lines = [];
+    const fmt = value => this.formatNumber(value);
+
+    Object.entries(description.columns).forEach(([column, profile]) => {
+      const base = `件数: ${fmt(profile.count)}, 欠損: ${fmt(profile.nullCount)}, ユニーク: ${fmt(profile.distinctCount)}`;
+
+      if (profile.type === 'numeric') {
+        const s = profile.statistics;
+        lines.push(
+          `- ${column}: 数値データ (${base}, 合計: ${fmt(s.sum)}, 平均: ${fmt(s.mean)}, 中央値: ${fmt(s.median)}, ` +
+          `第1四分位: ${fmt(s.q1)}, 第3四分位: ${fmt(s.q3)}, 標準偏差: ${fmt(s.stdDev)}, 最小: ${fmt(s.min)}, 最大: ${fmt(s.max)})`
+        );
+      } else {
+        const top = profile.topValues
+          .map(item => `${item.value} ${fmt(item.count)}件 (${this.formatPercent(item.share)})`)
+          .join(', ');
+        lines.push(`- ${column}: カテゴリデータ (${base}, 上位: ${top || 'なし'})`);
+      }
+    });
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = { StatisticsEngine };
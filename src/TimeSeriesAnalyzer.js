@@ -0,0 +1,247 @@
+const { StatisticsEngine } = require('./StatisticsEngine');
+
+const DATE_HEADER_KEYWORDS = ['日付', '日時', '年月', '年月日', '期間', '月', 'date', 'time', 'day', 'month', 'period'];
+
+const GRANULARITY_LABELS = {
+  day: '日次',
+  week: '週次',
+  month: '月次'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TimeSeriesAnalyzer {
+  static analyze(headers, data, options = {}) {
+    const dateColumn = options.dateColumn || this.detectDateColumn(headers, data);
+    if (!dateColumn) {
+      return { dateColumn: null, series: {} };
+    }
+
+    const numericColumns = (options.numericColumns || this.findNumericColumns(headers, data))
+      .filter(column => column !== dateColumn);
+
+    const series = {};
+    ['day', 'week', 'month'].forEach(granularity => {
+      series[granularity] = this.resample(data, dateColumn, numericColumns, granularity);
+    });
+
+    const dates = data
+      .map(row => this.parseDate(row[dateColumn]))
+      .filter(date => date !== null)
+      .sort((a, b) => a - b);
+    const start = dates[0];
+    const end = dates[dates.length - 1];
+
+    return {
+      dateColumn,
+      numericColumns,
+      start: this.formatDate(start),
+      end: this.formatDate(end),
+      unparsedCount: data.length - dates.length,
+      primaryGranularity: this.chooseGranularity(start, end),
+      series
+    };
+  }
+
+  // ============================================
+  // 日付列の検出
+  // ============================================
+  static detectDateColumn(headers, data) {
+    const candidates = this.detectDateColumns(headers, data);
+    return candidates.length > 0 ? candidates[0].column : null;
+  }
+
+  static detectDateColumns(headers, data, threshold = 0.8) {
+    const sample = data.slice(0, 500);
+    const candidates = [];
+
+    headers.forEach(column => {
+      const values = sample
+        .map(row => row[column])
+        .filter(value => value !== null && value !== undefined && value !== '');
+      if (values.length === 0) return;
+
+      const parsedRatio = values.filter(value => this.parseDate(value) !== null).length / values.length;
+      if (parsedRatio < threshold) return;
+
+      const lower = column.toLowerCase();
+      const hasKeyword = DATE_HEADER_KEYWORDS.some(keyword => lower.includes(keyword));
+      candidates.push({ column, parsedRatio, score: parsedRatio + (hasKeyword ? 1 : 0) });
+    });
+
+    return candidates.sort((a, b) => b.score - a.score);
+  }
+
+  // ============================================
+  // 日付文字列の解析（ISO / 2024/1/5 / 2024年1月5日）
+  // ============================================
+  static parseDate(value) {
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : value;
+    }
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim();
+    let match;
+
+    // ISO形式・スラッシュ区切り（時刻付きも許容）
+    match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+    if (match) {
+      return this.buildDate(match[1], match[2], match[3], match[4], match[5], match[6]);
+    }
+
+    // 和文形式
+    match = text.match(/^(\d{4})年\s*(\d{1,2})月\s*(\d{1,2})日(?:\s*(\d{1,2})[:時](\d{1,2})分?(?:[:](\d{2})|(\d{1,2})秒)?)?$/);
+    if (match) {
+      return this.buildDate(match[1], match[2], match[3], match[4], match[5], match[6] || match[7]);
+    }
+
+    // 年月のみ
+    match = text.match(/^(\d{4})[-/](\d{1,2})$/) || text.match(/^(\d{4})年\s*(\d{1,2})月$/);
+    if (match) {
+      return this.buildDate(match[1], match[2], 1);
+    }
+
+    return null;
+  }
+
+  static buildDate(year, month, day, hour = 0, minute = 0, second = 0) {
+    const y = parseInt(year, 10);
+    const m = parseInt(month, 10);
+    const d = parseInt(day, 10);
+    if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+
+    const date = new Date(Date.UTC(y, m - 1, d, parseInt(hour || 0, 10), parseInt(minute || 0, 10), parseInt(second || 0, 10)));
+    // 2024/2/31 のような存在しない日付を除外
+    if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+
+    return date;
+  }
+
+  static formatDate(date) {
+    if (!date) return null;
+    return date.toISOString().slice(0, 10);
+  }
+
+  // ============================================
+  // リサンプリング
+  // ============================================
+  static periodKey(date, granularity) {
+    if (granularity === 'month') {
+      return date.toISOString().slice(0, 7);
+    }
+    if (granularity === 'week') {
+      // 月曜始まりの週の開始日
+      const dayOfWeek = (date.getUTCDay() + 6) % 7;
+      const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) - dayOfWeek * DAY_MS);
+      return this.formatDate(monday);
+    }
+    return this.formatDate(date);
+  }
+
+  static resample(data, dateColumn, numericColumns, granularity = 'day') {
+    const buckets = new Map();
+
+    data.forEach(row => {
+      const date = this.parseDate(row[dateColumn]);
+      if (!date) return;
+
+      const key = this.periodKey(date, granularity);
+      if (!buckets.has(key)) {
+        const totals = {};
+        numericColumns.forEach(column => { totals[column] = 0; });
+        buckets.set(key, { period: key, rowCount: 0, totals });
+      }
+
+      const bucket = buckets.get(key);
+      bucket.rowCount++;
+      numericColumns.forEach(column => {
+        if (typeof row[column] === 'number' && !isNaN(row[column])) {
+          bucket.totals[column] += row[column];
+        }
+      });
+    });
+
+    const periods = [...buckets.values()].sort((a, b) => a.period.localeCompare(b.period));
+
+    periods.forEach((period, index) => {
+      period.growth = {};
+      numericColumns.forEach(column => {
+        period.growth[column] = index === 0
+          ? null
+          : this.growthRate(periods[index - 1].totals[column], period.totals[column]);
+      });
+    });
+
+    return periods;
+  }
+
+  static growthRate(previous, current) {
+    if (previous === null || previous === undefined || previous === 0) return null;
+    return (current - previous) / Math.abs(previous);
+  }
+
+  static chooseGranularity(start, end) {
+    if (!start || !end) return 'day';
+    const spanDays = (end - start) / DAY_MS;
+    if (spanDays <= 62) return 'day';
+    if (spanDays <= 366) return 'week';
+    return 'month';
+  }
+
+  static findNumericColumns(headers, data) {
+    return headers.filter(column =>
+      StatisticsEngine.profileColumn(data.map(row => row[column])).type === 'numeric'
+    );
+  }
+
+  // ============================================
+  // プロンプト用の整形
+  // ============================================
+  static formatForPrompt(result, maxPeriods = 24) {
+    if (!result || !result.dateColumn) {
+      return '日付列が検出されなかったため、時系列集計は行っていません。';
+    }
+
+    const granularity = result.primaryGranularity;
+    const periods = result.series[granularity];
+    const shown = periods.slice(-maxPeriods);
+    const fmt = value => StatisticsEngine.formatNumber(value);
+    const pct = ratio => (ratio === null ? '-' : `${ratio >= 0 ? '+' : ''}${(ratio * 100).toFixed(1)}%`);
+
+    const lines = [];
+    lines.push(`日付列: ${result.dateColumn} / 期間: ${result.start} 〜 ${result.end} / 集計単位: ${GRANULARITY_LABELS[granularity]}（${periods.length}期間）`);
+    if (shown.length < periods.length) {
+      lines.push(`※直近${shown.length}期間のみ表示`);
+    }
+
+    lines.push(['期間', '件数', ...result.numericColumns.map(column => `${column}合計 (前期比)`)].join(' | '));
+    shown.forEach(period => {
+      lines.push([
+        period.period,
+        period.rowCount,
+        ...result.numericColumns.map(column => `${fmt(period.totals[column])} (${pct(period.growth[column])})`)
+      ].join(' | '));
+    });
+
+    if (periods.length >= 2) {
+      const first = periods[0];
+      const last = periods[periods.length - 1];
+      result.numericColumns.forEach(column => {
+        const peak = periods.reduce((best, period) => (period.totals[column] > best.totals[column] ? period : best), first);
+        lines.push(
+          `- ${column}: 初期 ${first.period} ${fmt(first.totals[column])} → 最終 ${last.period} ${fmt(last.totals[column])} ` +
+          `(変化率 ${pct(this.growthRate(first.totals[column], last.totals[column]))}), ピーク ${peak.period} ${fmt(peak.totals[column])}`
+        );
+      });
+    }
+
+    if (result.unparsedCount > 0) {
+      lines.push(`※日付を解釈できなかった行: ${result.unparsedCount}行（集計対象外）`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = { TimeSeriesAnalyzer };
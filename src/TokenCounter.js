@@ -0,0 +1,74 @@
+const { getEncoding, encodingForModel } = require('js-tiktoken');
+
+// チャット形式のメッセージ1件ごとに付加される制御トークン数（OpenAIの計算方法に準拠）
+const TOKENS_PER_MESSAGE = 4;
+const REPLY_PRIMING_TOKENS = 3;
+const FALLBACK_ENCODING = 'cl100k_base';
+
+class TokenCounter {
+  // モデル名からトークナイザーを選ぶ。Azureのデプロイ名や互換サーバーのモデルなど
+  // 不明な名前は cl100k_base で近似する
+  static encoder(model) {
+    if (!this.encoders) {
+      this.encoders = new Map();
+    }
+
+    const key = model || FALLBACK_ENCODING;
+    if (!this.encoders.has(key)) {
+      let encoder;
+      try {
+        encoder = model ? encodingForModel(model) : getEncoding(FALLBACK_ENCODING);
+      } catch (error) {
+        encoder = getEncoding(FALLBACK_ENCODING);
+      }
+      this.encoders.set(key, encoder);
+    }
+    return this.encoders.get(key);
+  }
+
+  static count(text, model) {
+    if (!text) return 0;
+    return this.encoder(model).encode(String(text)).length;
+  }
+
+  static countMessages(messages, model) {
+    return messages.reduce(
+      (total, message) => total + TOKENS_PER_MESSAGE + this.count(message.content, model),
+      REPLY_PRIMING_TOKENS
+    );
+  }
+
+  // トークン数の上限で切り詰める（文字の途中で切れた不完全なバイト列は除去する）
+  static truncate(text, maxTokens, model) {
+    if (!text) return '';
+    const encoder = this.encoder(model);
+    const tokens = encoder.encode(String(text));
+    if (tokens.length <= maxTokens) return String(text);
+    if (maxTokens <= 0) return '';
+
+    return `${encoder.decode(tokens.slice(0, maxTokens)).replace(/�+$/, '')}…`;
+  }
+
+  // 行単位で切り詰め、省略した行数を末尾に付ける
+  static truncateLines(text, maxTokens, model) {
+    if (this.count(text, model) <= maxTokens) return String(text || '');
+
+    const lines = String(text).split('\n');
+    const kept = [];
+    // 省略行数の注記の分を残しておく
+    const limit = maxTokens - 15;
+    let used = 0;
+
+    for (const line of lines) {
+      const tokens = this.count(`${line}\n`, model);
+      if (used + tokens > limit) break;
+      kept.push(line);
+      used += tokens;
+    }
+
+    kept.push(`…ほか${lines.length - kept.length}行（省略）`);
+    return kept.join('\n');
+  }
+}
+
+module.exports = { TokenCounter };
@@ -0,0 +1,344 @@
+const { TimeSeriesAnalyzer } = require('./TimeSeriesAnalyzer');
+
+// 列の意味的な型。値は型に合わせて正規化する（通貨・割合・数値は number、真偽値は boolean、和暦は西暦の YYYY-MM-DD）
+const TYPES = {
+  currency: '通貨',
+  percentage: '割合',
+  integer: '整数',
+  decimal: '小数',
+  boolean: '真偽値',
+  date: '日付',
+  datetime: '日時',
+  wareki: '和暦の日付',
+  id: 'ID・コード',
+  text: 'テキスト'
+};
+
+// 列の型とみなす、型に一致する値の割合（欠損を除く）
+const TYPE_THRESHOLD = 0.8;
+// キー列とみなす一意な値の割合
+const ID_UNIQUE_RATIO = 0.8;
+
+// キー列らしい列名（customer_id, id_type, order no, SKU, 社員番号, 商品コード など）
+// 英字の末尾は区切りか先頭の直後に限る（Paid・Solid・casino などを除く）
+const KEY_HEADER_PATTERN = /(^|[_\s-])(id|code|key|no|sku)\.?$|^id[_\s-]|コード$|番号$|キー$/i;
+// 大文字で書かれた接尾辞は区切りがなくてもキー列とみなす（商品ID, customerId, 注文No など）
+const KEY_HEADER_SUFFIX_PATTERN = /(ID|Id|No\.?)$/;
+
+const CURRENCY_SYMBOLS = { '¥': 'JPY', '\\': 'JPY', '$': 'USD', '€': 'EUR', '£': 'GBP' };
+const CURRENCY_CODES = ['JPY', 'USD', 'EUR', 'GBP'];
+const CURRENCY_SUFFIXES = { '円': 'JPY', 'ドル': 'USD', 'ユーロ': 'EUR' };
+const MULTIPLIERS = { '千': 1e3, '万': 1e4, '百万': 1e6, '億': 1e8, '兆': 1e12 };
+
+// NFKC・小文字化して比較する
+const BOOLEAN_VALUES = {
+  true: true, false: false, yes: true, no: false,
+  'はい': true, 'いいえ': false, 'あり': true, 'なし': false, '有': true, '無': false,
+  '○': true, '〇': true, '×': false
+};
+
+// 元号と元年（西暦）
+const ERAS = {
+  '明治': 1868, M: 1868,
+  '大正': 1912, T: 1912,
+  '昭和': 1926, S: 1926,
+  '平成': 1989, H: 1989,
+  '令和': 2019, R: 2019
+};
+// 元号 年 (月 日 | .月.日) [時刻]。月日の区切りは 年月日・ピリオド・ハイフン・スラッシュ
+const WAREKI_PATTERN = /^(明治|大正|昭和|平成|令和|[MTSHR])\s*(元|\d{1,2})\s*(?:年\s*(\d{1,2})\s*月(?:\s*(\d{1,2})\s*日)?|[.\-/](\d{1,2})(?:[.\-/](\d{1,2}))?)(?:\s+|\s*(?=\d{1,2}[:時]))?(?:(\d{1,2})[:時](\d{1,2})分?(?::(\d{2})|(\d{1,2})秒)?)?$/i;
+
+class TypeInference {
+  static isKeyHeader(column) {
+    const header = String(column).trim();
+    return KEY_HEADER_PATTERN.test(header) || KEY_HEADER_SUFFIX_PATTERN.test(header);
+  }
+
+  // ============================================================================
+  // 値の解析
+  // ============================================================================
+
+  // ¥120,000 / 12.5% / １２０００ / △500 / (1,200) / 1.2万円 などを数値として読む。読めなければ null
+  // { value, kind: 'currency' | 'percentage' | 'number', unit }
+  static parseNumber(text) {
+    let body = String(text).normalize('NFKC').trim().replace(/\s+/g, '').replace(/−/g, '-');
+    let negative = false;
+    let unit = null;
+    let kind = 'number';
+    let multiplier = 1;
+
+    // 会計表記の負数（△500・▲500・(1,200)）
+    if (/^[△▲]/.test(body)) {
+      negative = true;
+      body = body.slice(1);
+    }
+    const parenthesized = body.match(/^\((.+)\)$/);
+    if (parenthesized) {
+      negative = true;
+      body = parenthesized[1];
+    }
+    const takeSign = () => {
+      if (/^[+-]/.test(body)) {
+        if (body[0] === '-') negative = !negative;
+        body = body.slice(1);
+      }
+    };
+    takeSign();
+
+    const symbol = Object.keys(CURRENCY_SYMBOLS).find(candidate => body.startsWith(candidate));
+    const prefixCode = CURRENCY_CODES.find(code => body.toUpperCase().startsWith(code));
+    if (symbol || prefixCode) {
+      unit = symbol ? CURRENCY_SYMBOLS[symbol] : prefixCode;
+      body = body.slice((symbol || prefixCode).length);
+      kind = 'currency';
+      takeSign();
+    }
+
+    const suffix = Object.keys(CURRENCY_SUFFIXES).find(candidate => body.endsWith(candidate));
+    const suffixCode = CURRENCY_CODES.find(code => body.toUpperCase().endsWith(code));
+    if (suffix || suffixCode) {
+      unit = suffix ? CURRENCY_SUFFIXES[suffix] : suffixCode;
+      body = body.slice(0, -(suffix || suffixCode).length);
+      kind = 'currency';
+      // 1.2万円・3億円
+      const scale = Object.keys(MULTIPLIERS).sort((a, b) => b.length - a.length).find(candidate => body.endsWith(candidate));
+      if (scale) {
+        multiplier = MULTIPLIERS[scale];
+        body = body.slice(0, -scale.length);
+      }
+    } else if (kind === 'number' && body.endsWith('%')) {
+      unit = '%';
+      body = body.slice(0, -1);
+      kind = 'percentage';
+    }
+
+    if (!/^(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$|^\.\d+$/.test(body)) return null;
+
+    const value = parseFloat(body.replace(/,/g, '')) * multiplier * (negative ? -1 : 1);
+    // 浮動小数点の誤差（1.2 * 10000 = 11999.999...）を丸める
+    return { value: Number(value.toPrecision(15)) || 0, kind, unit };
+  }
+
+  static parseBoolean(text) {
+    const key = String(text).normalize('NFKC').trim().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, key) ? BOOLEAN_VALUES[key] : null;
+  }
+
+  // 和暦（令和6年4月1日・R6.4.1・平成元年5月・H31/4/30 など）。読めなければ null
+  // { date, hasTime, monthOnly }
+  static parseWareki(text) {
+    const match = String(text).normalize('NFKC').trim().match(WAREKI_PATTERN);
+    if (!match) return null;
+
+    const [, eraName, eraYear, month, day, separatedMonth, separatedDay, hour, minute, second, kanjiSecond] = match;
+    const year = (ERAS[eraName] || ERAS[eraName.toUpperCase()]) + (eraYear === '元' ? 1 : parseInt(eraYear, 10)) - 1;
+    const dayOfMonth = day || separatedDay;
+    const date = TimeSeriesAnalyzer.buildDate(year, month || separatedMonth, dayOfMonth || 1, hour, minute, second || kanjiSecond);
+    return date ? { date, hasTime: hour !== undefined, monthOnly: !dayOfMonth } : null;
+  }
+
+  // 西暦（TimeSeriesAnalyzer.parseDate が読める形式・全角数字）と和暦。読めなければ null
+  // { date, kind: 'date' | 'datetime' | 'wareki', monthOnly, native }（native: 変換しなくても parseDate で読める）
+  static parseDate(text) {
+    const raw = String(text).trim();
+    const normalized = raw.normalize('NFKC');
+    const date = TimeSeriesAnalyzer.parseDate(normalized);
+    if (date) {
+      const hasTime = /\d{1,2}[:時]\d{1,2}/.test(normalized);
+      return {
+        date,
+        kind: hasTime ? 'datetime' : 'date',
+        hasTime,
+        monthOnly: /^\d{4}[-/]\d{1,2}$|^\d{4}年\s*\d{1,2}月$/.test(normalized),
+        native: normalized === raw
+      };
+    }
+
+    const wareki = this.parseWareki(raw);
+    return wareki ? { ...wareki, kind: 'wareki', native: false } : null;
+  }
+
+  // YYYY-MM-DD（年月のみは YYYY-MM、時刻付きは YYYY-MM-DD HH:mm:ss）
+  static formatISODate(parsed) {
+    const iso = parsed.date.toISOString();
+    if (parsed.monthOnly) return iso.slice(0, 7);
+    if (parsed.hasTime) return iso.slice(0, 19).replace('T', ' ');
+    return iso.slice(0, 10);
+  }
+
+  // 先頭の0を含む数字（001）、英字と数字のコード（A-001, SKU1234）、区切りのある数字（100-0001, 03-1234-5678）
+  static isCodeLike(text) {
+    const value = String(text).normalize('NFKC').trim();
+    if (value.length < 3) return false;
+    return /^0\d+$/.test(value) ||
+      /^[A-Za-z]+[-_]?\d+[A-Za-z0-9\-_]*$/.test(value) ||
+      /^\d+(?:-\d+)+$/.test(value);
+  }
+
+  // ============================================================================
+  // 列の型の推定
+  // ============================================================================
+
+  // rows: 型変換前（文字列）の行。列ごとに { column, type, label, unit, confidence, normalized } を返す
+  static inferSchema(headers, rows) {
+    return headers.map(column => this.inferColumn(column, rows.map(row => row[column])));
+  }
+
+  static inferColumn(column, values) {
+    const present = values
+      .map(value => (value === null || value === undefined ? '' : String(value).trim()))
+      .filter(value => value !== '');
+    const result = (type, matched, unit = null) => ({
+      column,
+      type,
+      label: TYPES[type],
+      unit,
+      confidence: present.length > 0 ? matched / present.length : 0
+    });
+    const atThreshold = count => present.length > 0 && count >= present.length * TYPE_THRESHOLD;
+
+    if (present.length === 0) return result('text', 0);
+
+    const booleans = present.filter(value => this.parseBoolean(value) !== null).length;
+    if (atThreshold(booleans)) return result('boolean', booleans);
+
+    const dates = present.map(value => this.parseDate(value)).filter(Boolean);
+    if (atThreshold(dates.length)) {
+      const wareki = dates.filter(parsed => parsed.kind === 'wareki').length;
+      const type = wareki > dates.length / 2 ? 'wareki' : dates.some(parsed => parsed.hasTime) ? 'datetime' : 'date';
+      return result(type, dates.length);
+    }
+
+    // 数値として読めても、先頭の0を保つべきコードや、キー列らしい列名の整数は ID として文字列のまま扱う
+    const digitsOnly = present.filter(value => /^\d+$/.test(value.normalize('NFKC')));
+    const codes = present.filter(value => this.isCodeLike(value)).length;
+    const lengths = digitsOnly.map(value => value.length);
+    const fixedWidth = lengths.length > 0 && lengths.filter(length => length === lengths[0]).length >= lengths.length * TYPE_THRESHOLD;
+    const leadingZero = digitsOnly.some(value => /^0\d/.test(value.normalize('NFKC')));
+    const keyHeader = this.isKeyHeader(column);
+    const uniqueRatio = new Set(present).size / present.length;
+
+    if (atThreshold(codes) && digitsOnly.length < present.length) return result('id', codes);
+    if (leadingZero && (fixedWidth || keyHeader) && atThreshold(digitsOnly.length + codes)) {
+      return result('id', digitsOnly.length);
+    }
+    if (keyHeader && atThreshold(digitsOnly.length + codes) && uniqueRatio >= ID_UNIQUE_RATIO) {
+      return result('id', digitsOnly.length + codes);
+    }
+
+    const numbers = present.map(value => this.parseNumber(value)).filter(Boolean);
+    if (atThreshold(numbers.length)) {
+      // 値の過半数に付いている単位（通貨記号・%）
+      const mostCommonUnit = kind => {
+        const counts = new Map();
+        numbers.filter(number => number.kind === kind).forEach(number => counts.set(number.unit, (counts.get(number.unit) || 0) + 1));
+        const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+        if (total <= numbers.length / 2) return null;
+        return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+      };
+      const currency = mostCommonUnit('currency');
+      if (currency) return result('currency', numbers.length, currency);
+      if (mostCommonUnit('percentage')) return result('percentage', numbers.length, '%');
+      return result(numbers.every(number => Number.isInteger(number.value)) ? 'integer' : 'decimal', numbers.length);
+    }
+
+    return result('text', present.length);
+  }
+
+  // ============================================================================
+  // 正規化
+  // ============================================================================
+
+  // 列の型に合わせて値を変換する。型に一致しない値は、テキストの列と同じく1セルずつ変換する（CSVParser.convertValue）
+  // schema の各列に、変換で元の読み方（convertValue）と値が変わったセルの数を normalized として記録する
+  static apply(rows, schema, fallback) {
+    schema.forEach(entry => {
+      entry.normalized = 0;
+    });
+
+    return rows.map(row => {
+      const converted = {};
+      schema.forEach(entry => {
+        const raw = row[entry.column];
+        const legacy = fallback(raw);
+        const value = this.convertValue(raw, entry.type, legacy);
+        if (value !== legacy) entry.normalized++;
+        converted[entry.column] = value;
+      });
+      return converted;
+    });
+  }
+
+  static convertValue(raw, type, fallback) {
+    if (raw === null || raw === undefined || String(raw).trim() === '' || type === 'text') return fallback;
+
+    switch (type) {
+      case 'id':
+        return String(raw).trim();
+      case 'boolean': {
+        const value = this.parseBoolean(raw);
+        return value === null ? fallback : value;
+      }
+      case 'date':
+      case 'datetime':
+      case 'wareki': {
+        // 西暦で parseDate がそのまま読める値は元の表記を保つ（日付形式の不統一はデータ品質レポートで示す）
+        const parsed = this.parseDate(raw);
+        if (!parsed) return fallback;
+        return parsed.native ? String(raw).trim() : this.formatISODate(parsed);
+      }
+      default: {
+        const parsed = this.parseNumber(raw);
+        return parsed ? parsed.value : fallback;
+      }
+    }
+  }
+
+  // ============================================================================
+  // 出力
+  // ============================================================================
+
+  static describe(entry) {
+    return `${entry.label}${entry.unit ? `(${entry.unit})` : ''}`;
+  }
+
+  // 型ごとに列をまとめる。テキスト・整数・小数・日付・日時（統計値やサンプルから読み取れる型）は省く
+  // headers: プロンプトに含める列（個人情報として除外した列などを除く）
+  static formatForPrompt(schema, headers) {
+    const groups = this.groupByType(schema, headers, ['text', 'integer', 'decimal', 'date', 'datetime']);
+    if (groups.length === 0) return '';
+
+    const notes = {
+      currency: '記号・単位を除いた金額',
+      percentage: '12.5% は 12.5',
+      wareki: '西暦の YYYY-MM-DD に変換済み',
+      boolean: 'true / false に変換済み',
+      id: '識別子のため数値として集計しない'
+    };
+    return groups
+      .map(({ type, label, columns }) => `- ${label}: ${columns.join(', ')}${notes[type] ? `（${notes[type]}）` : ''}`)
+      .join('\n');
+  }
+
+  // Slackのcontextブロック向けの1行（例: 通貨(JPY): 売上, 原価 / 和暦の日付: 受注日）
+  static formatForSlack(schema, headers) {
+    return this.groupByType(schema, headers, ['text'])
+      .map(({ label, columns }) => `${label}: ${columns.join(', ')}`)
+      .join(' / ');
+  }
+
+  static groupByType(schema, headers, excludedTypes) {
+    const included = new Set(headers);
+    const groups = new Map();
+    (schema || [])
+      .filter(entry => included.has(entry.column) && !excludedTypes.includes(entry.type))
+      .forEach(entry => {
+        const label = this.describe(entry);
+        if (!groups.has(label)) groups.set(label, { type: entry.type, label, columns: [] });
+        groups.get(label).columns.push(entry.column);
+      });
+    return [...groups.values()];
+  }
+}
+
+module.exports = { TypeInference };
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const { ChannelConfig } = require('./ChannelConfig');
+
+// 日・月の区切りに使うタイムゾーン（上限のリセットと集計期間の判定に使う）
+const DEFAULT_TIMEZONE = 'Asia/Tokyo';
+const DEFAULT_SLASH_COMMAND = '/csv-usage';
+
+// 利用上限（トークン数）。ChannelConfig の "quota" セクションのキー、または環境変数で指定し、0・未設定は無制限
+const QUOTAS = [
+  { key: 'userDaily', env: 'USAGE_QUOTA_USER_DAILY', scope: 'user', period: 'day', label: 'あなたの本日' },
+  { key: 'userMonthly', env: 'USAGE_QUOTA_USER_MONTHLY', scope: 'user', period: 'month', label: 'あなたの今月' },
+  { key: 'workspaceDaily', env: 'USAGE_QUOTA_WORKSPACE_DAILY', scope: 'workspace', period: 'day', label: 'ワークスペース全体の本日' },
+  { key: 'workspaceMonthly', env: 'USAGE_QUOTA_WORKSPACE_MONTHLY', scope: 'workspace', period: 'month', label: 'ワークスペース全体の今月' }
+];
+
+const GROUP_BY = {
+  user: 'ユーザー',
+  channel: 'チャンネル',
+  model: 'モデル'
+};
+
+class MemoryUsageStore {
+  constructor() {
+    this.records = [];
+  }
+
+  async add(record) {
+    this.records.push(record);
+  }
+
+  async list(filter) {
+    return this.records.filter(filter);
+  }
+}
+
+// JSON Lines で追記する。プロセスの再起動後も集計・上限の判定に使える
+class FileUsageStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  async add(record) {
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+  }
+
+  async list(filter) {
+    let text;
+    try {
+      text = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return text.split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          // 書き込み途中で止まった行は読み飛ばす
+          return null;
+        }
+      })
+      .filter(record => record && filter(record));
+  }
+}
+
+// LLMの利用量（ユーザー・チャンネル・モデルごとのトークン数と推定コスト）の記録、上限の判定、集計
+class UsageTracker {
+  constructor(options = {}) {
+    this.store = options.store || UsageTracker.createStore(options.file || process.env.USAGE_STORE_FILE);
+    this.timeZone = options.timeZone || process.env.USAGE_TIMEZONE || DEFAULT_TIMEZONE;
+    // 設定されている場合、全員分の利用状況はこのユーザーのみ参照でき、他のユーザーには本人の分だけを表示する
+    this.admins = options.admins || (process.env.USAGE_ADMIN_USERS || '')
+      .split(',')
+      .map(user => user.trim())
+      .filter(Boolean);
+    this.dateFormat = new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    });
+  }
+
+  static createStore(file) {
+    return file ? new FileUsageStore(file) : new MemoryUsageStore();
+  }
+
+  static slashCommand() {
+    return process.env.USAGE_SLASH_COMMAND || DEFAULT_SLASH_COMMAND;
+  }
+
+  // 「usage」「利用状況」で始まるメンションを利用状況の照会として扱う
+  static isUsageCommand(text) {
+    return /^(usage|利用状況|使用量)(\s|$)/i.test(String(text || '').trim());
+  }
+
+  // provider の complete() の応答ごとに利用量を記録する（requester: { channel, user, team }）
+  wrap(provider, requester) {
+    const tracker = this;
+    const tracked = Object.create(provider);
+
+    tracked.complete = async function (request) {
+      const response = await provider.complete(request);
+      await tracker.record(provider, requester, response.usage).catch(error => {
+        // 記録の失敗で分析結果を返せなくなるのは避ける
+        console.error('Failed to record usage:', error);
+      });
+      return response;
+    };
+
+    return tracked;
+  }
+
+  async record(provider, requester, usage = {}) {
+    await this.store.add({
+      timestamp: new Date().toISOString(),
+      team: requester.team || null,
+      user: requester.user || null,
+      channel: requester.channel || null,
+      provider: provider.label,
+      model: provider.model,
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || 0,
+      cost: provider.estimateCost(usage)
+    });
+  }
+
+  // ============================================================================
+  // 利用上限
+  // ============================================================================
+
+  quotaFor(channel) {
+    const config = ChannelConfig.get(channel, 'quota');
+    return Object.fromEntries(QUOTAS.map(quota => {
+      const value = Number(config[quota.key] !== undefined ? config[quota.key] : process.env[quota.env]);
+      return [quota.key, Number.isFinite(value) && value > 0 ? value : 0];
+    }));
+  }
+
+  // 上限に達していれば { allowed: false, label, used, limit, period } を返す
+  async checkQuota(requester) {
+    const limits = this.quotaFor(requester.channel);
+    const active = QUOTAS.filter(quota => limits[quota.key] > 0);
+    if (active.length === 0) return { allowed: true };
+
+    const today = this.dateKey(new Date());
+    const month = today.slice(0, 7);
+    const team = requester.team || null;
+    const records = await this.store.list(record =>
+      (record.team || null) === team && this.dateKey(record.timestamp).startsWith(month)
+    );
+
+    for (const quota of active) {
+      const used = records
+        .filter(record => quota.period === 'month' || this.dateKey(record.timestamp) === today)
+        .filter(record => quota.scope === 'workspace' || record.user === requester.user)
+        .reduce((total, record) => total + record.totalTokens, 0);
+
+      if (used >= limits[quota.key]) {
+        return { allowed: false, label: quota.label, period: quota.period, used, limit: limits[quota.key] };
+      }
+    }
+    return { allowed: true };
+  }
+
+  // ============================================================================
+  // 集計
+  // ============================================================================
+
+  canViewAll(user) {
+    return this.admins.length === 0 || this.admins.includes(user);
+  }
+
+  // options: { period: parseArgs の period, groupBy, team, user（指定時は本人の分のみ） }
+  async report(options) {
+    const { period, groupBy } = options;
+    const records = await this.store.list(record => {
+      const key = this.dateKey(record.timestamp);
+      return key >= period.from && key <= period.to &&
+        (!options.team || record.team === options.team) &&
+        (!options.user || record.user === options.user);
+    });
+
+    const empty = () => ({ requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 });
+    const add = (target, record) => {
+      target.requests++;
+      target.promptTokens += record.promptTokens;
+      target.completionTokens += record.completionTokens;
+      target.totalTokens += record.totalTokens;
+      target.cost += record.cost;
+    };
+
+    const groups = new Map();
+    const total = empty();
+    records.forEach(record => {
+      const key = record[groupBy] || null;
+      if (!groups.has(key)) groups.set(key, { key, ...empty() });
+      add(groups.get(key), record);
+      add(total, record);
+    });
+
+    return {
+      period,
+      groupBy,
+      groupLabel: GROUP_BY[groupBy],
+      onlyUser: options.user || null,
+      rows: [...groups.values()].sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens),
+      total
+    };
+  }
+
+  // 「usage 先月 channel」のような引数から集計期間と集計単位を読み取る（既定は今月・ユーザー別）
+  parseArgs(text, now = new Date()) {
+    const args = String(text || '').replace(/^(usage|利用状況|使用量)/i, '').trim().toLowerCase();
+
+    let groupBy = 'user';
+    if (/channel|チャンネル/.test(args)) groupBy = 'channel';
+    else if (/model|モデル/.test(args)) groupBy = 'model';
+
+    return { period: this.parsePeriod(args, now), groupBy };
+  }
+
+  parsePeriod(args, now = new Date()) {
+    const today = this.dateKey(now);
+    const month = today.slice(0, 7);
+    let match;
+
+    if (/today|今日|本日/.test(args)) {
+      return { label: `本日（${today}）`, from: today, to: today };
+    }
+    if (/yesterday|昨日/.test(args)) {
+      const yesterday = UsageTracker.shiftDate(today, -1);
+      return { label: `昨日（${yesterday}）`, from: yesterday, to: yesterday };
+    }
+    if (/last[\s-]?month|先月|前月/.test(args)) {
+      const previous = UsageTracker.shiftDate(`${month}-01`, -1).slice(0, 7);
+      return { label: `先月（${previous}）`, from: `${previous}-01`, to: `${previous}-31` };
+    }
+    if ((match = args.match(/(\d{4})[-/年](\d{1,2})[-/月](\d{1,2})日?/))) {
+      const date = `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+      return { label: date, from: date, to: date };
+    }
+    if ((match = args.match(/(\d{4})[-/年](\d{1,2})月?/))) {
+      const target = `${match[1]}-${match[2].padStart(2, '0')}`;
+      return { label: target, from: `${target}-01`, to: `${target}-31` };
+    }
+    if ((match = args.match(/(?:過去|last\s*)?(\d+)\s*(?:日間?|d\b|days?\b)/))) {
+      const days = Math.max(parseInt(match[1], 10), 1);
+      return { label: `過去${days}日間`, from: UsageTracker.shiftDate(today, -(days - 1)), to: today };
+    }
+    return { label: `今月（${month}）`, from: `${month}-01`, to: today };
+  }
+
+  // 集計用のタイムゾーンでの日付（YYYY-MM-DD）
+  dateKey(value) {
+    return this.dateFormat.format(new Date(value));
+  }
+
+  static shiftDate(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+module.exports = { UsageTracker, MemoryUsageStore, FileUsageStore };
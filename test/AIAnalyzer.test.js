@@ -0,0 +1,42 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AIAnalyzer } = require('../src/AIAnalyzer');
+const { StatisticsEngine } = require('../src/StatisticsEngine');
+
+const RARE_NOTE = '田中様 クレーム対応中 返金予定';
+
+function createDataset() {
+  const headers = ['地域', '備考', '売上'];
+  const data = Array.from({ length: 20 }, (_, i) => ({
+    '地域': i % 2 ? '東京' : '大阪',
+    '備考': i === 7 ? RARE_NOTE : (i === 3 ? '連絡先 taro@example.com' : '通常'),
+    '売上': 100 + i
+  }));
+  return { fileName: 'orders.csv', headers, data, statistics: StatisticsEngine.describe(headers, data) };
+}
+
+describe('AIAnalyzer のプロンプト（集計のみモード）', () => {
+  const analyzer = new AIAnalyzer();
+  const dataset = createDataset();
+
+  test('1行にしかない値・連絡先を含む値は上位の値に含めない', () => {
+    const prompt = analyzer.buildAnalysisPrompt(dataset, ['summary'], {}, '', { aggregateOnly: true });
+
+    assert.equal(prompt.includes(RARE_NOTE), false);
+    assert.equal(prompt.includes('taro@example.com'), false);
+    assert.match(prompt, /備考: カテゴリデータ \(件数: 20, 欠損: 0, ユニーク: 3, 上位: 通常 18件/);
+    assert.match(prompt, /地域: カテゴリデータ .*東京 10件/);
+  });
+
+  test('列グループごとの事前分析でも同じく除く', () => {
+    const prompt = analyzer.buildColumnGroupPrompt(dataset, ['summary'], '', ['備考'], 0, 2, { aggregateOnly: true });
+
+    assert.equal(prompt.includes(RARE_NOTE), false);
+  });
+
+  test('標準モードでは上位の値をそのまま渡す', () => {
+    const prompt = analyzer.buildAnalysisPrompt(dataset, ['summary'], {}, '', {});
+
+    assert.equal(prompt.includes(RARE_NOTE), true);
+  });
+});
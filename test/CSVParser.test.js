@@ -0,0 +1,94 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CSVParser } = require('../src/CSVParser');
+
+const fieldsOf = result => result.records.map(record => record.fields);
+
+describe('CSVParser.parseRecords', () => {
+  test('引用符内の区切り文字・改行・エスケープされた引用符を値として読む', () => {
+    const result = CSVParser.parseRecords('a,b,c\n1,"x,y","he said ""hi"""\n2,"multi\nline",3');
+
+    assert.deepEqual(fieldsOf(result), [
+      ['a', 'b', 'c'],
+      ['1', 'x,y', 'he said "hi"'],
+      ['2', 'multi\nline', '3']
+    ]);
+    assert.deepEqual(result.records.map(record => record.quoted), [
+      [false, false, false],
+      [false, true, true],
+      [false, true, false]
+    ]);
+    assert.deepEqual(result.errors, []);
+  });
+
+  test('レコードの行番号は引用符内の改行を数えた元ファイルの行', () => {
+    const result = CSVParser.parseRecords('a,b\n"1\n2",x\n3,y');
+
+    assert.deepEqual(result.records.map(record => record.lineNumber), [1, 2, 4]);
+    assert.equal(result.lineCount, 4);
+  });
+
+  test('空行はレコードに含めず件数を数える', () => {
+    const result = CSVParser.parseRecords('a,b\n\n1,2\n\n');
+
+    assert.deepEqual(fieldsOf(result), [['a', 'b'], ['1', '2']]);
+    assert.equal(result.emptyLineCount, 2);
+  });
+
+  test('引用符で囲まれていない値は前後の空白を除き、囲まれた値は空白を保つ', () => {
+    const result = CSVParser.parseRecords(' a , " b " ,c');
+
+    assert.deepEqual(fieldsOf(result), [['a', ' b ', 'c']]);
+  });
+
+  test('閉じられていない引用符はエラーとして行番号付きで返す', () => {
+    const result = CSVParser.parseRecords('a,b\n1,"open\n2,3');
+
+    assert.deepEqual(result.errors, [{ lineNumber: 2, message: '引用符が閉じられていません' }]);
+    assert.deepEqual(fieldsOf(result), [['a', 'b'], ['1', 'open\n2,3']]);
+  });
+
+  test('値の途中の引用符と閉じ引用符の後の文字をエラーにする', () => {
+    const result = CSVParser.parseRecords('a,"b"x\n1,2"3');
+
+    assert.deepEqual(fieldsOf(result), [['a', 'bx'], ['1', '2"3']]);
+    assert.deepEqual(result.errors.map(error => error.lineNumber), [1, 2]);
+  });
+
+  test('区切り文字と引用符の文字を指定できる', () => {
+    assert.deepEqual(fieldsOf(CSVParser.parseRecords('a\tb\n1\t2', '\t')), [['a', 'b'], ['1', '2']]);
+    assert.deepEqual(fieldsOf(CSVParser.parseRecords("'x,y',z", ',', { quoteChar: "'" })), [['x,y', 'z']]);
+  });
+
+  test('maxRecords 件で読み取りをやめる', () => {
+    const result = CSVParser.parseRecords('a,b\n1,2\n3,4', ',', { maxRecords: 2 });
+
+    assert.deepEqual(fieldsOf(result), [['a', 'b'], ['1', '2']]);
+  });
+
+  test('splitCSVLine は1行分のフィールドを返す', () => {
+    assert.deepEqual(CSVParser.splitCSVLine('x,"y,z"'), ['x', 'y,z']);
+    assert.deepEqual(CSVParser.splitCSVLine(''), ['']);
+  });
+});
+
+describe('CSVParser.parse', () => {
+  test('BOM付きUTF-8・CRLFのファイルを読み、推定した型で値を変換する', () => {
+    const buffer = Buffer.from('﻿商品コード,売上,日付\r\n00123,"¥1,200",2024-01-01\r\n00124,¥300,2024-01-02\r\n00125,¥50,2024-01-03\r\n');
+    const result = CSVParser.parse(buffer);
+
+    assert.deepEqual(result.headers, ['商品コード', '売上', '日付']);
+    assert.deepEqual(result.data[0], { '商品コード': '00123', '売上': 1200, '日付': '2024-01-01' });
+    assert.deepEqual(result.schema.map(entry => entry.type), ['id', 'currency', 'date']);
+    assert.deepEqual(result.lineNumbers, [2, 3, 4]);
+  });
+
+  test('convertValues: false では値を文字列のまま返す', () => {
+    const result = CSVParser.parse(Buffer.from('コード,金額\n007,"1,000"\n008,"2,000"\n'), { convertValues: false });
+
+    assert.deepEqual(result.data, [
+      { 'コード': '007', '金額': '1,000' },
+      { 'コード': '008', '金額': '2,000' }
+    ]);
+  });
+});
@@ -0,0 +1,40 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChannelConfig } = require('../src/ChannelConfig');
+
+describe('ChannelConfig', () => {
+  afterEach(() => {
+    delete process.env.CHANNEL_CONFIG;
+    delete process.env.CHANNEL_CONFIG_FILE;
+    ChannelConfig.cache = undefined;
+  });
+
+  test('既定値とチャンネルの設定を項目ごとにマージする', () => {
+    process.env.CHANNEL_CONFIG = JSON.stringify({
+      default: { privacy: { mode: 'standard' }, llm: { model: 'gpt-4' } },
+      C1: { privacy: { mode: 'aggregate-only' } }
+    });
+    ChannelConfig.reload();
+
+    assert.deepEqual(ChannelConfig.get('C1', 'privacy'), { mode: 'aggregate-only' });
+    assert.deepEqual(ChannelConfig.get('C2', 'privacy'), { mode: 'standard' });
+    assert.deepEqual(ChannelConfig.get('C1', 'llm'), { model: 'gpt-4' });
+  });
+
+  test('未設定なら空の設定', () => {
+    assert.deepEqual(ChannelConfig.reload(), {});
+  });
+
+  test('読み込めない設定は既定値で動かさずに例外にする', () => {
+    process.env.CHANNEL_CONFIG = '{ "C1": { "privacy": ';
+    assert.throws(() => ChannelConfig.reload(), /CHANNEL_CONFIG.*読み込めません/);
+    // 失敗した結果はキャッシュせず、次に参照したときも例外にする
+    assert.throws(() => ChannelConfig.get('C1', 'privacy'), /読み込めません/);
+
+    process.env.CHANNEL_CONFIG = '[]';
+    assert.throws(() => ChannelConfig.reload(), /オブジェクトで指定/);
+
+    process.env.CHANNEL_CONFIG_FILE = '/nonexistent/channels.json';
+    assert.throws(() => ChannelConfig.reload(), /CHANNEL_CONFIG_FILE.*読み込めません/);
+  });
+});
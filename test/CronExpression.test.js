@@ -0,0 +1,56 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CronExpression } = require('../src/CronExpression');
+
+const next = (source, timeZone, after) => new CronExpression(source, timeZone).next(new Date(after)).toISOString();
+
+describe('CronExpression.next', () => {
+  test('指定したタイムゾーンの時刻で評価し、同じ分は含めない', () => {
+    // 2024-04-01 09:00 JST（月曜日）ちょうどの次は翌週
+    assert.equal(next('0 9 * * 1', 'Asia/Tokyo', '2024-03-31T00:00:00Z'), '2024-04-01T00:00:00.000Z');
+    assert.equal(next('0 9 * * 1', 'Asia/Tokyo', '2024-04-01T00:00:00Z'), '2024-04-08T00:00:00.000Z');
+  });
+
+  test('間隔・範囲・英略称を解釈する', () => {
+    assert.equal(next('*/15 * * * *', 'UTC', '2024-01-01T10:07:30Z'), '2024-01-01T10:15:00.000Z');
+    // 1月と3月の日曜日
+    assert.equal(next('0 12 * jan-mar/2 sun', 'UTC', '2024-04-01T00:00:00Z'), '2025-01-05T12:00:00.000Z');
+    // 7も日曜日
+    assert.equal(next('0 0 * * 7', 'UTC', '2024-01-01T00:00:00Z'), '2024-01-07T00:00:00.000Z');
+  });
+
+  test('略記を展開する', () => {
+    assert.equal(next('@monthly', 'Asia/Tokyo', '2024-01-31T15:00:00Z'), '2024-02-29T15:00:00.000Z');
+    assert.equal(next('@hourly', 'UTC', '2024-01-01T10:00:00Z'), '2024-01-01T11:00:00.000Z');
+  });
+
+  test('日と曜日の両方を指定した場合はどちらかに一致する日', () => {
+    assert.equal(next('0 0 13 * fri', 'UTC', '2024-01-01T00:00:00Z'), '2024-01-05T00:00:00.000Z');
+  });
+
+  test('2月29日のみの指定は次のうるう年まで探す', () => {
+    assert.equal(next('0 0 29 2 *', 'UTC', '2024-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+  });
+
+  test('夏時間の切り替えで存在しない時刻は飛ばす', () => {
+    // 2024-03-10 02:30 はニューヨークでは存在しない
+    assert.equal(next('30 2 * * *', 'America/New_York', '2024-03-09T12:00:00Z'), '2024-03-11T06:30:00.000Z');
+  });
+});
+
+describe('CronExpression の検証', () => {
+  test('不正な式は理由を添えて例外にする', () => {
+    assert.throws(() => new CronExpression('* * *', 'UTC'), /5項目/);
+    assert.throws(() => new CronExpression('60 * * * *', 'UTC'), /分は0〜59/);
+    assert.throws(() => new CronExpression('* * * * 8', 'UTC'), /曜日は0〜7/);
+    assert.throws(() => new CronExpression('*/0 * * * *', 'UTC'), /間隔が不正/);
+    assert.throws(() => new CronExpression('5-1 * * * *', 'UTC'), /範囲/);
+    assert.throws(() => new CronExpression('a * * * *', 'UTC'), /値が不正/);
+  });
+
+  test('isValid', () => {
+    assert.equal(CronExpression.isValid('0 7 * * 1-5'), true);
+    assert.equal(CronExpression.isValid('@daily'), true);
+    assert.equal(CronExpression.isValid('@sometimes'), false);
+  });
+});
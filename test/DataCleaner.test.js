@@ -0,0 +1,67 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DataCleaner } = require('../src/DataCleaner');
+const { CSVProcessor } = require('../src/CSVProcessor');
+
+// clean コマンドと同じく、読み込み（CSVProcessor.loadRawFile）から出力（toCSV）までを通す
+async function runClean(csv, command = 'clean') {
+  const processor = new CSVProcessor();
+  processor.downloadFile = async () => Buffer.from(csv, 'utf8');
+  const result = DataCleaner.clean(await processor.loadRawFile({ name: 'input.csv', size: csv.length }), DataCleaner.parseCommand(command));
+  return {
+    result,
+    csv: DataCleaner.toCSV(result.headers, result.data, { headerLabels: result.headerLabels }).toString('utf8'),
+    log: DataCleaner.formatLog(result)
+  };
+}
+
+describe('DataCleaner.clean の出力', () => {
+  let silenced;
+  before(() => {
+    silenced = console.log;
+    console.log = () => {};
+  });
+  after(() => {
+    console.log = silenced;
+  });
+
+  test('列名は元の表記のまま出力し、操作には元の表記でも整えた列名でも指定できる', async () => {
+    const { result, csv } = await runClean('商品,売上(円),Unit Price\nA,100,1.5\nB,200,2\n', 'clean trim=売上(円),Unit_Price');
+
+    assert.deepEqual(result.headers, ['商品', '売上_円_', 'Unit_Price']);
+    assert.equal(csv.split('\r\n')[0], '商品,売上(円),Unit Price');
+  });
+
+  test('変更した列名は変更後の名前、それ以外は元の表記', async () => {
+    const { csv, log } = await runClean('売上(円),Unit Price\n100,1.5\n', 'clean rename=売上(円):売上金額');
+
+    assert.equal(csv.split('\r\n')[0], '売上金額,Unit Price');
+    assert.deepEqual(log, ['• 列名の変更: 売上(円) → 売上金額']);
+  });
+
+  test('- や電話番号などの値は数式として扱わず、そのまま出力する', async () => {
+    const { csv, log } = await runClean('名前,電話,増減\n田中,+81-3-1234-5678,-\n佐藤,-,+3.5\n');
+
+    assert.equal(csv, '名前,電話,増減\r\n田中,+81-3-1234-5678,-\r\n佐藤,-,+3.5\r\n');
+    assert.deepEqual(log, ['• 空白の除去: 変更なし', '• 全角・半角の統一: 変更なし', '• 日付のISO形式への統一: 日付の列が見つかりませんでした', '• 重複行の削除: 該当なし']);
+  });
+
+  test('数式のセルは先頭に \' を付け、変更内容に件数を載せる', async () => {
+    const { csv, log } = await runClean('名前,メモ\n田中,=1+1\n佐藤,@SUM(A1:A2)\n鈴木,-A1*2\n');
+
+    assert.equal(csv, "名前,メモ\r\n田中,'=1+1\r\n佐藤,'@SUM(A1:A2)\r\n鈴木,'-A1*2\r\n");
+    assert.equal(log.at(-1), "• 数式の無効化: 3セル（3行）\n    先頭に ' を付けて文字列として出力（メモ: 3件）");
+  });
+});
+
+describe('DataCleaner.isFormula', () => {
+  test('= で始まる値と、関数・セル参照・DDEを含む + - @ で始まる値', () => {
+    ['=A1', '=HYPERLINK("http://example.com")', '+SUM(1,2)', '-2+A1', '@cmd|\' /C calc\'!A0', '\t=1+1', ' @SUM(1)']
+      .forEach(value => assert.equal(DataCleaner.isFormula(value), true, value));
+  });
+
+  test('記号・電話番号・数値・メンションは数式としない', () => {
+    ['-', '+', '=', '+81-3-1234-5678', '-1200', '+3.5', '-3.5e2', '-10%', '@channel', '- 注意事項', 'A1']
+      .forEach(value => assert.equal(DataCleaner.isFormula(value), false, value));
+  });
+});
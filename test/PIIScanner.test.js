@@ -0,0 +1,95 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PIIScanner } = require('../src/PIIScanner');
+
+const policy = (name, overrides = {}) => ({ policy: name, columns: [], ignoreColumns: [], ...overrides });
+
+const dataset = {
+  fileName: 'customers.csv',
+  headers: ['氏名', 'メモ', '地域', '売上'],
+  data: [
+    { '氏名': '山田 太郎', 'メモ': 'mail: taro@example.com', '地域': '東京', '売上': 100 },
+    { '氏名': '佐藤 花子', 'メモ': 'なし', '地域': '大阪', '売上': 200 },
+    { '氏名': '山田 太郎', 'メモ': '', '地域': '東京', '売上': 300 }
+  ]
+};
+
+describe('PIIScanner.scan', () => {
+  test('列名から個人情報の列を、自由記述の列から部分的な連絡先を検出する', () => {
+    const result = PIIScanner.scan(dataset.headers, dataset.data);
+
+    assert.deepEqual(result.columns.map(({ column, type, reason }) => ({ column, type, reason })), [
+      { column: '氏名', type: 'personName', reason: 'header' }
+    ]);
+    assert.deepEqual(result.inlineColumns, ['メモ']);
+  });
+
+  test('列名に手がかりがなくても値の形から検出する', () => {
+    const data = [{ '連絡': 'a@example.com', 'コード': 'A1' }, { '連絡': 'b@example.com', 'コード': 'A2' }];
+    const result = PIIScanner.scan(['連絡', 'コード'], data);
+
+    assert.deepEqual(result.columns.map(item => [item.column, item.type, item.reason]), [['連絡', 'email', 'values']]);
+  });
+
+  test('指定した列は常に対象にし、除外した列は検査しない', () => {
+    const result = PIIScanner.scan(dataset.headers, dataset.data, { columns: ['地域'], ignoreColumns: ['氏名'] });
+
+    assert.deepEqual(result.columns.map(item => [item.column, item.type]), [['地域', 'custom']]);
+  });
+});
+
+describe('PIIScanner の値の検査', () => {
+  test('マイナンバーとカード番号は検査数字で判定する', () => {
+    assert.equal(PIIScanner.isValidMyNumber('123456789018'), true);
+    assert.equal(PIIScanner.isValidMyNumber('123456789012'), false);
+    assert.equal(PIIScanner.isValidCardNumber('4111 1111 1111 1111'), true);
+    assert.equal(PIIScanner.isValidCardNumber('4111111111111112'), false);
+  });
+
+  test('自由記述の中のメールアドレス・電話番号・郵便番号・住所を見つける', () => {
+    const found = PIIScanner.findInline('連絡先 taro@example.com / 03-1234-5678 〒100-0001 東京都千代田区千代田1-1');
+
+    assert.deepEqual(found.map(item => [item.type, item.value]), [
+      ['email', 'taro@example.com'],
+      ['phone', '03-1234-5678'],
+      ['postalCode', '〒100-0001'],
+      ['address', '東京都千代田区千代田1-1']
+    ]);
+    assert.equal(PIIScanner.maskInline('mail: taro@example.com まで'), 'mail: [メールアドレス] まで');
+  });
+});
+
+describe('PIIScanner.protect', () => {
+  test('mask: 同じ値には同じトークンを割り当て、件数の集計を保つ', () => {
+    const { dataset: masked, report } = PIIScanner.protect(dataset, policy('mask'));
+
+    assert.deepEqual(masked.data.map(row => row['氏名']), ['氏名_1', '氏名_2', '氏名_1']);
+    assert.equal(masked.data[0]['メモ'], 'mail: [メールアドレス]');
+    assert.deepEqual(masked.data.map(row => row['売上']), [100, 200, 300]);
+    assert.deepEqual(masked.privacy, report);
+    assert.equal(masked.statistics.columns['氏名'].distinctCount, 2);
+    // 元のデータセットは変更しない
+    assert.equal(dataset.data[0]['氏名'], '山田 太郎');
+  });
+
+  test('drop: 個人情報の列を除く', () => {
+    const { dataset: dropped } = PIIScanner.protect(dataset, policy('drop'));
+
+    assert.deepEqual(dropped.headers, ['メモ', '地域', '売上']);
+    assert.equal('氏名' in dropped.data[0], false);
+  });
+
+  test('refuse: 個人情報が見つかれば分析を拒否する', () => {
+    const result = PIIScanner.protect(dataset, policy('refuse'));
+
+    assert.equal(result.refused, true);
+    assert.equal(result.dataset, null);
+  });
+
+  test('off、または個人情報がない場合はデータセットをそのまま返す', () => {
+    assert.equal(PIIScanner.protect(dataset, policy('off')).dataset, dataset);
+
+    const plain = { headers: ['地域', '売上'], data: [{ '地域': '東京', '売上': 1 }] };
+    assert.deepEqual(PIIScanner.protect(plain, policy('mask')), { dataset: plain, report: null });
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PrivacyAudit } = require('../src/PrivacyAudit');
+
+const RARE_NOTE = '田中様 クレーム対応中 返金予定';
+const headers = ['地域', '備考', '売上'];
+const data = Array.from({ length: 20 }, (_, i) => ({
+  '地域': i % 2 ? '東京' : '大阪',
+  '備考': i === 7 ? RARE_NOTE : '通常',
+  '売上': 100 + i
+}));
+const context = { mode: 'aggregate-only', channel: 'C1', headers, data };
+
+describe('PrivacyAudit.findRowsInText', () => {
+  const audit = new PrivacyAudit({ logFile: null });
+
+  test('1行分のセルが3つ以上まとまって現れた行を検出する', () => {
+    assert.deepEqual(audit.findRowsInText('- 大阪, 通常, 100', context), [0]);
+  });
+
+  test('1〜2行にしかない文章のセルは、単独でもそのまま現れれば検出する', () => {
+    assert.deepEqual(audit.findRowsInText(`上位: 通常 19件 (95.0%), ${RARE_NOTE} 1件 (5.0%)`, context), [7]);
+    // 全角・半角や空白の違いは同一視する
+    assert.deepEqual(audit.findRowsInText('田中様　クレーム対応中　　返金予定', context), [7]);
+  });
+
+  test('統計値や単語が散らばって現れるだけでは検出しない', () => {
+    assert.deepEqual(audit.findRowsInText('上位: 通常 19件, 東京 10件, 平均: 109.5', context), []);
+    assert.deepEqual(audit.findRowsInText('田中様 の件数 / 返金 / クレーム', context), []);
+  });
+});
+
+describe('PrivacyAudit.wrap', () => {
+  const provider = {
+    label: 'Test',
+    model: 'gpt-4',
+    complete: async () => ({ choices: [{ message: { content: 'ok' } }] })
+  };
+
+  test('集計のみモードでは行データを含むリクエストを送信せずに中止する', async () => {
+    const audited = new PrivacyAudit({ logFile: null }).wrap(provider, context);
+    const silenced = console.log;
+    console.log = () => {};
+    try {
+      await assert.rejects(
+        audited.complete({ messages: [{ role: 'user', content: `備考の上位: ${RARE_NOTE}` }] }),
+        error => error.code === 'privacy_blocked'
+      );
+      assert.equal((await audited.complete({ messages: [{ role: 'user', content: '備考の上位: 通常 19件' }] })).choices[0].message.content, 'ok');
+    } finally {
+      console.log = silenced;
+    }
+    assert.deepEqual(audited.auditRecords.map(record => record.blocked), [true, false]);
+  });
+
+  test('標準モードでは検査しない', async () => {
+    const audited = new PrivacyAudit({ logFile: null }).wrap(provider, { ...context, mode: 'standard' });
+    const silenced = console.log;
+    console.log = () => {};
+    try {
+      await audited.complete({ messages: [{ role: 'user', content: RARE_NOTE }] });
+    } finally {
+      console.log = silenced;
+    }
+    assert.equal(audited.auditRecords[0].rowLevelMatches, 0);
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { SlackRequestVerifier } = require('../src/SlackRequestVerifier');
+
+const SECRET = 'test-signing-secret';
+const NOW = 1700000000 * 1000;
+
+function sign(body, timestamp, secret = SECRET) {
+  const hmac = crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`);
+  return `v0=${hmac.digest('hex')}`;
+}
+
+function headersFor(body, timestamp = NOW / 1000, secret = SECRET) {
+  return {
+    'x-slack-request-timestamp': String(timestamp),
+    'x-slack-signature': sign(body, timestamp, secret)
+  };
+}
+
+describe('SlackRequestVerifier.verify', () => {
+  const verifier = new SlackRequestVerifier({ signingSecret: SECRET });
+  const body = '{"type":"event_callback","event_id":"Ev1"}';
+
+  test('生のボディで計算した署名を受け付ける', () => {
+    assert.deepEqual(verifier.verify(headersFor(body), Buffer.from(body), NOW), { valid: true });
+  });
+
+  test('ボディが1文字でも異なれば拒否する', () => {
+    const result = verifier.verify(headersFor(body), Buffer.from(`${body} `), NOW);
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, '署名が一致しません');
+  });
+
+  test('別のシークレットで署名されたリクエストを拒否する', () => {
+    const result = verifier.verify(headersFor(body, NOW / 1000, 'other-secret'), Buffer.from(body), NOW);
+    assert.equal(result.valid, false);
+  });
+
+  test('長さの異なる署名は例外にせず拒否する', () => {
+    const headers = { ...headersFor(body), 'x-slack-signature': 'v0=short' };
+    assert.equal(verifier.verify(headers, Buffer.from(body), NOW).valid, false);
+  });
+
+  test('5分より古い・未来のタイムスタンプを拒否する', () => {
+    const stale = NOW / 1000 - 60 * 5 - 1;
+    const future = NOW / 1000 + 60 * 5 + 1;
+    assert.equal(verifier.verify(headersFor(body, stale), Buffer.from(body), NOW).reason, 'タイムスタンプが古すぎます');
+    assert.equal(verifier.verify(headersFor(body, future), Buffer.from(body), NOW).reason, 'タイムスタンプが古すぎます');
+    assert.equal(verifier.verify(headersFor(body, 'abc'), Buffer.from(body), NOW).valid, false);
+  });
+
+  test('署名ヘッダー・ボディ・シークレットがない場合は拒否する', () => {
+    assert.equal(verifier.verify({}, Buffer.from(body), NOW).reason, '署名ヘッダーがありません');
+    assert.equal(verifier.verify(headersFor(body), null, NOW).valid, false);
+    assert.equal(new SlackRequestVerifier({ signingSecret: '' }).verify(headersFor(body), Buffer.from(body), NOW).valid, false);
+  });
+});
+
+describe('SlackRequestVerifier.readRawBody', () => {
+  test('未読のストリームを読み切ってバイト列を返す', async () => {
+    const req = Readable.from([Buffer.from('a=1'), Buffer.from('&b=2')]);
+    assert.equal((await SlackRequestVerifier.readRawBody(req)).toString(), 'a=1&b=2');
+  });
+
+  test('パース済みのオブジェクトしかない場合は null を返す', async () => {
+    assert.equal(await SlackRequestVerifier.readRawBody({ body: { type: 'event_callback' } }), null);
+  });
+});
+
+describe('SlackRequestVerifier.parseBody', () => {
+  test('JSONとフォーム形式（payload のJSONを含む）を読む', () => {
+    assert.deepEqual(SlackRequestVerifier.parseBody(Buffer.from('{"a":1}'), 'application/json'), { a: 1 });
+
+    const form = `command=%2Fcsv-usage&payload=${encodeURIComponent('{"type":"block_actions"}')}`;
+    assert.deepEqual(SlackRequestVerifier.parseBody(Buffer.from(form), 'application/x-www-form-urlencoded'), {
+      command: '/csv-usage',
+      payload: { type: 'block_actions' }
+    });
+  });
+});
+
+describe('SlackRequestVerifier.isReplay', () => {
+  test('同じevent_idは保持期間内のみ再送として扱う', () => {
+    const verifier = new SlackRequestVerifier({ signingSecret: SECRET, seenTtlMs: 1000 });
+
+    assert.equal(verifier.isReplay('Ev1', NOW), false);
+    assert.equal(verifier.isReplay('Ev1', NOW + 500), true);
+    assert.equal(verifier.isReplay('Ev1', NOW + 1001), false);
+    assert.equal(verifier.isReplay(undefined, NOW), false);
+  });
+
+  test('記録数の上限を超えると古いevent_idから忘れる', () => {
+    const verifier = new SlackRequestVerifier({ signingSecret: SECRET, maxSeenEntries: 2 });
+
+    ['Ev1', 'Ev2', 'Ev3'].forEach(id => verifier.isReplay(id, NOW));
+    assert.equal(verifier.isReplay('Ev3', NOW), true);
+    assert.equal(verifier.isReplay('Ev1', NOW), false);
+  });
+
+  test('forget した event_id は再送を受け付け直す', () => {
+    const verifier = new SlackRequestVerifier({ signingSecret: SECRET });
+
+    assert.equal(verifier.isReplay('Ev1', NOW), false);
+    verifier.forget('Ev1');
+    assert.equal(verifier.isReplay('Ev1', NOW), false);
+    assert.equal(verifier.isReplay('Ev1', NOW), true);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TypeInference } = require('../src/TypeInference');
+
+const toRows = (headers, values) => values.map(row => Object.fromEntries(headers.map((column, index) => [column, row[index]])));
+const typesOf = schema => Object.fromEntries(schema.map(entry => [entry.column, entry.type]));
+
+describe('TypeInference.isKeyHeader', () => {
+  test('キー列らしい列名', () => {
+    ['id', 'ID', '商品ID', 'customer_id', 'customerId', 'id_type', 'order no', '注文No', '注文No.', 'SKU', '社員番号', '商品コード', 'product code']
+      .forEach(column => assert.equal(TypeInference.isKeyHeader(column), true, column));
+  });
+
+  test('末尾が id / no で終わるだけの英単語は対象にしない', () => {
+    ['Amount Paid', 'Solid', 'casino', 'Casino', 'video', 'No of items', 'zipcode', '売上']
+      .forEach(column => assert.equal(TypeInference.isKeyHeader(column), false, column));
+  });
+});
+
+describe('TypeInference.inferSchema', () => {
+  const headers = ['注文ID', '受注日', '売上', '利益率', '返品', '数量', '単価', '備考', '商品コード'];
+  const rows = toRows(headers, [
+    ['1001', '令和6年4月1日', '¥120,000', '12.5%', 'TRUE', '１２', '1.5', 'a', '00123'],
+    ['1002', '令和6年4月2日', '¥98,000', '8.0%', 'FALSE', '△3', '2.25', 'b', '00124'],
+    ['1003', 'R6.4.3', '(1,200)', '−2.5%', 'FALSE', '5', '3', 'c', '00125'],
+    ['1004', '令和6年4月4日', '¥1,500', '10%', 'TRUE', '7', '4.5', 'd', '00126'],
+    ['1005', '令和6年4月5日', '¥2,000', '', 'FALSE', '9', '5.75', 'e', '00127']
+  ]);
+
+  test('値から列ごとの型を推定する', () => {
+    const schema = TypeInference.inferSchema(headers, rows);
+
+    assert.deepEqual(typesOf(schema), {
+      '注文ID': 'id',
+      '受注日': 'wareki',
+      '売上': 'currency',
+      '利益率': 'percentage',
+      '返品': 'boolean',
+      '数量': 'integer',
+      '単価': 'decimal',
+      '備考': 'text',
+      '商品コード': 'id'
+    });
+    assert.equal(schema.find(entry => entry.column === '売上').unit, 'JPY');
+  });
+
+  test('キー列らしくない列名の一意な整数は数値として扱う', () => {
+    const columns = ['Amount Paid', 'Solid', 'casino'];
+    const values = [1, 2, 3, 4, 5].map(i => [String(i * 7), String(i), String(100 + i)]);
+
+    assert.deepEqual(typesOf(TypeInference.inferSchema(columns, toRows(columns, values))), {
+      'Amount Paid': 'integer',
+      'Solid': 'integer',
+      'casino': 'integer'
+    });
+  });
+
+  test('型が混在する列はテキストにする', () => {
+    const schema = TypeInference.inferSchema(['混在'], toRows(['混在'], [['1'], ['a'], ['2'], ['b']]));
+    assert.equal(schema[0].type, 'text');
+  });
+
+  test('apply は型に合わせて値を正規化し、IDは文字列のまま残す', () => {
+    const schema = TypeInference.inferSchema(headers, rows);
+    const [, , third] = TypeInference.apply(rows, schema, value => value);
+
+    assert.deepEqual(third, {
+      '注文ID': '1003',
+      '受注日': '2024-04-03',
+      '売上': -1200,
+      '利益率': -2.5,
+      '返品': false,
+      '数量': 5,
+      '単価': 3,
+      '備考': 'c',
+      '商品コード': '00125'
+    });
+    assert.equal(schema.find(entry => entry.column === '受注日').normalized, 5);
+  });
+});
+
+describe('TypeInference の値の解析', () => {
+  test('parseNumber は通貨・割合・全角数字・会計表記を読む', () => {
+    assert.deepEqual(TypeInference.parseNumber('¥120,000'), { value: 120000, kind: 'currency', unit: 'JPY' });
+    assert.deepEqual(TypeInference.parseNumber('$1,200.50'), { value: 1200.5, kind: 'currency', unit: 'USD' });
+    assert.deepEqual(TypeInference.parseNumber('3万円'), { value: 30000, kind: 'currency', unit: 'JPY' });
+    assert.deepEqual(TypeInference.parseNumber('▲3%'), { value: -3, kind: 'percentage', unit: '%' });
+    assert.deepEqual(TypeInference.parseNumber('１２３'), { value: 123, kind: 'number', unit: null });
+    assert.deepEqual(TypeInference.parseNumber('(1,200)'), { value: -1200, kind: 'number', unit: null });
+    assert.equal(TypeInference.parseNumber('abc'), null);
+  });
+
+  test('parseBoolean', () => {
+    assert.equal(TypeInference.parseBoolean('TRUE'), true);
+    assert.equal(TypeInference.parseBoolean('いいえ'), false);
+    assert.equal(TypeInference.parseBoolean('○'), true);
+    assert.equal(TypeInference.parseBoolean('maybe'), null);
+  });
+
+  test('和暦・西暦の日付を YYYY-MM-DD にする', () => {
+    assert.equal(TypeInference.formatISODate(TypeInference.parseDate('令和6年4月1日')), '2024-04-01');
+    assert.equal(TypeInference.formatISODate(TypeInference.parseDate('R6.4.1')), '2024-04-01');
+    assert.equal(TypeInference.formatISODate(TypeInference.parseDate('平成31年4月')), '2019-04');
+    assert.equal(TypeInference.formatISODate(TypeInference.parseDate('令和元年5月1日')), '2019-05-01');
+    assert.equal(TypeInference.formatISODate(TypeInference.parseDate('2024/4/1 10:30')), '2024-04-01 10:30:00');
+  });
+});